@@ -8,16 +8,19 @@ import { CodeExtractor } from './core/CodeExtractor.js';
 import { FileOrganizer } from './core/FileOrganizer.js';
 import { ProjectGenerator } from './core/ProjectGenerator.js';
 import { UIManager } from './core/UIManager.js';
+import { SyntaxValidator } from './core/SyntaxValidator.js';
 
 // Import specialized modules
-import { AndroidBuilder } from './modules/AndroidBuilder.js';
-import { WebBuilder } from './modules/WebBuilder.js';
 import { ZipBuilder } from './modules/ZipBuilder.js';
+import { CodeEditor } from './modules/CodeEditor.js';
 
 // Import utilities
 import { Helpers } from './utils/helpers.js';
 import { Validators } from './utils/validators.js';
 import { Constants } from './utils/constants.js';
+import { SyntaxHighlighter } from './utils/syntaxHighlighter.js';
+import { LanguageDetector } from './utils/languageDetector.js';
+import { TextDiff } from './utils/textDiff.js';
 
 /**
  * Main Application Class
@@ -32,19 +35,25 @@ class UniversalProjectBuilder {
         this.fileOrganizer = new FileOrganizer();
         this.projectGenerator = new ProjectGenerator();
         this.uiManager = new UIManager();
+        this.syntaxValidator = new SyntaxValidator();
         
-        // Initialize specialized builders
-        this.androidBuilder = new AndroidBuilder();
-        this.webBuilder = new WebBuilder();
+        // Initialize specialized builders (project builders live in ProjectGenerator's registry)
         this.zipBuilder = new ZipBuilder();
+        this.codeEditor = new CodeEditor({
+            onSave: (file, content) => this.saveEditedFile(file.id, content)
+        });
         
         // Application state
         this.state = {
             currentTab: 'extractor',
             extractedFiles: [],
+            extractionIssues: [],
             organizedFiles: [],
             projectConfig: null,
             generatedProject: null,
+            packagedProject: null,
+            packagedProjectName: null,
+            packagedFormat: null,
             workflowHistory: [],
             isProcessing: false
         };
@@ -66,6 +75,16 @@ class UniversalProjectBuilder {
                 steps: ['extract', 'validate_web', 'generate_web', 'package'],
                 description: 'Genera progetto web completo'
             },
+            nodejsProject: {
+                name: 'Node.js API',
+                steps: ['extract', 'validate_nodejs', 'generate_nodejs', 'package'],
+                description: 'Genera API Node.js con Express'
+            },
+            pythonProject: {
+                name: 'Python Package',
+                steps: ['extract', 'validate_python', 'generate_python', 'package'],
+                description: 'Genera package Python con pyproject.toml'
+            },
             customOrganization: {
                 name: 'Custom Organization',
                 steps: ['load_files', 'apply_config', 'validate', 'export'],
@@ -127,6 +146,11 @@ class UniversalProjectBuilder {
             fileInput.addEventListener('change', (e) => this.handleFileUpload(e.target.files));
         }
         
+        const folderInput = document.getElementById('folderInput');
+        if (folderInput) {
+            folderInput.addEventListener('change', (e) => this.handleFileUpload(e.target.files));
+        }
+        
         // Drag and drop
         const uploadArea = document.querySelector('.upload-area');
         if (uploadArea) {
@@ -152,10 +176,50 @@ class UniversalProjectBuilder {
             downloadBtn.addEventListener('click', () => this.downloadResult());
         }
         
+        // Project tree: files (data-id) dragged onto folders (data-folder), right click renames, double click edits
+        const projectTree = document.getElementById('projectTree');
+        if (projectTree) {
+            projectTree.addEventListener('dragstart', this.handleTreeDragStart.bind(this));
+            projectTree.addEventListener('dragover', this.handleTreeDragOver.bind(this));
+            projectTree.addEventListener('dragleave', this.handleTreeDragLeave.bind(this));
+            projectTree.addEventListener('drop', this.handleTreeDrop.bind(this));
+            projectTree.addEventListener('contextmenu', this.renameTreeFile.bind(this));
+            projectTree.addEventListener('dblclick', (e) => {
+                const item = e.target.closest('.tree-file[data-id]');
+                if (item) this.editFile(item.dataset.id);
+            });
+        }
+        
+        // File actions of rendered lists (buttons carry data-file-action and data-id)
+        document.addEventListener('click', this.handleFileAction.bind(this));
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyboardShortcuts.bind(this));
     }
     
+    /**
+     * Run the file action of a clicked [data-file-action] element
+     * @param {MouseEvent} e - Click event
+     */
+    handleFileAction(e) {
+        const target = e.target.closest?.('[data-file-action]');
+        if (!target) return;
+        
+        const { fileAction, id, line } = target.dataset;
+        const actions = {
+            download: () => this.downloadFile(id),
+            preview: () => this.previewFile(id, line ? Number(line) : null),
+            edit: () => this.editFile(id),
+            diff: () => this.showFileDiff(id),
+            remove: () => this.removeUploadedFile(id)
+        };
+        
+        if (actions[fileAction]) {
+            e.preventDefault();
+            actions[fileAction]();
+        }
+    }
+    
     /**
      * Switch between tabs
      * @param {string} tabName - Tab to switch to
@@ -211,6 +275,8 @@ class UniversalProjectBuilder {
         const codeInput = document.getElementById('codeInput');
         const autoDetectLanguage = document.getElementById('autoDetectLanguage')?.checked ?? true;
         const generateConfig = document.getElementById('generateConfig')?.checked ?? true;
+        const mode = document.getElementById('extractionMode')?.value || 'auto';
+        const validateSyntax = document.getElementById('validateSyntax')?.checked ?? false;
         
         if (!codeInput || !codeInput.value.trim()) {
             this.showNotification('❌ Inserisci del codice da estrarre', 'error');
@@ -222,33 +288,55 @@ class UniversalProjectBuilder {
             
             // Extract files using CodeExtractor
             const extractedFiles = this.codeExtractor.extractFiles(codeInput.value, {
+                mode,
                 autoDetectLanguage,
                 generateConfig,
-                cleanCode: true,
-                validateSyntax: false
+                cleanCode: true
             });
             
+            // Parse each file with its language parser and attach diagnostics
+            let validation = null;
+            if (validateSyntax) {
+                this.setProcessing(true, 'Validazione sintassi in corso...');
+                validation = await this.syntaxValidator.validateFiles(extractedFiles);
+            }
+            
             // Update state
             this.state.extractedFiles = extractedFiles;
             
-            // Display results
-            this.displayExtractedFiles(extractedFiles);
-            
-            // Get and display statistics
+            // Get statistics and gather the issues of each file
             const stats = this.codeExtractor.getStats();
+            this.state.extractionIssues = this.collectDiagnostics(extractedFiles, stats);
+            
+            // Display results
+            this.displayExtractedFiles(extractedFiles, this.state.extractionIssues);
             this.displayExtractionStats(stats);
             
             // Log workflow step
             this.logWorkflowStep('extract', {
                 filesExtracted: extractedFiles.length,
                 projectType: stats.projectType,
-                mainLanguage: stats.mostCommonLanguage
+                mainLanguage: stats.mostCommonLanguage,
+                extractionMode: stats.extractionMode,
+                syntaxErrors: validation ? validation.errors : null
             });
             
-            this.showNotification(
-                `✅ ${extractedFiles.length} file estratti con successo!`, 
-                'success'
-            );
+            if (validation && validation.errors > 0) {
+                this.showNotification(
+                    `⚠️ ${extractedFiles.length} file estratti, ${validation.errors} errori di sintassi in ${validation.files} file`,
+                    'warning'
+                );
+            } else if (stats.warnings.length > 0) {
+                this.showNotification(
+                    `⚠️ ${extractedFiles.length} file estratti, ${stats.warnings.length} avvisi: ${stats.warnings.join('; ')}`,
+                    'warning'
+                );
+            } else {
+                this.showNotification(
+                    `✅ ${extractedFiles.length} file estratti con successo!`, 
+                    'success'
+                );
+            }
             
             console.log('✅ Code extraction completed');
             
@@ -262,38 +350,82 @@ class UniversalProjectBuilder {
     
     /**
      * Handle file upload
-     * @param {FileList} files - Uploaded files
+     * @param {FileList|Array} files - Uploaded files, or { file, path } entries read from dropped folders
+     * @param {Object} options - skipped: entries already skipped while reading folders
      */
-    async handleFileUpload(files) {
-        console.log(`📁 Processing ${files.length} uploaded files...`);
+    async handleFileUpload(files, options = {}) {
+        // Files picked from a folder (webkitdirectory) carry their relative path
+        const entries = Array.from(files, item => item instanceof File ?
+            { file: item, path: item.webkitRelativePath || item.name } : item);
+        
+        console.log(`📁 Processing ${entries.length} uploaded files...`);
         
         try {
             this.setProcessing(true, 'Caricamento file...');
             
             const uploadedFiles = [];
+            const skipped = [...(options.skipped || [])];
+            let totalSize = 0;
             
-            for (const file of files) {
+            for (const { file, path } of entries) {
+                const ignoredFolder = this.getIgnoredFolder(path);
+                if (ignoredFolder) {
+                    if (!skipped.some(entry => entry.path === ignoredFolder)) {
+                        skipped.push({ path: ignoredFolder, reason: 'cartella ignorata' });
+                    }
+                    continue;
+                }
+                
+                if (Constants.IGNORED_FILES.includes(file.name)) {
+                    continue;
+                }
+                
+                // ZIP archives are unpacked keeping their folder structure
+                if (Helpers.getFileExtension(file.name) === 'zip' && !path.includes('/')) {
+                    const archiveFiles = await this.readZipUpload(file, skipped, {
+                        usedFiles: uploadedFiles.length,
+                        usedSize: totalSize
+                    });
+                    
+                    uploadedFiles.push(...archiveFiles);
+                    totalSize += archiveFiles.reduce((sum, entry) => sum + entry.size, 0);
+                    continue;
+                }
+                
                 // Validate file
-                if (!this.validateUploadedFile(file)) {
+                const rejection = this.getUploadRejection(file);
+                if (rejection) {
+                    skipped.push({ path, reason: rejection });
                     continue;
                 }
                 
-                // Read file content
-                const content = await this.readFileContent(file);
+                if (uploadedFiles.length >= Constants.MAX_FILES_COUNT) {
+                    skipped.push({ path, reason: `oltre il limite di ${Constants.MAX_FILES_COUNT} file` });
+                    continue;
+                }
+                
+                if (totalSize + file.size > Constants.MAX_PROJECT_SIZE) {
+                    skipped.push({ path, reason: `oltre ${Helpers.formatFileSize(Constants.MAX_PROJECT_SIZE)} totali` });
+                    continue;
+                }
                 
-                // Create file object
-                const fileObj = {
-                    id: Helpers.generateId(),
-                    fileName: file.name,
-                    extension: Helpers.getFileExtension(file.name),
-                    content: content,
+                totalSize += file.size;
+                
+                // Read file content (binary files as base64)
+                const isBinary = Helpers.isBinaryFileName(file.name);
+                const content = isBinary ?
+                    await this.readFileAsBase64(file) :
+                    await this.readFileContent(file);
+                
+                // Create file object (relative path kept as originalPath)
+                uploadedFiles.push(Helpers.createProjectFile(path, content, {
+                    originalPath: path,
                     size: file.size,
                     lastModified: file.lastModified,
                     uploaded: true,
-                    created: new Date().toISOString()
-                };
-                
-                uploadedFiles.push(fileObj);
+                    generated: false,
+                    ...(isBinary && { encoding: 'base64', binary: true, lines: 0 })
+                }));
             }
             
             // Load files into organizer
@@ -302,11 +434,16 @@ class UniversalProjectBuilder {
             
             // Display uploaded files
             this.displayUploadedFiles(uploadedFiles);
+            this.displayProjectTree();
             
-            this.showNotification(
-                `✅ ${uploadedFiles.length} file caricati con successo!`, 
-                'success'
-            );
+            if (skipped.length > 0) {
+                this.notifySkippedUploads(skipped, uploadedFiles.length);
+            } else {
+                this.showNotification(
+                    `✅ ${uploadedFiles.length} file caricati con successo!`, 
+                    'success'
+                );
+            }
             
         } catch (error) {
             console.error('❌ File upload failed:', error);
@@ -316,6 +453,139 @@ class UniversalProjectBuilder {
         }
     }
     
+    /**
+     * Unpack an uploaded ZIP archive into file objects
+     * @param {File} file - ZIP file
+     * @param {Array} skipped - Collects skipped entries ({ path, reason })
+     * @param {Object} used - Files and bytes already taken by the upload ({ usedFiles, usedSize })
+     * @returns {Promise<Array>} Files with their archive paths
+     */
+    async readZipUpload(file, skipped, used = {}) {
+        if (file.size > Constants.MAX_PROJECT_SIZE) {
+            skipped.push({ path: file.name, reason: `archivio oltre ${Helpers.formatFileSize(Constants.MAX_PROJECT_SIZE)}` });
+            return [];
+        }
+        
+        this.setProcessing(true, `Estrazione ${file.name}...`);
+        
+        const result = await this.zipBuilder.readProjectZip(file, {
+            archiveName: file.name,
+            maxFileSize: Constants.MAX_FILE_SIZE,
+            maxTotalSize: Constants.MAX_PROJECT_SIZE,
+            maxFiles: Constants.MAX_FILES_COUNT,
+            usedFiles: used.usedFiles || 0,
+            usedSize: used.usedSize || 0
+        });
+        
+        result.skipped.forEach(entry => {
+            skipped.push({ path: `${file.name}/${entry.path}`, reason: entry.reason });
+        });
+        
+        const binaryCount = result.files.filter(entry => entry.binary).length;
+        console.log(`📦 ${file.name}: ${result.files.length} files (${binaryCount} binary)`);
+        
+        return result.files;
+    }
+    
+    /**
+     * Collect the files of dropped entries, recursing into folders
+     * Ignored folders (Constants.IGNORED_FOLDERS) are not traversed
+     * @param {Array} entries - FileSystemEntry objects from the drop
+     * @returns {Promise<Object>} { files: [{ file, path }], skipped: [{ path, reason }] }
+     */
+    async collectEntryFiles(entries) {
+        const files = [];
+        const skipped = [];
+        
+        const visit = async (entry) => {
+            const path = entry.fullPath.replace(/^\/+/, '');
+            
+            if (entry.isDirectory) {
+                if (Constants.IGNORED_FOLDERS.includes(entry.name)) {
+                    skipped.push({ path, reason: 'cartella ignorata' });
+                    return;
+                }
+                
+                for (const child of await this.readDirectoryEntries(entry)) {
+                    await visit(child);
+                }
+            } else if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path });
+            }
+        };
+        
+        for (const entry of entries) {
+            await visit(entry);
+        }
+        
+        return { files, skipped };
+    }
+    
+    /**
+     * Read all entries of a directory (readEntries returns them in batches)
+     * @param {FileSystemDirectoryEntry} directory - Directory entry
+     * @returns {Promise<Array>} Child entries
+     */
+    readDirectoryEntries(directory) {
+        const reader = directory.createReader();
+        const entries = [];
+        
+        return new Promise((resolve, reject) => {
+            const readBatch = () => {
+                reader.readEntries(batch => {
+                    if (batch.length === 0) {
+                        resolve(entries);
+                        return;
+                    }
+                    
+                    entries.push(...batch);
+                    readBatch();
+                }, reject);
+            };
+            
+            readBatch();
+        });
+    }
+    
+    /**
+     * Path of the first ignored folder in a relative path
+     * @param {string} path - Relative file path
+     * @returns {string|null} Ignored folder path
+     */
+    getIgnoredFolder(path) {
+        const segments = path.split('/').slice(0, -1);
+        const index = segments.findIndex(segment => Constants.IGNORED_FOLDERS.includes(segment));
+        
+        return index === -1 ? null : segments.slice(0, index + 1).join('/');
+    }
+    
+    /**
+     * Summarize skipped uploads grouped by reason
+     * @param {Array} skipped - Skipped entries ({ path, reason })
+     * @param {number} loadedCount - Files that were loaded
+     */
+    notifySkippedUploads(skipped, loadedCount) {
+        const byReason = new Map();
+        
+        skipped.forEach(entry => {
+            if (!byReason.has(entry.reason)) {
+                byReason.set(entry.reason, []);
+            }
+            byReason.get(entry.reason).push(entry.path);
+        });
+        
+        const details = Array.from(byReason, ([reason, paths]) =>
+            `${reason} (${paths.length}): ${paths.slice(0, 3).join(', ')}${paths.length > 3 ? ', …' : ''}`
+        );
+        
+        console.warn('⚠️ Skipped uploads:', skipped);
+        this.showNotification(
+            `⚠️ ${loadedCount} file caricati, ${skipped.length} elementi saltati · ${details.join(' · ')}`,
+            'warning'
+        );
+    }
+    
     /**
      * Load configuration from JSON
      */
@@ -380,7 +650,7 @@ class UniversalProjectBuilder {
             
             // Determine project type and workflow
             const projectType = this.determineProjectType();
-            const workflow = this.workflows[projectType + 'Project'] || this.workflows.codeToFiles;
+            const workflow = this.getWorkflow(projectType);
             
             console.log(`📋 Using workflow: ${workflow.name}`);
             
@@ -428,12 +698,12 @@ class UniversalProjectBuilder {
                 this.validateWebProject();
                 break;
                 
-            case 'generate_android':
-                await this.generateAndroidProject();
+            case 'validate_nodejs':
+                this.validateNodeProject();
                 break;
                 
-            case 'generate_web':
-                await this.generateWebProject();
+            case 'validate_python':
+                this.validatePythonProject();
                 break;
                 
             case 'package':
@@ -445,7 +715,11 @@ class UniversalProjectBuilder {
                 break;
                 
             default:
-                console.warn(`⚠️ Unknown workflow step: ${step}`);
+                if (step.startsWith('generate_')) {
+                    await this.generateProjectFiles(step.substring('generate_'.length));
+                } else {
+                    console.warn(`⚠️ Unknown workflow step: ${step}`);
+                }
         }
         
         // Log step completion
@@ -467,9 +741,11 @@ class UniversalProjectBuilder {
             throw new Error('Nessun file da organizzare');
         }
         
-        // Load files into organizer if not already loaded
+        // Load files into organizer if not already loaded, otherwise start again from the loaded files
         if (this.fileOrganizer.files.length === 0) {
             this.fileOrganizer.loadFiles(filesToOrganize);
+        } else {
+            this.fileOrganizer.restoreSourceFiles();
         }
         
         // Execute organization
@@ -483,66 +759,116 @@ class UniversalProjectBuilder {
         
         // Display results
         this.displayOrganizedFiles(organizedFiles);
+        this.displayProjectTree();
         
         console.log(`✅ ${organizedFiles.length} file organizzati`);
     }
     
     /**
-     * Generate Android project
+     * Write a file entry into the organization config and organize again from the loaded files
+     * @param {string} section - Config section (folderMappings or fileRenames)
+     * @param {string} fileId - File ID
+     * @param {string} value - Target folder or new name
+     * @returns {Promise<boolean>} Whether the config was applied
      */
-    async generateAndroidProject() {
-        const projectConfig = this.getAndroidProjectConfig();
+    async updateOrganizationEntry(section, fileId, value) {
+        const config = this.fileOrganizer.withConfigEntry(this.state.projectConfig || {}, section, fileId, value);
         
-        // Use AndroidBuilder to generate project
-        const androidProject = await this.androidBuilder.generateProject({
-            ...projectConfig,
-            files: this.state.organizedFiles.length > 0 ? 
-                this.state.organizedFiles : this.state.extractedFiles
-        });
+        if (!config) {
+            this.showNotification('⚠️ Copie, unioni e divisioni si modificano nella configurazione JSON', 'warning');
+            return false;
+        }
         
-        this.state.generatedProject = androidProject;
+        const validation = this.fileOrganizer.validateAndNormalizeConfig(config);
+        if (!validation.isValid) {
+            this.showNotification(`❌ ${validation.errors.join(', ')}`, 'error');
+            return false;
+        }
         
-        console.log('✅ Android project generated');
+        try {
+            this.state.organizedFiles = await this.fileOrganizer.reorganize(config);
+            this.state.projectConfig = config;
+            
+            this.displayConfigInEditor(config);
+            this.displayOrganizedFiles(this.state.organizedFiles);
+            this.displayProjectTree();
+            return true;
+        } catch (error) {
+            console.error('❌ Reorganization failed:', error);
+            this.showNotification(`❌ Errore nell'organizzazione: ${error.message}`, 'error');
+            return false;
+        }
     }
     
     /**
-     * Generate Web project
+     * Generate a project with the builder registered for the type
+     * @param {string} projectType - Project type (see Constants.PROJECT_TYPES)
      */
-    async generateWebProject() {
-        const projectConfig = this.getWebProjectConfig();
-        
-        // Use WebBuilder to generate project
-        const webProject = await this.webBuilder.generateProject({
-            ...projectConfig,
+    async generateProjectFiles(projectType) {
+        const result = await this.projectGenerator.generateProject({
+            ...this.getProjectConfigFor(projectType),
+            type: projectType,
             files: this.state.organizedFiles.length > 0 ? 
                 this.state.organizedFiles : this.state.extractedFiles
         });
         
-        this.state.generatedProject = webProject;
+        this.state.generatedProject = result;
+        
+        const { conflicts, warnings } = result.report;
+        
+        if (conflicts.length > 0) {
+            console.warn('⚠️ File conflicts:', conflicts);
+            this.showNotification(
+                `⚠️ ${conflicts.length} file utente sovrascrivono file generati: ${conflicts.map(c => c.path.split('/').pop()).join(', ')}`,
+                'warning'
+            );
+        }
         
-        console.log('✅ Web project generated');
+        if (warnings.length > 0) {
+            console.warn('⚠️ Generation warnings:', warnings);
+            this.showNotification(`⚠️ ${warnings.join(' · ')}`, 'warning');
+        }
+        
+        console.log(`✅ ${result.report.builder} project generated (${result.report.totalFiles} file)`);
     }
     
     /**
      * Package project into ZIP
      */
     async packageProject() {
-        const filesToPackage = this.state.generatedProject || 
-            this.state.organizedFiles.length > 0 ? 
-            this.state.organizedFiles : this.state.extractedFiles;
+        const generatedProject = this.state.generatedProject;
+        
+        let filesToPackage;
+        if (generatedProject?.files?.length > 0) {
+            filesToPackage = generatedProject.files;
+        } else {
+            filesToPackage = this.state.organizedFiles.length > 0 ? 
+                this.state.organizedFiles : this.state.extractedFiles;
+        }
         
         if (filesToPackage.length === 0) {
             throw new Error('Nessun file da impacchettare');
         }
         
-        // Create ZIP using ZipBuilder
-        const zipBlob = await this.zipBuilder.createProjectZip(filesToPackage, {
-            projectName: this.getProjectName(),
+        const projectName = generatedProject?.projectName || this.getProjectName();
+        const format = this.getArchiveFormat();
+        
+        // Create archive using ZipBuilder
+        const archiveBlob = await this.zipBuilder.createArchive(filesToPackage, {
+            format: format,
+            projectName: projectName,
             includeConfig: true,
-            compression: 'medium'
+            config: this.state.projectConfig,
+            compression: 'medium',
+            metadata: {
+                type: generatedProject?.type || this.determineProjectType(),
+                report: generatedProject?.report
+            }
         });
         
-        this.state.packagedProject = zipBlob;
+        this.state.packagedProject = archiveBlob;
+        this.state.packagedProjectName = projectName;
+        this.state.packagedFormat = format;
         
         console.log('✅ Project packaged');
     }
@@ -552,8 +878,13 @@ class UniversalProjectBuilder {
      */
     async downloadResult() {
         if (this.state.packagedProject) {
-            // Download packaged ZIP
-            this.downloadBlob(this.state.packagedProject, `${this.getProjectName()}.zip`);
+            // Repackage if a different format was selected after packaging
+            if (this.state.packagedFormat !== this.getArchiveFormat()) {
+                await this.packageProject();
+            }
+            
+            const extension = this.zipBuilder.getArchiveExtension(this.state.packagedFormat);
+            this.downloadBlob(this.state.packagedProject, `${this.state.packagedProjectName || this.getProjectName()}${extension}`);
         } else {
             // Download individual files
             const filesToDownload = this.state.organizedFiles.length > 0 ? 
@@ -564,9 +895,21 @@ class UniversalProjectBuilder {
                 return;
             }
             
-            // Create simple ZIP with files
-            const zipBlob = await this.zipBuilder.createSimpleZip(filesToDownload);
-            this.downloadBlob(zipBlob, `extracted-files-${Date.now()}.zip`);
+            const format = this.getArchiveFormat();
+            
+            if (format === 'zip') {
+                // Create simple ZIP with files
+                const zipBlob = await this.zipBuilder.createSimpleZip(filesToDownload);
+                this.downloadBlob(zipBlob, `extracted-files-${Date.now()}.zip`);
+            } else {
+                const archiveBlob = await this.zipBuilder.createArchive(filesToDownload, {
+                    format: format,
+                    projectName: 'extracted-files',
+                    includeConfig: false,
+                    manifest: false
+                });
+                this.downloadBlob(archiveBlob, `extracted-files-${Date.now()}${this.zipBuilder.getArchiveExtension(format)}`);
+            }
         }
         
         this.showNotification('✅ Download avviato!', 'success');
@@ -577,17 +920,71 @@ class UniversalProjectBuilder {
      * @returns {string} Project type
      */
     determineProjectType() {
+        // An explicit type in the loaded configuration wins over detection
+        const configuredType = this.state.projectConfig?.projectType;
+        if (configuredType && (this.workflows[configuredType + 'Project'] || this.projectGenerator.hasBuilder(configuredType))) {
+            return configuredType;
+        }
+        
         const stats = this.codeExtractor.getStats();
         
         if (stats.projectType === 'android') {
             return 'android';
         } else if (stats.projectType === 'web') {
             return 'web';
+        } else if (stats.projectType === 'python') {
+            return 'python';
         } else {
             return 'generic';
         }
     }
     
+    /**
+     * Get the workflow for a project type
+     * Types without a dedicated workflow but with a registered builder get a default one
+     * @param {string} projectType - Project type
+     * @returns {Object} Workflow definition
+     */
+    getWorkflow(projectType) {
+        if (this.workflows[projectType + 'Project']) {
+            return this.workflows[projectType + 'Project'];
+        }
+        
+        if (this.projectGenerator.hasBuilder(projectType)) {
+            return {
+                name: `${Helpers.capitalize(projectType)} Project`,
+                steps: ['extract', `generate_${projectType}`, 'package'],
+                description: `Genera progetto ${projectType}`
+            };
+        }
+        
+        return this.workflows.codeToFiles;
+    }
+    
+    /**
+     * Get the builder configuration for a project type from the UI
+     * @param {string} projectType - Project type
+     * @returns {Object} Builder config
+     */
+    getProjectConfigFor(projectType) {
+        switch (projectType) {
+            case Constants.PROJECT_TYPES.ANDROID:
+                return this.getAndroidProjectConfig();
+            case Constants.PROJECT_TYPES.WEB:
+                return {
+                    ...this.getWebProjectConfig(),
+                    projectType: document.getElementById('webProjectType')?.value || 'vanilla'
+                };
+            case Constants.PROJECT_TYPES.REACT:
+            case Constants.PROJECT_TYPES.VUE:
+            case Constants.PROJECT_TYPES.ANGULAR:
+                // The framework comes from the builder registry defaults
+                return this.getWebProjectConfig();
+            default:
+                return { projectName: this.getProjectName() };
+        }
+    }
+    
     /**
      * Get Android project configuration from UI
      * @returns {Object} Android config
@@ -603,13 +1000,12 @@ class UniversalProjectBuilder {
     }
     
     /**
-     * Get Web project configuration from UI
+     * Get Web project configuration from UI, without the framework
      * @returns {Object} Web config
      */
     getWebProjectConfig() {
         return {
             projectName: document.getElementById('webProjectName')?.value || 'my-web-app',
-            projectType: document.getElementById('webProjectType')?.value || 'vanilla',
             cssFramework: document.getElementById('webCssFramework')?.value || 'none',
             features: this.getSelectedWebFeatures()
         };
@@ -633,6 +1029,14 @@ class UniversalProjectBuilder {
         return Array.from(checkboxes).map(cb => cb.value);
     }
     
+    /**
+     * Get the selected download format
+     * @returns {string} zip, tar.gz or bundle
+     */
+    getArchiveFormat() {
+        return document.getElementById('archiveFormat')?.value || 'zip';
+    }
+    
     /**
      * Get project name
      * @returns {string} Project name
@@ -674,40 +1078,224 @@ class UniversalProjectBuilder {
         
         console.log('✅ Web project validation passed');
     }
-    
+
+    /**
+     * Validate Node.js project
+     */
+    validateNodeProject() {
+        const hasJsFiles = this.state.extractedFiles.some(f => f.extension === 'js');
+
+        if (!hasJsFiles) {
+            throw new Error('Nessun file JavaScript trovato per progetto Node.js');
+        }
+
+        console.log('✅ Node.js project validation passed');
+    }
+
+    /**
+     * Validate Python project
+     */
+    validatePythonProject() {
+        const hasPythonFiles = this.state.extractedFiles.some(f => f.extension === 'py');
+
+        if (!hasPythonFiles) {
+            throw new Error('Nessun file Python trovato per progetto Python');
+        }
+
+        console.log('✅ Python project validation passed');
+    }
+
     // UI Update Methods
     
     /**
      * Display extracted files in UI
      * @param {Array} files - Extracted files
+     * @param {Array} issues - Issues that belong to no file
      */
-    displayExtractedFiles(files) {
+    displayExtractedFiles(files, issues = []) {
         const container = document.getElementById('extractResults');
         if (!container) return;
         
-        container.innerHTML = files.map(file => `
+        const escape = Helpers.escapeHtml;
+        
+        container.innerHTML = this.renderGeneralDiagnostics(issues) + files.map(file => `
             <div class="file-card">
                 <div class="file-header">
-                    <span class="file-name">${file.fileName}</span>
-                    <span class="file-type">${file.extension.toUpperCase()}</span>
+                    <span class="file-name">${escape(file.currentPath || file.fileName)}</span>
+                    <span class="file-badges">
+                        ${this.renderDiagnosticsBadge(file)}
+                        <span class="file-type">${escape((file.extension || '').toUpperCase())}</span>
+                    </span>
                 </div>
                 <div class="file-info">
                     <span>📏 ${file.lines} righe</span>
                     <span>📊 ${Helpers.formatFileSize(file.size)}</span>
-                    <span>🔤 ${file.language || 'unknown'}</span>
+                    <span>🔤 ${escape(file.language || 'unknown')}${file.language && file.languageConfidence !== undefined ? ` (${Math.round(file.languageConfidence * 100)}%)` : ''}</span>
                 </div>
+                ${this.renderFileDiagnostics(file)}
                 <div class="file-actions">
-                    <button class="btn btn-sm" onclick="app.downloadFile('${file.id}')">
+                    <button class="btn btn-sm" data-file-action="download" data-id="${escape(file.id)}">
                         💾 Scarica
                     </button>
-                    <button class="btn btn-sm" onclick="app.previewFile('${file.id}')">
+                    <button class="btn btn-sm" data-file-action="preview" data-id="${escape(file.id)}">
                         👁️ Anteprima
                     </button>
+                    <button class="btn btn-sm" data-file-action="edit" data-id="${escape(file.id)}">
+                        ✏️ Modifica
+                    </button>
                 </div>
             </div>
         `).join('');
     }
     
+    /**
+     * Collect the issues of each extracted file and the ones that belong to no file
+     * Sources: syntax validation, extractor warnings and CodeExtractor recommendations
+     * @param {Array} files - Extracted files (file.diagnostics is set on each)
+     * @param {Object} stats - Extraction statistics with warnings
+     * @returns {Array} General issues (skipped sections, files with empty content, missing project files)
+     */
+    collectDiagnostics(files, stats) {
+        const recommendations = this.codeExtractor.generateRecommendations();
+        const fileWarnings = new Set();
+        
+        files.forEach(file => {
+            const issues = [...(file.validation?.diagnostics || [])];
+            
+            (file.warnings || []).forEach(message => {
+                fileWarnings.add(message);
+                issues.push({ severity: 'warning', line: null, column: null, message, source: 'extractor' });
+            });
+            
+            recommendations
+                .filter(rec => rec.files?.includes(file.currentPath))
+                .forEach(rec => issues.push(this.createRecommendationIssue(rec)));
+            
+            file.diagnostics = issues;
+        });
+        
+        return [
+            ...stats.warnings
+                .filter(message => !fileWarnings.has(message))
+                .map(message => ({ severity: 'warning', line: null, column: null, message, source: 'extractor' })),
+            ...recommendations
+                .filter(rec => !rec.files)
+                .map(rec => this.createRecommendationIssue(rec))
+        ];
+    }
+    
+    /**
+     * Convert a CodeExtractor recommendation into a diagnostics entry
+     * @param {Object} rec - Recommendation { severity, message, suggestion }
+     * @returns {Object} Issue
+     */
+    createRecommendationIssue(rec) {
+        return {
+            severity: rec.severity,
+            line: null,
+            column: null,
+            message: rec.suggestion ? `${rec.message} — ${rec.suggestion}` : rec.message,
+            source: 'recommendation'
+        };
+    }
+    
+    /**
+     * Count issues by severity
+     * @param {Array} issues - Diagnostics entries
+     * @returns {Object} { error, warning, info }
+     */
+    countDiagnostics(issues) {
+        return issues.reduce((counts, item) => {
+            counts[item.severity] = (counts[item.severity] || 0) + 1;
+            return counts;
+        }, { error: 0, warning: 0, info: 0 });
+    }
+    
+    /**
+     * Render the diagnostics badge shown in a file card header
+     * @param {Object} file - File with diagnostics
+     * @returns {string} HTML
+     */
+    renderDiagnosticsBadge(file) {
+        const counts = this.countDiagnostics(file.diagnostics || []);
+        
+        if (counts.error + counts.warning + counts.info === 0) {
+            return file.validation?.checked ?
+                `<span class="diagnostics-badge valid" title="Sintassi valida (${Helpers.escapeHtml(file.validation.parser)})">✅</span>` : '';
+        }
+        
+        const level = counts.error > 0 ? 'error' : counts.warning > 0 ? 'warning' : 'info';
+        const parts = [
+            counts.error > 0 ? `❌ ${counts.error}` : '',
+            counts.warning > 0 ? `⚠️ ${counts.warning}` : '',
+            counts.info > 0 ? `ℹ️ ${counts.info}` : ''
+        ].filter(Boolean);
+        
+        return `<span class="diagnostics-badge ${level}">${parts.join(' ')}</span>`;
+    }
+    
+    /**
+     * Render the list of issues of a file (or of the whole extraction)
+     * Entries with a line number open the preview at that line
+     * @param {Array} issues - Diagnostics entries
+     * @param {string|null} fileId - File the line numbers refer to
+     * @returns {string} HTML
+     */
+    renderDiagnosticsList(issues, fileId = null) {
+        const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+        
+        return `
+            <ul class="diagnostics-list">
+                ${issues.map(item => `
+                    <li class="diagnostic ${item.severity}">
+                        <span class="diagnostic-icon">${icons[item.severity] || 'ℹ️'}</span>
+                        ${fileId && item.line ? `
+                            <button class="diagnostic-line" data-file-action="preview" data-id="${Helpers.escapeHtml(fileId)}" data-line="${Number(item.line)}">
+                                riga ${item.line}${item.column ? `:${item.column}` : ''}
+                            </button>
+                        ` : ''}
+                        <span class="diagnostic-message">${Helpers.escapeHtml(item.message)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Render the collapsible diagnostics panel of a file card
+     * @param {Object} file - File with diagnostics
+     * @returns {string} HTML (empty when the file has no issues)
+     */
+    renderFileDiagnostics(file) {
+        const issues = file.diagnostics || [];
+        if (issues.length === 0) return '';
+        
+        const hasErrors = issues.some(item => item.severity === 'error');
+        
+        return `
+            <details class="file-diagnostics ${hasErrors ? 'invalid' : ''}" ${hasErrors ? 'open' : ''}>
+                <summary>🩺 ${issues.length} ${issues.length === 1 ? 'segnalazione' : 'segnalazioni'}</summary>
+                ${this.renderDiagnosticsList(issues, file.id)}
+            </details>
+        `;
+    }
+    
+    /**
+     * Render the panel with the issues that belong to no file
+     * @param {Array} issues - General issues
+     * @returns {string} HTML (empty when there are none)
+     */
+    renderGeneralDiagnostics(issues) {
+        if (issues.length === 0) return '';
+        
+        return `
+            <details class="file-diagnostics extraction-diagnostics" open>
+                <summary>🩺 Estrazione: ${issues.length} ${issues.length === 1 ? 'segnalazione' : 'segnalazioni'}</summary>
+                ${this.renderDiagnosticsList(issues)}
+            </details>
+        `;
+    }
+    
     /**
      * Display extraction statistics
      * @param {Object} stats - Statistics object
@@ -758,10 +1346,15 @@ class UniversalProjectBuilder {
                     <div class="file-item">
                         <div class="file-icon">${this.getFileIcon(file.extension)}</div>
                         <div class="file-details">
-                            <div class="file-name">${file.fileName}</div>
-                            <div class="file-meta">${Helpers.formatFileSize(file.size)}</div>
+                            <div class="file-name">${Helpers.escapeHtml(file.currentPath || file.fileName)}</div>
+                            <div class="file-meta">${Helpers.formatFileSize(file.size)}${file.binary ? ' · binario' : ''}</div>
                         </div>
-                        <button class="btn btn-sm" onclick="app.removeUploadedFile('${file.id}')">
+                        ${file.binary ? '' : `
+                            <button class="btn btn-sm" data-file-action="edit" data-id="${Helpers.escapeHtml(file.id)}" title="Modifica">
+                                ✏️
+                            </button>
+                        `}
+                        <button class="btn btn-sm" data-file-action="remove" data-id="${Helpers.escapeHtml(file.id)}">
                             ❌
                         </button>
                     </div>
@@ -787,8 +1380,16 @@ class UniversalProjectBuilder {
                 <div class="files-list">
                     ${statusFiles.map(file => `
                         <div class="file-item organized">
-                            <span class="file-path">${file.currentPath}</span>
+                            <span class="file-path">${Helpers.escapeHtml(file.currentPath)}</span>
                             <span class="operations-count">${file.operations.length} operazioni</span>
+                            ${Helpers.isBinaryFile(file) ? '' : `
+                                <button class="btn btn-sm" data-file-action="diff" data-id="${Helpers.escapeHtml(file.id)}" title="Confronta con l'originale">
+                                    🔍
+                                </button>
+                                <button class="btn btn-sm" data-file-action="edit" data-id="${Helpers.escapeHtml(file.id)}" title="Modifica">
+                                    ✏️
+                                </button>
+                            `}
                         </div>
                     `).join('')}
                 </div>
@@ -796,6 +1397,182 @@ class UniversalProjectBuilder {
         `).join('');
     }
     
+    /**
+     * Display the final project structure as a collapsible tree
+     * Files can be dragged onto folders (folderMappings) and renamed with right click (fileRenames)
+     */
+    displayProjectTree() {
+        const container = document.getElementById('projectTree');
+        if (!container) return;
+        
+        if (this.fileOrganizer.files.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const structure = this.fileOrganizer.getFinalProjectStructure();
+        
+        container.innerHTML = `
+            <div class="files-header">
+                <h3>🌳 Struttura Progetto</h3>
+                <span class="tree-hint">Trascina un file su una cartella per spostarlo · tasto destro per rinominarlo</span>
+            </div>
+            <div class="tree-root" data-folder="">
+                📦 /
+            </div>
+            ${this.renderTreeNodes(structure, '')}
+        `;
+    }
+    
+    /**
+     * Render the children of a tree folder: folders first, then files, both sorted by name
+     * @param {Object} node - Folder node from getFinalProjectStructure
+     * @param {string} folderPath - Path of the folder
+     * @returns {string} HTML
+     */
+    renderTreeNodes(node, folderPath) {
+        const entries = Object.entries(node).sort(([nameA, a], [nameB, b]) =>
+            Number(Boolean(a.isFile)) - Number(Boolean(b.isFile)) || nameA.localeCompare(nameB));
+        
+        return `
+            <ul class="tree-list">
+                ${entries.map(([name, child]) => child.isFile ?
+                    this.renderTreeFile(name, child) :
+                    this.renderTreeFolder(name, child, folderPath ? `${folderPath}/${name}` : name)
+                ).join('')}
+            </ul>
+        `;
+    }
+    
+    /**
+     * Render a folder of the project tree (a drop target)
+     * @param {string} name - Folder name
+     * @param {Object} node - Folder node
+     * @param {string} path - Folder path
+     * @returns {string} HTML
+     */
+    renderTreeFolder(name, node, path) {
+        return `
+            <li>
+                <details class="tree-folder" open>
+                    <summary data-folder="${Helpers.escapeHtml(path)}">
+                        📁 ${Helpers.escapeHtml(name)}
+                    </summary>
+                    ${this.renderTreeNodes(node, path)}
+                </details>
+            </li>
+        `;
+    }
+    
+    /**
+     * Render a file of the project tree with its icon and copy/merge/split badges
+     * @param {string} name - File name
+     * @param {Object} leaf - File leaf { id, path, size, extension, isCopy, isMerged, isSplit }
+     * @returns {string} HTML
+     */
+    renderTreeFile(name, leaf) {
+        const badges = [
+            leaf.isCopy ? '<span class="tree-badge copy">📄 copia</span>' : '',
+            leaf.isMerged ? '<span class="tree-badge merged">🔗 unito</span>' : '',
+            leaf.isSplit ? '<span class="tree-badge split">✂️ diviso</span>' : ''
+        ].join('');
+        
+        return `
+            <li class="tree-file ${leaf.isGenerated ? 'generated' : ''}" draggable="${!leaf.isGenerated}"
+                title="${Helpers.escapeHtml(leaf.path)}" data-id="${Helpers.escapeHtml(leaf.id)}">
+                <span class="tree-icon">${Constants.FILE_TYPE_ICONS[leaf.extension] || '📄'}</span>
+                <span class="tree-name">${Helpers.escapeHtml(name)}</span>
+                ${badges}
+                <span class="tree-size">${Helpers.formatFileSize(leaf.size)}</span>
+            </li>
+        `;
+    }
+    
+    /**
+     * Start dragging a tree file
+     * @param {DragEvent} e - Drag event on a .tree-file
+     */
+    handleTreeDragStart(e) {
+        const item = e.target.closest('.tree-file[data-id]');
+        if (!item) return;
+        
+        e.dataTransfer.setData('text/plain', item.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+    }
+    
+    /**
+     * Accept a tree file over a folder
+     * @param {DragEvent} e - Drag event
+     */
+    handleTreeDragOver(e) {
+        const folder = e.target.closest('[data-folder]');
+        if (!folder) return;
+        
+        e.preventDefault();
+        folder.classList.add('dragover');
+    }
+    
+    /**
+     * Clear the drop highlight of a folder
+     * @param {DragEvent} e - Drag event
+     */
+    handleTreeDragLeave(e) {
+        e.target.closest('[data-folder]')?.classList.remove('dragover');
+    }
+    
+    /**
+     * Move the dropped file into a folder (data-folder, '' for the project root) through folderMappings
+     * @param {DragEvent} e - Drop event
+     */
+    async handleTreeDrop(e) {
+        const folder = e.target.closest('[data-folder]');
+        if (!folder) return;
+        
+        e.preventDefault();
+        folder.classList.remove('dragover');
+        
+        const folderPath = folder.dataset.folder;
+        const fileId = e.dataTransfer.getData('text/plain');
+        const file = this.fileOrganizer.files.find(f => f.id === fileId);
+        
+        if (!file || (file.folderPath || '') === folderPath) return;
+        
+        if (await this.updateOrganizationEntry('folderMappings', fileId, folderPath)) {
+            this.showNotification(`📁 ${file.fileName} → ${folderPath || '/'}`, 'success');
+        }
+    }
+    
+    /**
+     * Rename a tree file through fileRenames
+     * @param {MouseEvent} e - Context menu event on a .tree-file
+     */
+    async renameTreeFile(e) {
+        const item = e.target.closest('.tree-file[data-id]');
+        if (!item) return;
+        
+        e.preventDefault();
+        
+        const file = this.fileOrganizer.files.find(f => f.id === item.dataset.id);
+        if (!file) return;
+        
+        if (file.isCopy || file.isMerged || file.isSplit) {
+            this.showNotification('⚠️ Copie, unioni e divisioni si modificano nella configurazione JSON', 'warning');
+            return;
+        }
+        
+        const newName = prompt(`Nuovo nome per ${file.currentPath}`, file.fileName)?.trim();
+        if (!newName || newName === file.fileName) return;
+        
+        if (/[\\/]/.test(newName)) {
+            this.showNotification('❌ Il nome non può contenere "/": trascina il file per spostarlo', 'error');
+            return;
+        }
+        
+        if (await this.updateOrganizationEntry('fileRenames', file.id, newName)) {
+            this.showNotification(`📝 ${file.fileName} → ${newName}`, 'success');
+        }
+    }
+    
     /**
      * Display configuration in editor
      * @param {Object} config - Configuration object
@@ -823,28 +1600,40 @@ class UniversalProjectBuilder {
         });
     }
     
+    /**
+     * Read file content as base64 (binary files)
+     * @param {File} file - File to read
+     * @returns {Promise<string>} Base64 content
+     */
+    readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(Helpers.bytesToBase64(e.target.result));
+            reader.onerror = () => reject(new Error(`Failed to read file: ${file.name}`));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+    
     /**
      * Validate uploaded file
      * @param {File} file - File to validate
-     * @returns {boolean} Is valid
+     * @returns {string|null} Reason the file is rejected, null if valid
      */
-    validateUploadedFile(file) {
+    getUploadRejection(file) {
         // Check file size (max 10MB)
-        if (file.size > 10 * 1024 * 1024) {
-            this.showNotification(`❌ File troppo grande: ${file.name}`, 'error');
-            return false;
+        if (file.size > Constants.MAX_FILE_SIZE) {
+            return 'file troppo grande';
         }
         
         // Check file type
         const allowedExtensions = Constants.SUPPORTED_FILE_EXTENSIONS;
         const extension = Helpers.getFileExtension(file.name);
         
-        if (!allowedExtensions.includes(extension)) {
-            this.showNotification(`❌ Tipo file non supportato: ${file.name}`, 'error');
-            return false;
+        if (!allowedExtensions.includes(extension) && !Helpers.isBinaryFileName(file.name)) {
+            return 'tipo file non supportato';
         }
         
-        return true;
+        return null;
     }
     
     /**
@@ -856,7 +1645,9 @@ class UniversalProjectBuilder {
         const icons = {
             'kt': '🟣', 'java': '☕', 'js': '🟨', 'jsx': '⚛️',
             'html': '🌐', 'css': '🎨', 'json': '📋', 'xml': '📄',
-            'md': '📝', 'txt': '📄', 'py': '🐍', 'php': '💜'
+            'md': '📝', 'txt': '📄', 'py': '🐍', 'php': '💜',
+            'png': '🖼️', 'jpg': '🖼️', 'jpeg': '🖼️', 'gif': '🖼️', 'webp': '🖼️',
+            'ttf': '🔤', 'otf': '🔤', 'woff': '🔤', 'woff2': '🔤', 'jar': '📦', 'aar': '📦'
         };
         return icons[extension] || '📄';
     }
@@ -977,6 +1768,15 @@ class UniversalProjectBuilder {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyboardShortcuts(e) {
+        // The editor handles its own shortcuts
+        if (this.codeEditor.isOpen()) return;
+        
+        // Esc: Close preview and diff
+        if (e.key === 'Escape') {
+            this.closePreview();
+            this.closeDiff();
+        }
+        
         // Ctrl+E: Extract code
         if (e.ctrlKey && e.key === 'e') {
             e.preventDefault();
@@ -1009,10 +1809,29 @@ class UniversalProjectBuilder {
      * Handle drop event
      * @param {DragEvent} e - Drop event
      */
-    handleDrop(e) {
+    async handleDrop(e) {
         e.preventDefault();
         e.target.classList.remove('dragover');
-        this.handleFileUpload(e.dataTransfer.files);
+        
+        // Entries must be read synchronously, before the event ends
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        
+        if (!entries.some(entry => entry.isDirectory)) {
+            this.handleFileUpload(e.dataTransfer.files);
+            return;
+        }
+        
+        try {
+            this.setProcessing(true, 'Lettura cartelle...');
+            const { files, skipped } = await this.collectEntryFiles(entries);
+            await this.handleFileUpload(files, { skipped });
+        } catch (error) {
+            console.error('❌ Folder drop failed:', error);
+            this.showNotification(`❌ Errore nella lettura delle cartelle: ${error.message}`, 'error');
+            this.setProcessing(false);
+        }
     }
     
     /**
@@ -1094,28 +1913,246 @@ class UniversalProjectBuilder {
     }
     
     /**
-     * Preview file content
+     * Preview file content with line numbers
      * @param {string} fileId - File ID
+     * @param {number|null} line - Line to scroll to and highlight
      */
-    previewFile(fileId) {
+    previewFile(fileId, line = null) {
         const file = this.state.extractedFiles.find(f => f.id === fileId) ||
                     this.state.organizedFiles.find(f => f.id === fileId);
+        const modal = document.getElementById('previewModal');
         
-        if (file) {
-            // Open preview modal or new window
-            const previewWindow = window.open('', '_blank');
-            previewWindow.document.write(`
-                <html>
-                    <head><title>Preview: ${file.fileName}</title></head>
-                    <body>
-                        <h1>${file.fileName}</h1>
-                        <pre style="background: #f5f5f5; padding: 20px; overflow: auto;">
-                            ${Helpers.escapeHtml(file.content)}
-                        </pre>
-                    </body>
-                </html>
-            `);
+        if (!file || !modal) return;
+        
+        // Issues with a line number are marked in the gutter
+        const issuesByLine = new Map();
+        (file.diagnostics || []).filter(item => item.line).forEach(item => {
+            issuesByLine.set(item.line, [...(issuesByLine.get(item.line) || []), item]);
+        });
+        
+        const content = typeof file.content === 'string' ? file.content : '';
+        const code = document.getElementById('previewCode');
+        const language = file.language || LanguageDetector.getLanguageForFileName(file.currentPath || file.fileName);
+        
+        document.getElementById('previewTitle').textContent = file.currentPath || file.fileName;
+        document.getElementById('previewEdit').onclick = () => this.editFile(fileId, line);
+        
+        // Highlighted tokens never span a line break, so the HTML splits into lines
+        code.innerHTML = SyntaxHighlighter.highlight(content, language).split('\n').map((html, index) => {
+            const number = index + 1;
+            const issues = issuesByLine.get(number) || [];
+            const severity = issues.some(item => item.severity === 'error') ? 'error' :
+                issues.length > 0 ? 'warning' : '';
+            const title = issues.map(item => `${item.line}:${item.column || 1} ${item.message}`).join('\n');
+            
+            return `<div class="code-line ${severity} ${number === line ? 'current' : ''}" data-line="${number}"${title ? ` title="${Helpers.escapeHtml(title)}"` : ''}><span class="line-number">${number}</span><span class="line-content">${html || ' '}</span></div>`;
+        }).join('');
+        
+        modal.hidden = false;
+        
+        const target = line && code.querySelector(`.code-line[data-line="${line}"]`);
+        if (target) {
+            target.scrollIntoView({ block: 'center' });
+        } else {
+            code.scrollTop = 0;
+        }
+    }
+    
+    /**
+     * Close the preview modal
+     */
+    closePreview() {
+        const modal = document.getElementById('previewModal');
+        if (modal) modal.hidden = true;
+    }
+    
+    /**
+     * Compare an organized file with its original content, next to the operations recorded on it
+     * @param {string} fileId - Organized file ID
+     */
+    showFileDiff(fileId) {
+        const file = this.fileOrganizer.files.find(f => f.id === fileId);
+        const modal = document.getElementById('diffModal');
+        
+        if (!file || !modal) return;
+        
+        if (Helpers.isBinaryFile(file)) {
+            this.showNotification('⚠️ I file binari non si possono confrontare', 'warning');
+            return;
+        }
+        
+        const original = this.fileOrganizer.getOriginalContent(file);
+        const entries = TextDiff.diffLines(original.content, typeof file.content === 'string' ? file.content : '');
+        const stats = TextDiff.getStats(entries);
+        
+        modal.dataset.fileId = fileId;
+        document.getElementById('diffTitle').textContent = file.currentPath;
+        document.getElementById('diffStats').innerHTML = `
+            <span class="diff-added-count">+${stats.added}</span>
+            <span class="diff-removed-count">−${stats.removed}</span>
+        `;
+        
+        document.getElementById('diffOperations').innerHTML = `
+            <h4>⚙️ Operazioni (${file.operations.length})</h4>
+            ${file.operations.length > 0 ? `
+                <ol class="diff-operations-list">
+                    ${file.operations.map(operation => `
+                        <li>
+                            <span class="operation-type">${Helpers.escapeHtml(operation.type)}</span>
+                            ${Helpers.escapeHtml(this.fileOrganizer.getOperationDescription(operation))}
+                            ${operation.timestamp ? `<time>${new Date(operation.timestamp).toLocaleTimeString()}</time>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : '<p class="diff-empty">Nessuna operazione applicata</p>'}
+            <h4>📄 Originale</h4>
+            <ul class="diff-sources">
+                ${original.sources.map(source => `<li>${Helpers.escapeHtml(source)}</li>`).join('')}
+            </ul>
+        `;
+        
+        this.renderFileDiff(entries, original.content, file);
+        modal.hidden = false;
+    }
+    
+    /**
+     * Render diff entries side by side or unified, following the diff modal controls
+     * Both texts are highlighted whole and split into lines so multi-line tokens keep their colors
+     * @param {Array} entries - Entries from TextDiff.diffLines
+     * @param {string} originalContent - Original text
+     * @param {Object} file - Organized file
+     */
+    renderFileDiff(entries, originalContent, file) {
+        const view = document.getElementById('diffView');
+        const mode = document.getElementById('diffMode')?.value || 'split';
+        const changesOnly = document.getElementById('diffChangesOnly')?.checked ?? true;
+        
+        if (!entries.some(entry => entry.type !== 'equal')) {
+            view.innerHTML = '<p class="diff-empty">✅ Nessuna differenza dal contenuto originale</p>';
+            return;
+        }
+        
+        const language = file.language || LanguageDetector.getLanguageForFileName(file.currentPath);
+        const oldHtml = SyntaxHighlighter.highlight(originalContent, language).split('\n');
+        const newHtml = SyntaxHighlighter.highlight(file.content, language).split('\n');
+        const visible = changesOnly ? TextDiff.collapse(entries) : entries;
+        
+        const code = entry => (entry.type === 'added' ? newHtml[entry.newLine - 1] : oldHtml[entry.oldLine - 1]) || ' ';
+        const skip = entry => `<div class="diff-skip">⋯ ${entry.count} righe invariate</div>`;
+        
+        if (mode === 'unified') {
+            const marks = { equal: ' ', removed: '−', added: '+' };
+            
+            view.innerHTML = `<div class="diff-unified">${visible.map(entry => entry.type === 'skip' ? skip(entry) : `
+                <div class="diff-line ${entry.type}"><span class="line-number">${entry.oldLine || ''}</span><span class="line-number">${entry.newLine || ''}</span><span class="diff-mark">${marks[entry.type]}</span><span class="line-content">${code(entry)}</span></div>
+            `).join('')}</div>`;
+            return;
+        }
+        
+        // Skip markers split the entries into runs that are paired independently
+        const side = (entry, number) => entry ?
+            `<span class="line-number">${entry[number]}</span><span class="line-content">${code(entry)}</span>` :
+            '<span class="line-number"></span><span class="line-content"></span>';
+        const rows = [];
+        let run = [];
+        
+        [...visible, null].forEach(entry => {
+            if (entry && entry.type !== 'skip') {
+                run.push(entry);
+                return;
+            }
+            
+            rows.push(...TextDiff.toSideBySide(run).map(row => `
+                <div class="diff-row">
+                    <div class="diff-line ${row.left ? row.left.type : 'empty'}">${side(row.left, 'oldLine')}</div>
+                    <div class="diff-line ${row.right ? row.right.type : 'empty'}">${side(row.right, 'newLine')}</div>
+                </div>
+            `));
+            if (entry) rows.push(skip(entry));
+            run = [];
+        });
+        
+        view.innerHTML = `<div class="diff-split">${rows.join('')}</div>`;
+    }
+    
+    /**
+     * Render the open diff again after a change of the view controls
+     */
+    refreshFileDiff() {
+        const modal = document.getElementById('diffModal');
+        if (modal && !modal.hidden) this.showFileDiff(modal.dataset.fileId);
+    }
+    
+    /**
+     * Close the diff modal
+     */
+    closeDiff() {
+        const modal = document.getElementById('diffModal');
+        if (modal) modal.hidden = true;
+    }
+    
+    /**
+     * Open an extracted or organized file in the code editor
+     * @param {string} fileId - File ID
+     * @param {number|null} line - Line to place the cursor on
+     */
+    editFile(fileId, line = null) {
+        const file = this.state.extractedFiles.find(f => f.id === fileId) ||
+                    this.state.organizedFiles.find(f => f.id === fileId) ||
+                    this.fileOrganizer.files.find(f => f.id === fileId);
+        
+        if (!file) return;
+        
+        if (Helpers.isBinaryFile(file)) {
+            this.showNotification('⚠️ I file binari non si possono modificare', 'warning');
+            return;
+        }
+        
+        this.closePreview();
+        this.codeEditor.open(file, { line });
+    }
+    
+    /**
+     * Save edited content into every copy of the file and refresh stats and views
+     * Extracted files and FileOrganizer files share the ID; uploaded files may be separate copies
+     * @param {string} fileId - File ID
+     * @param {string} content - New content
+     */
+    async saveEditedFile(fileId, content) {
+        const copies = new Set([...this.state.extractedFiles, ...this.state.organizedFiles]
+            .filter(f => f.id === fileId));
+        const source = [...copies][0] || this.fileOrganizer.files.find(f => f.id === fileId);
+        
+        if (!source) return;
+        
+        // The organizer records the edit before the shared objects change
+        const metadata = this.codeExtractor.analyzeContent(content, source.extension);
+        this.fileOrganizer.updateFileContent(fileId, content, { metadata: { ...source.metadata, ...metadata } });
+        
+        // Recomputes size, lines and metadata.complexity (and the extraction stats for extracted files)
+        copies.forEach(file => this.codeExtractor.updateFileContent(file, content));
+        
+        const extracted = this.state.extractedFiles.find(f => f.id === fileId);
+        if (extracted) {
+            if (extracted.validation) {
+                extracted.validation = await this.syntaxValidator.validateFile(extracted);
+            }
+            
+            const stats = this.codeExtractor.getStats();
+            this.state.extractionIssues = this.collectDiagnostics(this.state.extractedFiles, stats);
+            this.displayExtractedFiles(this.state.extractedFiles, this.state.extractionIssues);
+            this.displayExtractionStats(stats);
         }
+        
+        if (this.state.organizedFiles.some(f => f.id === fileId)) {
+            if (this.state.organizedFiles.some(f => f.operations)) {
+                this.displayOrganizedFiles(this.state.organizedFiles);
+            } else {
+                this.displayUploadedFiles(this.state.organizedFiles);
+            }
+        }
+        
+        this.showNotification(`💾 ${source.currentPath || source.fileName} salvato`, 'success');
     }
     
     /**
@@ -1125,6 +2162,7 @@ class UniversalProjectBuilder {
         this.state.organizedFiles = [];
         this.fileOrganizer.reset();
         this.displayUploadedFiles([]);
+        this.displayProjectTree();
         this.showNotification('🗑️ File cancellati', 'success');
     }
     
@@ -1136,6 +2174,7 @@ class UniversalProjectBuilder {
         this.state.organizedFiles = this.state.organizedFiles.filter(f => f.id !== fileId);
         this.fileOrganizer.loadFiles(this.state.organizedFiles);
         this.displayUploadedFiles(this.state.organizedFiles);
+        this.displayProjectTree();
         this.showNotification('🗑️ File rimosso', 'success');
     }
     
@@ -1167,6 +2206,12 @@ class UniversalProjectBuilder {
                 type: 'nodejs',
                 description: 'Template per API Node.js con Express',
                 icon: '🟢'
+            },
+            {
+                name: 'Python Package',
+                type: 'python',
+                description: 'Template per package Python con pyproject.toml',
+                icon: '🐍'
             }
         ];
         
@@ -1309,9 +2354,13 @@ class UniversalProjectBuilder {
         this.state = {
             currentTab: 'extractor',
             extractedFiles: [],
+            extractionIssues: [],
             organizedFiles: [],
             projectConfig: null,
             generatedProject: null,
+            packagedProject: null,
+            packagedProjectName: null,
+            packagedFormat: null,
             workflowHistory: [],
             isProcessing: false
         };
@@ -1,37 +1,25 @@
 /**
  * CodeExtractor Module
- * Estrae file da codice con intestazioni numeriche
+ * Estrae file da codice con intestazioni nei formati registrati in HeaderParsers
  * Miglioramento del tuo generatore esistente
  */
 
+import { HeaderParsers } from './HeaderParsers.js';
+import { LanguageDetector } from '../utils/languageDetector.js';
+import { Constants } from '../utils/constants.js';
+
 export class CodeExtractor {
     constructor() {
         console.log('🔍 CodeExtractor initialized');
         
         this.patterns = {
-            // Pattern per intestazioni numeriche
-            numbered: /^\d+\.\s*(.+?)$/gm,
-            // Pattern per intestazioni con simboli
-            symboled: /^[#*-]\s*(.+?)$/gm,
             // Pattern per filename con estensione
-            filename: /([A-Za-z0-9_.-]+\.[a-zA-Z0-9]+)/,
-            // Pattern per linguaggi
-            languages: {
-                kotlin: /(?:package\s+|class\s+\w+|fun\s+)/,
-                java: /(?:package\s+.*?;|public\s+class\s+|import\s+)/,
-                javascript: /(?:function\s+|const\s+|let\s+|var\s+|=>\s*)/,
-                html: /(?:<!DOCTYPE|<html|<head|<body)/i,
-                css: /(?:\.[\w-]+\s*{|@media|@import)/,
-                json: /^\s*[{\[]/,
-                xml: /^\s*<\?xml|<[\w-]+[\s>]/,
-                sql: /(?:SELECT|INSERT|UPDATE|DELETE|CREATE|ALTER)\s+/i,
-                python: /(?:def\s+|import\s+|from\s+.*import|class\s+)/,
-                php: /<\?php|namespace\s+|class\s+\w+/,
-                yaml: /^[\w-]+:\s*$|^\s*-\s+/m
-            }
+            filename: /([A-Za-z0-9_.-]+\.[a-zA-Z0-9]+)/
         };
         
+        this.headerParsers = new HeaderParsers();
         this.extractedFiles = [];
+        this.warnings = [];
         this.stats = {
             totalFiles: 0,
             totalSize: 0,
@@ -53,41 +41,24 @@ export class CodeExtractor {
         }
         
         const {
+            mode = 'auto',
             autoDetectLanguage = true,
             generateConfig = true,
-            cleanCode = true,
-            validateSyntax = false
+            cleanCode = true
         } = options;
         
+        if (mode !== 'auto' && !this.headerParsers.hasParser(mode)) {
+            throw new Error(`Modalità di estrazione non supportata: ${mode}`);
+        }
+        
         this.extractedFiles = [];
+        this.warnings = [];
         this.resetStats();
         
-        // Trova tutte le intestazioni
-        const headers = this.findHeaders(input);
+        const format = mode === 'auto' ? this.detectFormat(input) : mode;
+        this.stats.extractionMode = format;
         
-        if (headers.length === 0) {
-            throw new Error('Nessuna intestazione numerata trovata! Usa il formato: "1. NomeFile.ext"');
-        }
-        
-        console.log(`📋 Found ${headers.length} headers`);
-        
-        // Estrai contenuto per ogni sezione
-        for (let i = 0; i < headers.length; i++) {
-            const currentHeader = headers[i];
-            const nextHeader = headers[i + 1];
-            
-            const fileData = this.extractFileSection(
-                input, 
-                currentHeader, 
-                nextHeader, 
-                { autoDetectLanguage, cleanCode, validateSyntax }
-            );
-            
-            if (fileData) {
-                this.extractedFiles.push(fileData);
-                this.updateStats(fileData);
-            }
-        }
+        this.extractSections(input, format, { autoDetectLanguage, cleanCode });
         
         // Genera configurazione automatica se richiesto
         if (generateConfig && this.extractedFiles.length > 0) {
@@ -100,92 +71,163 @@ export class CodeExtractor {
     }
     
     /**
-     * Trova tutte le intestazioni nel testo
+     * Sceglie il formato di intestazione con il punteggio più alto
      * @param {string} input - Testo input
-     * @returns {Array} Array di intestazioni trovate
+     * @returns {string} Nome del formato
      */
-    findHeaders(input) {
-        const headers = [];
-        
-        // Cerca intestazioni numeriche (formato principale)
-        const numberedMatches = [...input.matchAll(this.patterns.numbered)];
-        
-        numberedMatches.forEach(match => {
-            headers.push({
-                type: 'numbered',
-                match: match,
-                title: match[1].trim(),
-                index: match.index,
-                fullMatch: match[0]
-            });
-        });
+    detectFormat(input) {
+        const detection = this.headerParsers.detectFormat(input);
+        
+        if (!detection.name) {
+            const examples = this.headerParsers.getRegisteredParsers()
+                .slice(0, 3)
+                .map(parser => `"${parser.example}"`)
+                .join(', ');
+            throw new Error(`Nessuna intestazione di file riconosciuta! Usa ad esempio ${examples}`);
+        }
         
-        // Ordina per posizione nel testo
-        return headers.sort((a, b) => a.index - b.index);
+        console.log(`🧩 Detected header format: ${detection.name} (${detection.score} files)`);
+        return detection.name;
     }
     
     /**
-     * Estrae una sezione di file
-     * @param {string} input - Testo completo
-     * @param {Object} currentHeader - Intestazione corrente
-     * @param {Object} nextHeader - Intestazione successiva (opzionale)
-     * @param {Object} options - Opzioni
-     * @returns {Object} Dati del file estratto
+     * Estrae i file dalle sezioni del formato indicato
+     * @param {string} input - Testo input
+     * @param {string} format - Nome del formato registrato
+     * @param {Object} options - Opzioni di estrazione
      */
-    extractFileSection(input, currentHeader, nextHeader, options) {
-        const startIndex = currentHeader.index + currentHeader.fullMatch.length;
-        const endIndex = nextHeader ? nextHeader.index : input.length;
-        
-        let content = input.substring(startIndex, endIndex).trim();
-        
-        if (!content) {
-            console.warn(`⚠️ Empty content for: ${currentHeader.title}`);
-            return null;
-        }
+    extractSections(input, format, options) {
+        const parser = this.headerParsers.getParser(format);
+        const sections = this.headerParsers.parse(input, format);
+        const namedSections = sections.filter(section => section.title);
+        
+        sections.forEach(section => {
+            this.warnings.push(...(section.warnings || []));
+            if (!section.title && !(section.warnings || []).length) {
+                this.warnings.push(`Sezione alla riga ${section.line} ignorata: nessun nome file`);
+            }
+        });
         
-        // Pulisci il codice se richiesto
-        if (options.cleanCode) {
-            content = this.cleanCode(content);
+        if (namedSections.length === 0) {
+            throw new Error(`Nessun file trovato nel formato "${parser.label}"! Usa il formato: "${parser.example}"`);
         }
         
-        // Estrai nome file e determina estensione
-        const fileName = this.extractFileName(currentHeader.title);
-        const detectedLanguage = options.autoDetectLanguage ? 
-            this.detectLanguage(content) : null;
-        
-        const finalFileName = this.buildFileName(fileName, detectedLanguage);
-        const fileExtension = this.getFileExtension(finalFileName);
+        console.log(`📋 Found ${namedSections.length} ${format} sections`);
         
-        // Valida sintassi se richiesto
-        if (options.validateSyntax) {
-            const validation = this.validateSyntax(content, fileExtension);
-            if (!validation.isValid) {
-                console.warn(`⚠️ Syntax validation failed for ${finalFileName}:`, validation.errors);
+        namedSections.forEach(section => {
+            let content = section.content;
+            let fenced = false;
+            
+            // Pulisci il codice se richiesto (i formati con delimitatori espliciti restano intatti)
+            if (options.cleanCode && parser.cleanCode) {
+                fenced = this.getFencedContent(content) !== null;
+                content = this.cleanCode(content);
             }
-        }
+            
+            // Un blocco ``` chiuso ma vuoto è un file vuoto (es. __init__.py), non una sezione senza codice
+            if (!content.trim() && !fenced) {
+                console.warn(`⚠️ Empty content for: ${section.title}`);
+                this.warnings.push(`File "${section.title}" alla riga ${section.line} ignorato: contenuto vuoto`);
+                return;
+            }
+            
+            // Il linguaggio dichiarato nel blocco ``` vale più del rilevamento
+            const detection = section.language ?
+                { language: section.language, confidence: 1 } :
+                options.autoDetectLanguage ?
+                    LanguageDetector.detect(content, section.title) :
+                    { language: null, confidence: 0 };
+            const fileData = this.createFileData(section.title, content, detection, options);
+            // Avvisi del parser relativi a questo file (es. intestazioni ignorate nel contenuto)
+            fileData.warnings = section.title ? [...(section.warnings || [])] : [];
+            
+            this.extractedFiles.push(fileData);
+            this.updateStats(fileData);
+        });
+    }
+    
+    /**
+     * Crea i dati di un file estratto
+     * @param {string} title - Titolo della sezione
+     * @param {string} content - Contenuto del file
+     * @param {Object} detection - Linguaggio rilevato { language, confidence }
+     * @param {Object} options - Opzioni
+     * @returns {Object} Dati del file estratto
+     */
+    createFileData(title, content, detection, options) {
+        const { language, confidence } = detection;
+        // Estrai percorso e nome file, poi determina estensione
+        const { folderPath, fileName } = this.extractFilePath(title);
+        const finalFileName = this.buildFileName(fileName, language);
+        const fileExtension = this.getFileExtension(finalFileName);
+        const currentPath = folderPath ? `${folderPath}/${finalFileName}` : finalFileName;
         
         const fileData = {
             id: this.generateFileId(),
-            originalTitle: currentHeader.title,
+            originalTitle: title,
             fileName: finalFileName,
+            currentPath: currentPath,
+            folderPath: folderPath,
             extension: fileExtension,
-            language: detectedLanguage,
+            language: language,
+            languageConfidence: confidence,
             content: content,
             size: new Blob([content]).size,
             lines: content.split('\n').length,
             created: new Date().toISOString(),
-            metadata: {
-                hasPackageDeclaration: this.hasPackageDeclaration(content),
-                hasImports: this.hasImports(content),
-                isExecutable: this.isExecutableCode(content, fileExtension),
-                complexity: this.calculateComplexity(content)
-            }
+            metadata: this.analyzeContent(content, fileExtension)
         };
         
-        console.log(`📄 Extracted: ${finalFileName} (${fileData.size} bytes)`);
+        console.log(`📄 Extracted: ${currentPath} (${fileData.size} bytes)`);
         return fileData;
     }
     
+    /**
+     * Calcola i metadati del contenuto di un file
+     * @param {string} content - Contenuto
+     * @param {string} extension - Estensione file
+     * @returns {Object} Metadati
+     */
+    analyzeContent(content, extension) {
+        return {
+            hasPackageDeclaration: this.hasPackageDeclaration(content),
+            hasImports: this.hasImports(content),
+            isExecutable: this.isExecutableCode(content, extension),
+            complexity: this.calculateComplexity(content)
+        };
+    }
+    
+    /**
+     * Sostituisce il contenuto di un file (es. dopo una modifica nell'editor)
+     * Ricalcola dimensione, righe e metadati; aggiorna le statistiche se il file è tra quelli estratti
+     * (il file di configurazione generato non rientra nelle statistiche)
+     * @param {Object} file - File da aggiornare (modificato)
+     * @param {string} content - Nuovo contenuto
+     * @returns {Object} File aggiornato
+     */
+    updateFileContent(file, content) {
+        const tracked = this.extractedFiles.includes(file) && !file.autoConfig;
+        
+        if (tracked) {
+            this.stats.totalSize -= file.size;
+            this.stats.complexity[file.metadata.complexity]--;
+        }
+        
+        file.content = content;
+        file.size = new Blob([content]).size;
+        file.lines = content.split('\n').length;
+        file.metadata = { ...file.metadata, ...this.analyzeContent(content, file.extension) };
+        file.modified = new Date().toISOString();
+        
+        if (tracked) {
+            this.stats.totalSize += file.size;
+            this.stats.complexity[file.metadata.complexity]++;
+        }
+        
+        console.log(`✏️ Updated: ${file.currentPath || file.fileName} (${file.size} bytes)`);
+        return file;
+    }
+    
     /**
      * Pulisce il codice rimuovendo marcatori di linguaggio
      * @param {string} content - Contenuto da pulire
@@ -196,8 +238,19 @@ export class CodeExtractor {
         const languageMarkers = /^(KOTLIN|JAVA|JAVASCRIPT|HTML|CSS|JSON|XML|YAML|SQL|PYTHON|PHP|C\+\+|C#|SWIFT|GO|RUST|TYPESCRIPT)\s*\n/i;
         content = content.replace(languageMarkers, '');
         
-        // Rimuovi blocchi di codice markdown se presenti
-        content = content.replace(/^```[\w]*\n/, '').replace(/\n```$/, '');
+        // Dentro un blocco chiuso il contenuto è letterale (spazi e a capo finali compresi)
+        const fenced = this.getFencedContent(content);
+        if (fenced !== null) {
+            return fenced;
+        }
+        
+        // Rimuovi l'apertura di un blocco non chiuso (anche con più di tre backtick)
+        const fence = content.match(/^(`{3,}|~{3,})[\w+#.-]*\n/);
+        if (fence) {
+            content = content.slice(fence[0].length);
+        } else {
+            content = content.replace(/\n```$/, '');
+        }
         
         // Rimuovi spazi extra all'inizio e fine
         content = content.trim();
@@ -205,6 +258,96 @@ export class CodeExtractor {
         return content;
     }
     
+    /**
+     * Contenuto di un blocco di codice markdown chiuso che occupa tutta la sezione
+     * @param {string} content - Contenuto della sezione
+     * @returns {string|null} Righe del blocco ('' se vuoto), null se non è un blocco chiuso
+     */
+    getFencedContent(content) {
+        const fence = content.match(/^(`{3,}|~{3,})[\w+#.-]*\n/);
+        if (!fence) {
+            return null;
+        }
+        
+        const body = content.slice(fence[0].length);
+        // Un blocco vuoto ha solo la chiusura
+        if (body === fence[1]) {
+            return '';
+        }
+        return body.endsWith('\n' + fence[1]) ? body.slice(0, -fence[1].length - 1) : null;
+    }
+    
+    /**
+     * Estrae percorso relativo e nome file dal titolo
+     * I percorsi assoluti o con ".." vengono scartati come in folderMappings:
+     * il file resta nella radice del progetto
+     * @param {string} title - Titolo della sezione
+     * @returns {Object} { folderPath, fileName }
+     */
+    extractFilePath(title) {
+        const tokens = title
+            .split(/\s+/)
+            .map(token => token.replace(/^[`'"(]+|[`'"),:;]+$/g, ''));
+        // Un separatore da solo ("a / b") non è un percorso
+        const isPathLike = token => /[\\/]/.test(token) && /[^\\/]/.test(token);
+        const pathToken = this.findPathToken(tokens);
+        
+        // Ogni token simile a un percorso viene controllato, anche senza un nome file riconosciuto
+        const unsafeToken = tokens.filter(isPathLike).find(token => this.isUnsafePath(token));
+        if (unsafeToken) {
+            const lastSegment = (pathToken || unsafeToken).split(/[\\/]/).filter(Boolean).pop() || '';
+            const fileName = this.extractFileName(lastSegment);
+            this.warnings.push(`Path non sicuro nell'intestazione "${title}": uso solo ${fileName}`);
+            return { folderPath: '', fileName };
+        }
+        
+        if (!pathToken) {
+            return { folderPath: '', fileName: this.extractFileName(title) };
+        }
+        
+        const segments = pathToken.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+        const lastSegment = segments.pop();
+        // Un nome con spazi resta intero ("my file.js"), gli altri passano da extractFileName
+        const fileName = /^[\w.-]+(?: [\w.-]+)+$/.test(lastSegment) ? lastSegment : this.extractFileName(lastSegment);
+        
+        return { folderPath: segments.join('/'), fileName };
+    }
+    
+    /**
+     * Cerca nel titolo il percorso che termina con un nome file
+     * Un nome file con spazi prosegue nei token successivi senza separatori
+     * @param {Array} tokens - Token del titolo
+     * @returns {string|null} Percorso trovato
+     */
+    findPathToken(tokens) {
+        for (let start = 0; start < tokens.length; start++) {
+            if (!/[\\/]/.test(tokens[start])) continue;
+            
+            for (let end = start; end < tokens.length && (end === start || !/[\\/]/.test(tokens[end])); end++) {
+                const candidate = tokens.slice(start, end + 1).join(' ');
+                if (this.isFileName(candidate.split(/[\\/]/).pop())) {
+                    return candidate;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Verifica se un percorso esce dal progetto (assoluto, con unità, home o "..")
+     * @param {string} path - Percorso
+     * @returns {boolean} Percorso non sicuro
+     */
+    isUnsafePath(path) {
+        const normalized = path.replace(/\\/g, '/');
+        
+        return normalized.startsWith('/') ||
+            /^[A-Za-z]:/.test(normalized) ||
+            normalized.startsWith('~') ||
+            normalized.split('/').includes('..');
+    }
+    
     /**
      * Estrae nome file dal titolo
      * @param {string} title - Titolo della sezione
@@ -217,6 +360,12 @@ export class CodeExtractor {
             return filenameMatch[1];
         }
         
+        // Nomi completi anche senza estensione (Dockerfile, gradlew...)
+        const knownName = title.split(/[\s\\/]+/).find(token => Constants.EXTENSIONLESS_FILE_NAMES.includes(token));
+        if (knownName) {
+            return knownName;
+        }
+        
         // Pattern specifici per linguaggi comuni
         const specificPatterns = [
             /([A-Za-z0-9_-]+\.kt)/i,
@@ -248,22 +397,11 @@ export class CodeExtractor {
     /**
      * Rileva il linguaggio dal contenuto
      * @param {string} content - Contenuto del file
+     * @param {string} fileName - Nome file (opzionale, indizio forte)
      * @returns {string|null} Linguaggio rilevato
      */
-    detectLanguage(content) {
-        for (const [language, pattern] of Object.entries(this.patterns.languages)) {
-            if (pattern.test(content)) {
-                return language;
-            }
-        }
-        
-        // Controlli aggiuntivi basati su contenuto
-        if (content.includes('<?xml')) return 'xml';
-        if (content.includes('<!DOCTYPE') || content.includes('<html')) return 'html';
-        if (content.trim().startsWith('{') || content.trim().startsWith('[')) return 'json';
-        if (content.includes('function ') || content.includes('=>')) return 'javascript';
-        
-        return null;
+    detectLanguage(content, fileName = '') {
+        return LanguageDetector.detectLanguage(content, fileName);
     }
     
     /**
@@ -273,32 +411,27 @@ export class CodeExtractor {
      * @returns {string} Nome file finale
      */
     buildFileName(fileName, detectedLanguage) {
-        // Se il file ha già un'estensione, usala
-        if (fileName.includes('.')) {
+        // Se il file ha già un'estensione (o non ne prevede una), usala
+        if (this.isFileName(fileName)) {
             return fileName;
         }
         
-        // Mappa linguaggi a estensioni
-        const languageExtensions = {
-            kotlin: 'kt',
-            java: 'java',
-            javascript: 'js',
-            html: 'html',
-            css: 'css',
-            json: 'json',
-            xml: 'xml',
-            sql: 'sql',
-            python: 'py',
-            php: 'php',
-            yaml: 'yml'
-        };
-        
-        const extension = detectedLanguage ? 
-            languageExtensions[detectedLanguage] || 'txt' : 'txt';
+        const extension = detectedLanguage ?
+            LanguageDetector.getExtension(detectedLanguage) || 'txt' : 'txt';
         
         return `${fileName}.${extension}`;
     }
     
+    /**
+     * Verifica se il nome è già un nome file completo: con un punto (estensione o file nascosto)
+     * o noto senza estensione (Dockerfile, gradlew...)
+     * @param {string} name - Nome da verificare
+     * @returns {boolean}
+     */
+    isFileName(name) {
+        return name.includes('.') || Constants.EXTENSIONLESS_FILE_NAMES.includes(name);
+    }
+    
     /**
      * Ottiene l'estensione del file
      * @param {string} fileName - Nome file
@@ -306,44 +439,7 @@ export class CodeExtractor {
      */
     getFileExtension(fileName) {
         return fileName.includes('.') ? 
-            fileName.split('.').pop().toLowerCase() : 'txt';
-    }
-    
-    /**
-     * Valida la sintassi del codice
-     * @param {string} content - Contenuto
-     * @param {string} extension - Estensione file
-     * @returns {Object} Risultato validazione
-     */
-    validateSyntax(content, extension) {
-        const errors = [];
-        
-        switch (extension) {
-            case 'json':
-                try {
-                    JSON.parse(content);
-                } catch (e) {
-                    errors.push(`JSON syntax error: ${e.message}`);
-                }
-                break;
-                
-            case 'kt':
-                if (!content.includes('package ')) {
-                    errors.push('Missing package declaration');
-                }
-                break;
-                
-            case 'java':
-                if (!content.includes('package ') || !content.includes('class ')) {
-                    errors.push('Missing package or class declaration');
-                }
-                break;
-        }
-        
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+            fileName.split('.').pop().toLowerCase() : this.isFileName(fileName) ? '' : 'txt';
     }
     
     /**
@@ -419,6 +515,7 @@ export class CodeExtractor {
             timestamp: new Date().toISOString(),
             files: this.extractedFiles.map(file => ({
                 name: file.fileName,
+                path: file.currentPath,
                 language: file.language,
                 size: file.size,
                 complexity: file.metadata.complexity
@@ -431,11 +528,14 @@ export class CodeExtractor {
             id: this.generateFileId(),
             originalTitle: "Configurazione Progetto",
             fileName: "project-config.json",
+            currentPath: "project-config.json",
+            folderPath: "",
             extension: "json",
             language: "json",
             content: JSON.stringify(config, null, 2),
             size: JSON.stringify(config, null, 2).length,
             lines: JSON.stringify(config, null, 2).split('\n').length,
+            autoConfig: true,
             created: new Date().toISOString(),
             metadata: {
                 hasPackageDeclaration: false,
@@ -560,7 +660,8 @@ export class CodeExtractor {
                 type: 'code_quality',
                 severity: 'info',
                 message: `${highComplexityFiles.length} file con alta complessità`,
-                suggestion: 'Considera di suddividere file complessi in moduli più piccoli'
+                suggestion: 'Considera di suddividere file complessi in moduli più piccoli',
+                files: highComplexityFiles.map(f => f.currentPath)
             });
         }
         
@@ -574,6 +675,7 @@ export class CodeExtractor {
         this.stats = {
             totalFiles: 0,
             totalSize: 0,
+            extractionMode: null,
             byLanguage: {},
             byExtension: {},
             complexity: {
@@ -619,7 +721,8 @@ export class CodeExtractor {
             averageLines: this.stats.totalFiles > 0 ?
                 Math.round(this.extractedFiles.reduce((sum, f) => sum + f.lines, 0) / this.stats.totalFiles) : 0,
             mostCommonLanguage: this.getMostCommonLanguage(),
-            projectType: this.guessProjectType()
+            projectType: this.guessProjectType(),
+            warnings: [...this.warnings]
         };
     }
     
@@ -643,7 +746,7 @@ export class CodeExtractor {
         if (this.stats.byLanguage.kotlin || this.stats.byLanguage.java) {
             return 'android';
         }
-        if (this.stats.byLanguage.javascript && this.stats.byLanguage.html) {
+        if ((this.stats.byLanguage.javascript || this.stats.byLanguage.typescript) && this.stats.byLanguage.html) {
             return 'web';
         }
         if (this.stats.byLanguage.python) {
@@ -4,6 +4,8 @@
  * Rinomina, sposta, duplica file secondo regole
  */
 
+import { Helpers } from '../utils/helpers.js';
+
 export class FileOrganizer {
     constructor() {
         console.log('📁 FileOrganizer initialized');
@@ -19,6 +21,9 @@ export class FileOrganizer {
         };
         
         this.files = [];
+        this.sourceFiles = [];
+        // Modifiche manuali, riapplicate dopo la configurazione a ogni organizzazione
+        this.contentOverrides = new Map();
         this.config = null;
         this.organizationLog = [];
     }
@@ -30,18 +35,120 @@ export class FileOrganizer {
     loadFiles(files) {
         console.log(`📂 Loading ${files.length} files...`);
         
-        this.files = files.map(file => ({
-            ...file,
-            id: file.id || this.generateId(),
-            originalPath: file.fileName,
-            currentPath: file.fileName,
-            operations: [],
-            status: 'pending'
-        }));
+        this.files = files.map(file => {
+            // I file importati da archivio mantengono il loro percorso
+            const currentPath = file.currentPath || file.fileName;
+            const separatorIndex = currentPath.lastIndexOf('/');
+            
+            return {
+                ...file,
+                id: file.id || this.generateId(),
+                originalPath: file.originalPath || currentPath,
+                currentPath: currentPath,
+                folderPath: file.folderPath ?? (separatorIndex > 0 ? currentPath.substring(0, separatorIndex) : ''),
+                operations: [],
+                status: 'pending'
+            };
+        });
+        
+        // Istantanea dei file caricati: ogni nuova organizzazione riparte da qui
+        this.sourceFiles = this.files.map(file => ({ ...file }));
+        
+        // Le modifiche manuali restano solo per i file ancora caricati
+        const loadedIds = new Set(this.files.map(file => file.id));
+        this.contentOverrides.forEach((override, key) => {
+            if (!override.sourceIds.every(id => loadedIds.has(id))) {
+                this.contentOverrides.delete(key);
+            }
+        });
         
         console.log('✅ Files loaded successfully');
     }
     
+    /**
+     * Ripristina i file com'erano al caricamento, annullando le operazioni applicate
+     */
+    restoreSourceFiles() {
+        this.files = this.sourceFiles.map(file => ({ ...file, operations: [] }));
+        this.organizationLog = [];
+        
+        console.log(`↩️ Restored ${this.files.length} source files`);
+    }
+    
+    /**
+     * Riapplica da zero una configurazione ai file caricati
+     * @param {Object} config - Configurazione JSON
+     * @param {Object} options - Opzioni di organizeFiles
+     * @returns {Promise<Array>} File organizzati
+     */
+    async reorganize(config, options = {}) {
+        this.loadConfig(config);
+        this.restoreSourceFiles();
+        return this.organizeFiles(options);
+    }
+    
+    /**
+     * Copia della configurazione con la voce di un file aggiornata (es. dalla vista ad albero)
+     * La voce usa sempre il percorso originale: il solo nome può indicare più file
+     * @param {Object} config - Configurazione corrente (non modificata)
+     * @param {string} section - Sezione (es. folderMappings, fileRenames)
+     * @param {string} fileId - ID del file
+     * @param {string} value - Nuovo valore
+     * @returns {Object|null} Nuova configurazione, null se il file non è tra quelli caricati
+     *                        (copie, unioni e divisioni nascono dalla configurazione stessa)
+     */
+    withConfigEntry(config, section, fileId, value) {
+        const source = this.sourceFiles.find(file => file.id === fileId);
+        
+        if (!source) {
+            return null;
+        }
+        
+        const entries = { ...(config?.[section] || {}) };
+        entries[source.originalPath] = value;
+        return { ...config, [section]: entries };
+    }
+    
+    /**
+     * Contenuto di partenza di un file organizzato, per confrontarlo con quello finale
+     * Le copie e le divisioni partono dal file sorgente, le unioni dai file uniti in ordine
+     * @param {Object} file - File organizzato
+     * @returns {Object} { content, sources } con i percorsi originali dei file sorgente
+     */
+    getOriginalContent(file) {
+        const sources = this.getSourceIds(file)
+            .map(id => this.sourceFiles.find(source => source.id === id))
+            .filter(Boolean);
+        
+        return {
+            content: sources.map(source => typeof source.content === 'string' ? source.content : '').join('\n'),
+            sources: sources.map(source => source.originalPath || source.currentPath)
+        };
+    }
+    
+    /**
+     * ID dei file caricati da cui nasce un file organizzato
+     * @param {Object} file - File organizzato
+     * @returns {Array} ID dei file sorgente
+     */
+    getSourceIds(file) {
+        const sourceIds = file.isMerged ? file.sourceFileIds :
+            [file.isCopy ? file.originalFileId : file.isSplit ? file.sourceFileId : file.id];
+        return sourceIds || [];
+    }
+    
+    /**
+     * Chiave stabile di un file tra un'organizzazione e l'altra
+     * I file uniti e divisi ricevono un nuovo ID a ogni organizzazione
+     * @param {Object} file - File organizzato
+     * @returns {string} Chiave
+     */
+    getContentKey(file) {
+        if (file.isMerged) return `merge:${file.currentPath}`;
+        if (file.isSplit) return `split:${file.sourceFileId}:${file.fileName}`;
+        return file.id;
+    }
+    
     /**
      * Carica configurazione di organizzazione
      * @param {Object} config - Configurazione JSON
@@ -95,6 +202,11 @@ export class FileOrganizer {
             }
         }
         
+        // Le modifiche manuali valgono sul risultato della configurazione
+        if (!dryRun) {
+            this.applyContentOverrides();
+        }
+        
         // Valida risultati se richiesto
         if (validateResults) {
             this.validateOrganizationResults();
@@ -158,13 +270,14 @@ export class FileOrganizer {
                 const operation = {
                     type: 'rename',
                     from: file.currentPath,
-                    to: newName,
+                    to: this.joinPath(file.folderPath, newName),
                     timestamp: new Date().toISOString()
                 };
                 
                 if (!dryRun) {
+                    // La rinomina non sposta il file dalla sua cartella
                     file.fileName = newName;
-                    file.currentPath = newName;
+                    file.currentPath = this.joinPath(file.folderPath, newName);
                     file.operations.push(operation);
                     file.status = 'renamed';
                 }
@@ -187,13 +300,14 @@ export class FileOrganizer {
             const file = this.findFileByName(fileName);
             
             if (file) {
-                const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+                const baseName = file.fileName.substring(0, file.fileName.lastIndexOf('.'));
                 const newFileName = `${baseName}.${newExtension}`;
+                const newPath = this.joinPath(file.folderPath, newFileName);
                 
                 const operation = {
                     type: 'changeExtension',
                     from: file.currentPath,
-                    to: newFileName,
+                    to: newPath,
                     oldExtension: file.extension,
                     newExtension: newExtension,
                     timestamp: new Date().toISOString()
@@ -201,14 +315,14 @@ export class FileOrganizer {
                 
                 if (!dryRun) {
                     file.fileName = newFileName;
-                    file.currentPath = newFileName;
+                    file.currentPath = newPath;
                     file.extension = newExtension;
                     file.operations.push(operation);
                     file.status = 'extension_changed';
                 }
                 
                 this.logOperation(operation, dryRun);
-                console.log(`🔧 ${dryRun ? '[DRY RUN] ' : ''}Changed extension: ${fileName} → ${newFileName}`);
+                console.log(`🔧 ${dryRun ? '[DRY RUN] ' : ''}Changed extension: ${fileName} → ${newPath}`);
             }
         });
     }
@@ -255,6 +369,10 @@ export class FileOrganizer {
         Object.entries(config).forEach(([fileName, updates]) => {
             const file = this.findFileByName(fileName);
             
+            if (file && this.skipBinary(file, 'updateContent')) {
+                return;
+            }
+            
             if (file) {
                 let newContent = file.content;
                 
@@ -340,7 +458,7 @@ export class FileOrganizer {
                         };
                         
                         // Applica modifiche specifiche alla copia se presenti
-                        if (location.modifications) {
+                        if (location.modifications && !this.skipBinary(fileCopy, 'copy modifications')) {
                             this.applyModificationsToCopy(fileCopy, location.modifications);
                         }
                         
@@ -388,7 +506,9 @@ export class FileOrganizer {
      */
     applyMergeFiles(config, dryRun) {
         Object.entries(config).forEach(([mergedFileName, sourceFiles]) => {
-            const sources = sourceFiles.map(fileName => this.findFileByName(fileName)).filter(Boolean);
+            const sources = sourceFiles
+                .map(fileName => this.findFileByName(fileName))
+                .filter(file => file && !this.skipBinary(file, 'merge'));
             
             if (sources.length > 0) {
                 const mergedContent = this.mergeFileContents(sources, config.mergeStrategy || 'concatenate');
@@ -445,6 +565,10 @@ export class FileOrganizer {
         Object.entries(config).forEach(([sourceFileName, splitConfig]) => {
             const sourceFile = this.findFileByName(sourceFileName);
             
+            if (sourceFile && this.skipBinary(sourceFile, 'split')) {
+                return;
+            }
+            
             if (sourceFile) {
                 const splitFiles = this.splitFileContent(sourceFile, splitConfig);
                 
@@ -634,11 +758,91 @@ export class FileOrganizer {
      * @returns {Object|null} File trovato
      */
     findFileByName(fileName) {
+        // Un percorso indica un solo file, il nome può valere per più file
         return this.files.find(file => 
-            file.fileName === fileName || 
             file.originalPath === fileName ||
             file.currentPath === fileName
-        );
+        ) || this.files.find(file => file.fileName === fileName);
+    }
+    
+    /**
+     * Sostituisce il contenuto di un file organizzato (modifica manuale, es. dall'editor)
+     * I file caricati restano intatti: la modifica si conserva a parte e si riapplica
+     * dopo la configurazione, anche per copie, unioni e divisioni
+     * @param {string} fileId - ID del file
+     * @param {string} content - Nuovo contenuto
+     * @param {Object} extra - Proprietà aggiuntive da aggiornare (es. metadata)
+     * @returns {Object|null} File aggiornato o null se non trovato o binario
+     */
+    updateFileContent(fileId, content, extra = {}) {
+        const file = this.files.find(item => item.id === fileId);
+        
+        if (!file || this.skipBinary(file, 'updateContent')) {
+            return null;
+        }
+        
+        const override = { content, extra, sourceIds: this.getSourceIds(file) };
+        this.contentOverrides.set(this.getContentKey(file), override);
+        this.applyContentOverride(file, override);
+        
+        console.log(`✏️ Updated content: ${file.currentPath}`);
+        return file;
+    }
+    
+    /**
+     * Riapplica le modifiche manuali ai file organizzati
+     */
+    applyContentOverrides() {
+        this.files.forEach(file => {
+            const override = this.contentOverrides.get(this.getContentKey(file));
+            
+            if (override && override.content !== file.content && !Helpers.isBinaryFile(file)) {
+                this.applyContentOverride(file, override);
+            }
+        });
+    }
+    
+    /**
+     * Applica una modifica manuale a un file e la registra come updateContent
+     * @param {Object} file - File organizzato
+     * @param {Object} override - { content, extra }
+     */
+    applyContentOverride(file, override) {
+        const { content, extra } = override;
+        const operation = {
+            type: 'updateContent',
+            file: file.currentPath,
+            changes: { manual: true },
+            sizeBefore: file.content.length,
+            sizeAfter: content.length,
+            timestamp: new Date().toISOString()
+        };
+        
+        Object.assign(file, extra, {
+            content: content,
+            size: new Blob([content]).size,
+            lines: content.split('\n').length
+        });
+        file.operations.push(operation);
+        file.status = 'content_updated';
+        
+        this.logOperation(operation, false);
+    }
+    
+    /**
+     * Verifica se un'operazione sul contenuto va saltata perché il file è binario
+     * I file binari si possono rinominare, spostare e copiare, ma il contenuto resta intatto
+     * @param {Object} file - File
+     * @param {string} operationType - Operazione richiesta
+     * @returns {boolean} True se il file è binario (operazione saltata)
+     */
+    skipBinary(file, operationType) {
+        if (!Helpers.isBinaryFile(file)) {
+            return false;
+        }
+        
+        console.warn(`⚠️ Skipped ${operationType} on binary file: ${file.currentPath || file.fileName}`);
+        return true;
     }
     
     /**
@@ -873,6 +1077,12 @@ export class FileOrganizer {
                 return `Uniti ${operation.sourceFiles.length} file in ${operation.mergedFile}`;
             case 'split':
                 return `Diviso ${operation.sourceFile} in ${operation.splitFiles.length} file`;
+            case 'merged_into':
+                return `Unito in ${operation.mergedFile}`;
+            case 'split_into':
+                return `Diviso in ${operation.splitFiles.join(', ')}`;
+            case 'split_from':
+                return `Estratto da ${operation.sourceFile}`;
             default:
                 return `Operazione: ${operation.type}`;
         }
@@ -993,6 +1203,40 @@ export class FileOrganizer {
                     }
                 };
                 
+            case 'nodejs':
+                return {
+                    ...baseTemplate,
+                    folderMappings: {
+                        "app.js": "src",
+                        "server.js": "src",
+                        "users.routes.js": "src/routes",
+                        "users.controller.js": "src/controllers",
+                        "users.service.js": "src/services",
+                        "errorHandler.js": "src/middleware",
+                        "env.js": "src/config",
+                        "health.test.js": "tests",
+                        "package.json": "."
+                    },
+                    fileRenames: {
+                        "userRoutes.js": "users.routes.js",
+                        "userController.js": "users.controller.js",
+                        "userService.js": "users.service.js"
+                    }
+                };
+                
+            case 'python':
+                return {
+                    ...baseTemplate,
+                    folderMappings: {
+                        "test_main.py": "tests",
+                        "conftest.py": "tests",
+                        "requirements.txt": "."
+                    },
+                    fileRenames: {
+                        "tests.py": "test_main.py"
+                    }
+                };
+                
             default:
                 return {
                     ...baseTemplate,
@@ -1005,6 +1249,7 @@ export class FileOrganizer {
     
     /**
      * Ottieni struttura finale del progetto
+     * Le cartelle sono oggetti annidati; i file sono foglie con isFile: true, id e percorso
      * @returns {Object} Struttura ad albero
      */
     getFinalProjectStructure() {
@@ -1028,9 +1273,16 @@ export class FileOrganizer {
             
             const fileName = parts[parts.length - 1];
             current[fileName] = {
+                isFile: true,
+                id: file.id,
+                path: path,
                 size: file.size,
                 extension: file.extension,
+                status: file.status,
                 operations: file.operations.length,
+                isCopy: Boolean(file.isCopy),
+                isMerged: Boolean(file.isMerged),
+                isSplit: Boolean(file.isSplit),
                 isGenerated: file.isCopy || file.isMerged || file.isSplit
             };
         });
@@ -1043,6 +1295,8 @@ export class FileOrganizer {
      */
     reset() {
         this.files = [];
+        this.sourceFiles = [];
+        this.contentOverrides = new Map();
         this.config = null;
         this.organizationLog = [];
         this.validationResults = null;
@@ -0,0 +1,662 @@
+/**
+ * HeaderParsers Module
+ * Registro dei formati di intestazione riconosciuti da CodeExtractor
+ * Ogni parser divide il testo in sezioni { title, content, line } e
+ * il rilevamento automatico sceglie il formato con il punteggio più alto
+ */
+
+import { LanguageDetector } from '../utils/languageDetector.js';
+import { Constants } from '../utils/constants.js';
+
+// Nome file con estensione (eventualmente preceduto da cartelle)
+const FILENAME_PATTERN = /([A-Za-z0-9_.-]+\.[a-zA-Z0-9]+)/;
+
+// Voce di elenco Markdown: gruppo 1 = numero per gli elenchi numerati
+const LIST_ITEM_PATTERN = /^\s{0,3}(?:(\d+)[.)]|[-*+•])\s+\S/;
+
+// Righe tra "diff --git"/"Index:" e l'intestazione ---/+++ di un file
+const DIFF_EXTENDED_HEADER = /^(?:index |(?:new|deleted) file mode |old mode |new mode |similarity index |dissimilarity index |rename (?:from|to) |copy (?:from|to) |={3,}\s*$)/;
+
+export class HeaderParsers {
+    constructor() {
+        console.log('🧩 HeaderParsers initialized');
+
+        this.parsers = new Map();
+        this.registerDefaultParsers();
+    }
+
+    /**
+     * Registra i formati inclusi nell'applicazione
+     * L'ordine conta: a parità di punteggio vince il formato registrato prima
+     */
+    registerDefaultParsers() {
+        this.registerParser('numbered', {
+            label: 'Intestazioni numerate',
+            example: '1. NomeFile.ext',
+            cleanCode: true,
+            // Come in origine ogni riga numerata apre un file, ma nel punteggio
+            // contano solo quelle con un nome file (non gli elenchi numerati)
+            parse: input => this.parseLineHeaders(input, /^(?<number>\d+)\.\s*(?<title>.+?)\s*$/, { anyTitle: true }),
+            detect: input => this.parseLineHeaders(input, /^(?<number>\d+)\.\s*(?<title>.+?)\s*$/).length
+        });
+        this.registerParser('markdown', {
+            label: 'Blocchi Markdown',
+            example: '### NomeFile.ext seguito da un blocco ```',
+            parse: input => this.parseMarkdown(input)
+        });
+        this.registerParser('comment', {
+            label: 'Commenti "File:"',
+            example: '// File: NomeFile.ext',
+            cleanCode: true,
+            parse: input => this.parseLineHeaders(input,
+                /^\s*(?:\/\/|#|--|;|\/\*|<!--)\s*(?:file(?:name)?|path)\s*:\s*(.+?)\s*(?:\*\/|-->)?\s*$/i)
+        });
+        this.registerParser('diff', {
+            label: 'Diff unificato',
+            example: '--- a/NomeFile.ext / +++ b/NomeFile.ext',
+            parse: input => this.parseDiff(input)
+        });
+        this.registerParser('head', {
+            label: 'Output di head',
+            example: '==> NomeFile.ext <==',
+            cleanCode: true,
+            parse: input => this.parseLineHeaders(input, /^==>\s*(.+?)\s*<==\s*$/)
+        });
+        this.registerParser('xml', {
+            label: 'Tag <file>',
+            example: '<file name="NomeFile.ext">...</file>',
+            parse: input => this.parseXmlTags(input)
+        });
+        this.registerParser('symboled', {
+            label: 'Intestazioni con simboli',
+            example: '# NomeFile.ext oppure - NomeFile.ext',
+            cleanCode: true,
+            parse: input => this.parseLineHeaders(input, /^(?:#{1,6}|[*•>-])\s+(\S+)\s*:?\s*$/)
+        });
+    }
+
+    /**
+     * Registra un formato di intestazione
+     * Contratto: parser.parse(input) restituisce le sezioni { title, content, line, language?, warnings? }
+     * (title null se la sezione non nomina un file); parser.detect(input) è opzionale e restituisce
+     * un punteggio, altrimenti conta le sezioni con un nome file
+     * @param {string} name - Nome del formato (usato come modalità di estrazione)
+     * @param {Object} parser - Oggetto con parse, opzionali detect, label, example, cleanCode
+     */
+    registerParser(name, parser) {
+        if (!name || name === 'auto') {
+            throw new Error(`Nome formato non valido: ${name}`);
+        }
+
+        if (!parser || typeof parser.parse !== 'function') {
+            throw new Error(`Il parser "${name}" deve esporre parse(input)`);
+        }
+
+        if (this.parsers.has(name)) {
+            console.warn(`⚠️ Header parser "${name}" replaced`);
+        }
+
+        this.parsers.set(name, {
+            parse: parser.parse,
+            detect: typeof parser.detect === 'function' ? parser.detect : null,
+            label: parser.label || name,
+            example: parser.example || '',
+            cleanCode: parser.cleanCode === true
+        });
+    }
+
+    /**
+     * Rimuove un formato registrato
+     * @param {string} name - Nome del formato
+     * @returns {boolean} True se era registrato
+     */
+    unregisterParser(name) {
+        return this.parsers.delete(name);
+    }
+
+    /**
+     * Verifica se un formato è registrato
+     * @param {string} name - Nome del formato
+     * @returns {boolean} Formato disponibile
+     */
+    hasParser(name) {
+        return this.parsers.has(name);
+    }
+
+    /**
+     * Restituisce un formato registrato
+     * @param {string} name - Nome del formato
+     * @returns {Object|null} Parser registrato
+     */
+    getParser(name) {
+        return this.parsers.get(name) || null;
+    }
+
+    /**
+     * Formati registrati
+     * @returns {Array} Elenco { name, label, example }
+     */
+    getRegisteredParsers() {
+        return Array.from(this.parsers.entries()).map(([name, entry]) => ({
+            name: name,
+            label: entry.label,
+            example: entry.example
+        }));
+    }
+
+    /**
+     * Divide il testo con il formato indicato
+     * @param {string} input - Testo input
+     * @param {string} name - Nome del formato
+     * @returns {Array} Sezioni { title, content, line, language?, warnings? }
+     */
+    parse(input, name) {
+        const entry = this.parsers.get(name);
+        if (!entry) {
+            throw new Error(`Formato di intestazione non supportato: ${name}`);
+        }
+
+        return entry.parse(input);
+    }
+
+    /**
+     * Assegna un punteggio a ogni formato e sceglie il migliore
+     * @param {string} input - Testo input
+     * @returns {Object} { name, score, scores } - name null se nessun formato riconosce file
+     */
+    detectFormat(input) {
+        const scores = {};
+        let best = { name: null, score: 0 };
+
+        this.parsers.forEach((entry, name) => {
+            let score = 0;
+
+            try {
+                score = entry.detect ?
+                    entry.detect(input) :
+                    entry.parse(input).filter(section => section.title).length;
+            } catch (error) {
+                console.warn(`⚠️ Header parser "${name}" failed during detection:`, error);
+            }
+
+            scores[name] = score;
+            if (score > best.score) {
+                best = { name, score };
+            }
+        });
+
+        console.log('🧩 Header format scores:', scores);
+        return { ...best, scores };
+    }
+
+    /**
+     * Divide il testo su righe di intestazione: ogni sezione va fino all'intestazione successiva
+     * Conta solo le intestazioni che contengono un nome file, salvo anyTitle.
+     * Le intestazioni dentro blocchi ```, stringhe, commenti su più righe o che proseguono
+     * un elenco di un file Markdown non aprono un file
+     * @param {string} input - Testo input
+     * @param {RegExp} pattern - Pattern della riga di intestazione (gruppo 1 o "title" = titolo,
+     *                           gruppo "number" = numero progressivo)
+     * @param {Object} options - anyTitle: accetta anche titoli senza nome file
+     * @returns {Array} Sezioni
+     */
+    parseLineHeaders(input, pattern, options = {}) {
+        const lines = input.split(/\r?\n/);
+        const result = this.splitLineHeaders(lines, pattern, options, true);
+
+        // Un contesto mai chiuso (es. ``` o """ spaiati) inghiottirebbe il resto del testo:
+        // in quel caso le intestazioni interne vengono considerate
+        if (!result.unbalanced) {
+            return result.sections;
+        }
+
+        const fallback = this.splitLineHeaders(lines, pattern, options, false);
+        const section = fallback.sections.find(item => item.line === result.unbalanced.line);
+        if (section) {
+            section.warnings.push(`Contesto mai chiuso in ${result.unbalanced.title} (${this.describeContext(result.unbalanced.context)}): intestazioni interne considerate`);
+        }
+        return fallback.sections;
+    }
+
+    /**
+     * Divide le righe in sezioni tenendo traccia del contesto del codice
+     * @param {Array} lines - Righe del testo
+     * @param {RegExp} pattern - Pattern della riga di intestazione
+     * @param {Object} options - anyTitle
+     * @param {boolean} trackContext - Ignora le intestazioni dentro codice, stringhe e commenti
+     * @returns {Object} { sections, unbalanced } - unbalanced: sezione le cui intestazioni
+     *                   sono state inghiottite da un contesto mai chiuso
+     */
+    splitLineHeaders(lines, pattern, options, trackContext) {
+        const sections = [];
+        let current = null;
+        let context = this.createCodeContext();
+        let unbalanced = null;
+
+        const closeSection = () => {
+            if (current?.swallowed && context.open && !unbalanced) {
+                unbalanced = { line: current.line, title: current.title, context: context.open };
+            }
+        };
+
+        lines.forEach((line, index) => {
+            const match = line.match(pattern);
+            const rawTitle = match ? (match.groups?.title ?? match[1]) : null;
+            const title = rawTitle && (options.anyTitle ? rawTitle.trim() : this.getTitleFileName(rawTitle));
+
+            if (title && current) {
+                const reason = trackContext && context.open ?
+                    this.describeContext(context.open) :
+                    trackContext && this.continuesMarkdownList(context, current, line) ?
+                        this.describeContext('list') :
+                        this.getAmbiguityProblem(match, current, title);
+
+                if (reason) {
+                    current.warnings.push(`Intestazione "${line.trim()}" alla riga ${index + 1} ignorata in ${current.title}: ${reason}`);
+                    current.swallowed = current.swallowed || Boolean(trackContext && context.open);
+                    current.lines.push(line);
+                    this.updateCodeContext(context, line);
+                    return;
+                }
+            }
+
+            if (title) {
+                closeSection();
+                current = { title, line: index + 1, number: match.groups?.number, lines: [], warnings: [] };
+                context = this.createCodeContext();
+                sections.push(current);
+            } else if (current) {
+                current.lines.push(line);
+                this.updateCodeContext(context, line);
+            }
+        });
+
+        closeSection();
+
+        return {
+            sections: sections.map(({ lines: sectionLines, number, swallowed, ...section }) => ({
+                ...section,
+                content: sectionLines.join('\n').trim()
+            })),
+            unbalanced
+        };
+    }
+
+    /**
+     * Riconosce le intestazioni senza nome file che sono più probabilmente
+     * voci di un elenco numerato dentro il file precedente
+     * @param {Array} match - Risultato del pattern (gruppo "number" opzionale)
+     * @param {Object} current - Sezione corrente
+     * @param {string} title - Titolo dell'intestazione
+     * @returns {string|null} Motivo per ignorarla o null
+     */
+    getAmbiguityProblem(match, current, title) {
+        const number = match.groups?.number;
+
+        if (number !== undefined && current.number !== undefined &&
+            Number(number) !== Number(current.number) + 1) {
+            return 'numerazione fuori sequenza';
+        }
+
+        if (FILENAME_PATTERN.test(title)) return null;
+
+        return /\s/.test(title) ? 'sembra una voce di elenco, non un nome file' : null;
+    }
+
+    /**
+     * Riconosce le intestazioni che proseguono un elenco aperto nel contenuto di un file Markdown
+     * (es. "2. Modifica config.yml" dopo "1. Installa" in un README)
+     * @param {Object} context - Contesto corrente (list: ultima voce di elenco)
+     * @param {Object} current - Sezione corrente
+     * @param {string} line - Riga dell'intestazione
+     * @returns {boolean} True se la riga è la voce successiva dell'elenco
+     */
+    continuesMarkdownList(context, current, line) {
+        if (!context.list || !/\.(?:md|markdown)$/i.test(current.title)) return false;
+
+        const item = line.match(LIST_ITEM_PATTERN);
+        if (!item) return false;
+
+        // Un numero prosegue solo un elenco numerato (anche dopo righe vuote),
+        // un punto elenco solo la voce puntata immediatamente precedente
+        if (item[1] === undefined) return context.list.number === null && !context.list.gap;
+        return context.list.number !== null && Number(item[1]) === context.list.number + 1;
+    }
+
+    /**
+     * Stato iniziale del contesto del codice
+     * @returns {Object} { open: null | 'fence' | 'string' | 'template' | 'comment' | 'html-comment', fence, quote,
+     *                    list: ultima voce dell'elenco Markdown in corso { number, gap } o null }
+     */
+    createCodeContext() {
+        return { open: null, fence: null, quote: null, list: null };
+    }
+
+    /**
+     * Aggiorna il contesto con una riga del contenuto
+     * Riconosce blocchi ``` / ~~~, stringhe su più righe (""" ''' `), commenti a blocco e HTML
+     * ed elenchi (le righe vuote o rientrate non interrompono l'elenco)
+     * @param {Object} context - Contesto corrente (modificato)
+     * @param {string} line - Riga del contenuto
+     */
+    updateCodeContext(context, line) {
+        const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+
+        if (!context.open) {
+            const item = line.match(LIST_ITEM_PATTERN);
+            if (item) {
+                context.list = { number: item[1] === undefined ? null : Number(item[1]), gap: false };
+            } else if (!line.trim()) {
+                if (context.list) context.list.gap = true;
+            } else if (!/^\s/.test(line)) {
+                context.list = null;
+            }
+        }
+
+        if (context.open === 'fence') {
+            const closing = line.trim();
+            if (fenceMatch && /^([`~])\1*$/.test(closing) &&
+                closing[0] === context.fence[0] && closing.length >= context.fence.length) {
+                context.open = null;
+                context.fence = null;
+            }
+            return;
+        }
+
+        if (!context.open && fenceMatch) {
+            context.open = 'fence';
+            context.fence = fenceMatch[1];
+            return;
+        }
+
+        // Scorre i delimitatori nell'ordine in cui compaiono nella riga
+        const delimiters = /"""|'''|`|\/\*|\*\/|<!--|-->|\/\/.*$/g;
+        let token;
+
+        while ((token = delimiters.exec(line)) !== null) {
+            const value = token[0];
+
+            if (!context.open) {
+                // Il resto della riga è un commento
+                if (value.startsWith('//')) break;
+
+                if (value === '"""' || value === "'''") {
+                    context.open = 'string';
+                    context.quote = value;
+                } else if (value === '`') {
+                    context.open = 'template';
+                } else if (value === '/*') {
+                    context.open = 'comment';
+                } else if (value === '<!--') {
+                    context.open = 'html-comment';
+                }
+            } else if ((context.open === 'string' && value === context.quote) ||
+                (context.open === 'template' && value === '`') ||
+                (context.open === 'comment' && value === '*/') ||
+                (context.open === 'html-comment' && value === '-->')) {
+                context.open = null;
+                context.quote = null;
+            }
+        }
+    }
+
+    /**
+     * Descrizione del contesto per i messaggi
+     * @param {string} open - Tipo di contesto aperto
+     * @returns {string} Descrizione
+     */
+    describeContext(open) {
+        const descriptions = {
+            fence: 'si trova in un blocco di codice',
+            string: 'si trova in una stringa su più righe',
+            template: 'si trova in un template literal',
+            comment: 'si trova in un commento su più righe',
+            'html-comment': 'si trova in un commento HTML',
+            list: 'prosegue un elenco del file Markdown'
+        };
+
+        return descriptions[open] || 'si trova nel codice';
+    }
+
+    /**
+     * Trova i blocchi di codice Markdown e il nome file associato
+     * Il nome viene dall'info-string del blocco o dall'ultimo titolo,
+     * nome in grassetto o riga con solo il nome file che lo precede
+     * @param {string} input - Testo input
+     * @returns {Array} Sezioni (title null per i blocchi senza nome)
+     */
+    parseMarkdown(input) {
+        const blocks = [];
+        let pendingTitle = null;
+        let fence = null;
+
+        input.split(/\r?\n/).forEach((line, index) => {
+            if (fence) {
+                const closing = line.trim();
+                if (closing.startsWith(fence.marker) &&
+                    /^([`~])\1*$/.test(closing) && closing[0] === fence.marker[0]) {
+                    blocks.push(this.createMarkdownBlock(fence));
+                    fence = null;
+                } else {
+                    // Rimuovi l'indentazione del blocco (es. blocchi dentro liste)
+                    fence.lines.push(line.startsWith(fence.indent) ? line.slice(fence.indent.length) : line.trimStart());
+                }
+                return;
+            }
+
+            const fenceMatch = line.match(/^(\s*)(`{3,}|~{3,})\s*([^`]*?)\s*$/);
+            if (fenceMatch) {
+                const info = this.parseFenceInfo(fenceMatch[3]);
+                fence = {
+                    indent: fenceMatch[1],
+                    marker: fenceMatch[2],
+                    title: info.fileName || pendingTitle,
+                    language: info.language,
+                    line: index + 1,
+                    lines: []
+                };
+                pendingTitle = null;
+                return;
+            }
+
+            const headingMatch = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+            if (headingMatch) {
+                // Ogni titolo apre una nuova sezione, anche se non nomina un file
+                pendingTitle = this.getTitleFileName(headingMatch[1]);
+                return;
+            }
+
+            const titleMatch = line.match(/^\s*(?:\*\*|__)(.+?)(?:\*\*|__)\s*:?\s*$/) ||
+                line.match(/^\s*(?:file(?:name)?\s*:\s*)?`?([\w./-]+\.[A-Za-z0-9]+)`?\s*:?\s*$/i);
+            if (titleMatch) {
+                pendingTitle = this.getTitleFileName(titleMatch[1]) || pendingTitle;
+            }
+        });
+
+        if (fence) {
+            const block = this.createMarkdownBlock(fence);
+            block.warnings = [`Blocco di codice alla riga ${fence.line} non chiuso: letto fino alla fine del testo`];
+            blocks.push(block);
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Crea un blocco Markdown dalle righe raccolte
+     * @param {Object} fence - Blocco aperto
+     * @returns {Object} Sezione { title, language, content, line }
+     */
+    createMarkdownBlock(fence) {
+        return {
+            title: fence.title,
+            language: fence.language,
+            content: fence.lines.join('\n').replace(/^(?:[ \t]*\n)+/, '').trimEnd(),
+            line: fence.line
+        };
+    }
+
+    /**
+     * Legge linguaggio e nome file dall'info-string di un blocco
+     * Formati: ```kotlin, ```kotlin App.kt, ```kotlin:App.kt, ```kotlin title="App.kt", ```App.kt
+     * @param {string} info - Info-string
+     * @returns {Object} { language, fileName }
+     */
+    parseFenceInfo(info) {
+        const result = { language: null, fileName: null };
+        if (!info) return result;
+
+        const attribute = info.match(/(?:title|file(?:name)?|name)\s*=\s*["']?([^"'\s]+)/i);
+        const tokens = info.replace(/[{}]/g, ' ').split(/\s+/).filter(Boolean);
+        const [first = '', ...rest] = tokens;
+        const [languageToken, inlineName] = first.split(':');
+
+        result.fileName = this.getTitleFileName(attribute?.[1] || inlineName || '') ||
+            rest.map(token => this.getTitleFileName(token)).find(Boolean) || null;
+
+        if (!result.fileName && this.getTitleFileName(first)) {
+            result.fileName = this.getTitleFileName(first);
+        } else {
+            result.language = LanguageDetector.resolveAlias(languageToken);
+        }
+
+        return result;
+    }
+
+    /**
+     * Ricostruisce i file da un diff unificato (versione nuova: contesto e righe aggiunte)
+     * Solo i file nuovi (--- /dev/null) sono completi, gli altri contengono le righe del diff
+     * @param {string} input - Testo input
+     * @returns {Array} Sezioni
+     */
+    parseDiff(input) {
+        const sections = [];
+        const lines = input.split(/\r?\n/);
+        let current = null;
+
+        lines.forEach((line, index) => {
+            // Le intestazioni "--- a/x" + "+++ b/x" aprono un nuovo file
+            if (/^--- /.test(line) && this.isDiffFileHeader(lines, index + 1)) {
+                current = null;
+                return;
+            }
+
+            const newFile = line.match(/^\+\+\+ (.+)$/);
+            if (newFile && this.isDiffFileHeader(lines, index)) {
+                const oldPath = lines[index - 1].slice(4).split('\t')[0].trim();
+                const newPath = newFile[1].split('\t')[0].trim();
+                const title = this.getTitleFileName(newPath.replace(/^b\//, ''));
+                const warnings = [];
+
+                if (newPath === '/dev/null') {
+                    warnings.push(`File eliminato dal diff alla riga ${index + 1}: ignorato`);
+                } else if (oldPath !== '/dev/null') {
+                    warnings.push(`Diff di una modifica per ${title}: il file contiene solo le righe presenti nel diff`);
+                }
+
+                current = { title: newPath === '/dev/null' ? null : title, line: index + 1, lines: [], warnings };
+                sections.push(current);
+                return;
+            }
+
+            if (!current || /^@@ /.test(line) || line.startsWith('\\') || line.startsWith('-')) return;
+
+            if (line.startsWith('+') || line.startsWith(' ')) {
+                current.lines.push(line.slice(1));
+            } else if (line === '') {
+                current.lines.push('');
+            } else {
+                // Righe come "diff --git" o "index" chiudono il file corrente
+                current = null;
+            }
+        });
+
+        return sections.map(({ lines: fileLines, ...section }) => ({
+            ...section,
+            content: fileLines.join('\n').trimEnd()
+        }));
+    }
+
+    /**
+     * Verifica che la riga "+++" chiuda l'intestazione di un file del diff:
+     * "---" subito prima, un hunk "@@" subito dopo e un preambolo "diff --git"/"Index:"
+     * oppure i path nella forma a/... b/... (o /dev/null)
+     * @param {Array} lines - Righe dell'input
+     * @param {number} index - Indice della riga "+++"
+     * @returns {boolean} Intestazione di un file
+     */
+    isDiffFileHeader(lines, index) {
+        const oldLine = lines[index - 1] || '';
+        const newLine = lines[index] || '';
+
+        if (!/^--- /.test(oldLine) || !/^\+\+\+ /.test(newLine) || !/^@@ /.test(lines[index + 1] || '')) {
+            return false;
+        }
+
+        const oldPath = oldLine.slice(4).split('\t')[0].trim();
+        const newPath = newLine.slice(4).split('\t')[0].trim();
+        const isPath = (path, prefix) => path === '/dev/null' || path.startsWith(prefix);
+
+        if (isPath(oldPath, 'a/') && isPath(newPath, 'b/') && !(oldPath === '/dev/null' && newPath === '/dev/null')) {
+            return true;
+        }
+
+        // Risale le righe di intestazione estese (index, new file mode, =====...)
+        let previous = index - 2;
+        while (previous >= 0 && DIFF_EXTENDED_HEADER.test(lines[previous])) {
+            previous--;
+        }
+
+        return previous >= 0 && /^(?:diff --git |Index: )/.test(lines[previous]);
+    }
+
+    /**
+     * Estrae i file racchiusi in tag <file name="..."> o <file path="...">
+     * @param {string} input - Testo input
+     * @returns {Array} Sezioni
+     */
+    parseXmlTags(input) {
+        const sections = [];
+        const openTag = /<file\s+[^>]*?(?:name|path)\s*=\s*["']([^"']+)["'][^>]*>/gi;
+        const openings = [...input.matchAll(openTag)];
+
+        openings.forEach((match, index) => {
+            const start = match.index + match[0].length;
+            const nextOpening = openings[index + 1]?.index ?? input.length;
+            const closing = input.indexOf('</file>', start);
+            const closed = closing !== -1 && closing < nextOpening;
+
+            let content = input.substring(start, closed ? closing : nextOpening)
+                .replace(/^[ \t]*\r?\n/, '')
+                .trimEnd();
+
+            // Contenuto racchiuso in CDATA
+            const cdata = content.trim().match(/^<!\[CDATA\[([\s\S]*)\]\]>$/);
+            if (cdata) {
+                content = cdata[1].replace(/^[ \t]*\r?\n/, '').trimEnd();
+            }
+
+            sections.push({
+                title: this.getTitleFileName(match[1]),
+                content,
+                line: input.substring(0, match.index).split('\n').length,
+                warnings: closed ? [] : [`Tag <file> per ${match[1]} non chiuso`]
+            });
+        });
+
+        return sections;
+    }
+
+    /**
+     * Restituisce il titolo se contiene un nome file (anche senza estensione se noto, es. Dockerfile)
+     * @param {string} title - Titolo, nome in grassetto o token dell'info-string
+     * @returns {string|null} Titolo ripulito o null
+     */
+    getTitleFileName(title) {
+        const cleaned = title.replace(/`/g, '').trim().replace(/^(\*\*|__|\*|_)(.+)\1$/, '$2');
+        const name = cleaned.split(/[\\/]/).pop();
+        return FILENAME_PATTERN.test(cleaned) || Constants.EXTENSIONLESS_FILE_NAMES.includes(name) ? cleaned : null;
+    }
+}
+
+export default HeaderParsers;
@@ -1,15 +1,253 @@
-/**
- * Project Generator Module
- */
-export class ProjectGenerator {
-    constructor() {
-        console.log('🏗️ ProjectGenerator initialized');
-    }
-    
-    async generateProject(config) {
-        console.log('🚀 Generating project:', config);
-        return { success: true, message: 'Project generated' };
-    }
-}
-
-export default ProjectGenerator;
\ No newline at end of file
+/**
+ * Project Generator Module
+ * Registro dei builder per tipo di progetto
+ * Smista la generazione, unisce i file utente e produce un report
+ */
+
+import { AndroidBuilder } from '../modules/AndroidBuilder.js';
+import { WebBuilder } from '../modules/WebBuilder.js';
+import { NodeBuilder } from '../modules/NodeBuilder.js';
+import { PythonBuilder } from '../modules/PythonBuilder.js';
+import { Helpers } from '../utils/helpers.js';
+import { Constants } from '../utils/constants.js';
+
+export class ProjectGenerator {
+    constructor() {
+        console.log('🏗️ ProjectGenerator initialized');
+
+        this.builders = new Map();
+        this.registerDefaultBuilders();
+    }
+
+    /**
+     * Registra i builder inclusi nell'applicazione
+     */
+    registerDefaultBuilders() {
+        const { PROJECT_TYPES } = Constants;
+        const webBuilder = new WebBuilder();
+
+        this.registerBuilder(PROJECT_TYPES.ANDROID, new AndroidBuilder(), {
+            label: 'Android',
+            mergesUserFiles: true
+        });
+        this.registerBuilder(PROJECT_TYPES.WEB, webBuilder, { label: 'Web' });
+        this.registerBuilder(PROJECT_TYPES.REACT, webBuilder, {
+            label: 'React',
+            defaults: { projectType: 'react' }
+        });
+        this.registerBuilder(PROJECT_TYPES.VUE, webBuilder, {
+            label: 'Vue',
+            defaults: { projectType: 'vue' }
+        });
+        this.registerBuilder(PROJECT_TYPES.ANGULAR, webBuilder, {
+            label: 'Angular',
+            defaults: { projectType: 'angular' }
+        });
+        this.registerBuilder(PROJECT_TYPES.NODE, new NodeBuilder(), { label: 'Node.js' });
+        this.registerBuilder(PROJECT_TYPES.PYTHON, new PythonBuilder(), { label: 'Python' });
+    }
+
+    /**
+     * Registra un builder per un tipo di progetto
+     * Contratto: builder.generateProject(config) riceve la configurazione con `files`
+     * (file utente normalizzati) e restituisce { projectName, files, userFiles?, warnings?, conflicts? }
+     * userFiles sono i file utente riposizionati dal builder, uniti qui al posto di quelli ricevuti
+     * @param {string} type - Tipo progetto (uno di Constants.PROJECT_TYPES)
+     * @param {Object} builder - Istanza con metodo generateProject
+     * @param {Object} options - label, defaults (config di base), mergesUserFiles (il builder posiziona da sé i file utente)
+     */
+    registerBuilder(type, builder, options = {}) {
+        if (!Object.values(Constants.PROJECT_TYPES).includes(type)) {
+            throw new Error(`Tipo progetto non supportato: ${type}`);
+        }
+
+        if (!builder || typeof builder.generateProject !== 'function') {
+            throw new Error(`Il builder per "${type}" deve esporre generateProject(config)`);
+        }
+
+        if (this.builders.has(type)) {
+            console.warn(`⚠️ Builder for "${type}" replaced`);
+        }
+
+        this.builders.set(type, {
+            builder: builder,
+            label: options.label || type,
+            defaults: options.defaults || {},
+            mergesUserFiles: options.mergesUserFiles === true
+        });
+    }
+
+    /**
+     * Rimuove il builder registrato per un tipo
+     * @param {string} type - Tipo progetto
+     * @returns {boolean} True se era registrato
+     */
+    unregisterBuilder(type) {
+        return this.builders.delete(type);
+    }
+
+    /**
+     * Verifica se esiste un builder per il tipo
+     * @param {string} type - Tipo progetto
+     * @returns {boolean} Builder disponibile
+     */
+    hasBuilder(type) {
+        return this.builders.has(type);
+    }
+
+    /**
+     * Tipi di progetto con un builder registrato
+     * @returns {Array} Elenco { type, label }
+     */
+    getRegisteredTypes() {
+        return Array.from(this.builders.entries()).map(([type, entry]) => ({
+            type: type,
+            label: entry.label
+        }));
+    }
+
+    /**
+     * Genera un progetto con il builder registrato per il tipo
+     * @param {Object} config - Configurazione: type, files (file utente) e opzioni del builder
+     * @returns {Object} { success, type, projectName, files, report }
+     */
+    async generateProject(config) {
+        console.log('🚀 Generating project:', config);
+
+        const { type, files = [], ...builderConfig } = config;
+        const entry = this.builders.get(type);
+
+        if (!entry) {
+            throw new Error(`Nessun builder registrato per il tipo: ${type}`);
+        }
+
+        const startTime = performance.now();
+        const userFiles = files.map(file => this.normalizeFile(file));
+
+        const result = await entry.builder.generateProject({
+            ...entry.defaults,
+            ...builderConfig,
+            files: userFiles
+        });
+
+        const generatedFiles = (result.files || []).map(file => this.normalizeFile(file));
+        const placedFiles = result.userFiles ?
+            result.userFiles.map(file => this.normalizeFile(file)) :
+            userFiles;
+        const conflicts = [...(result.conflicts || [])];
+        const projectFiles = entry.mergesUserFiles ?
+            generatedFiles :
+            this.mergeUserFiles(generatedFiles, placedFiles, conflicts);
+
+        const report = this.createReport({
+            type: type,
+            label: entry.label,
+            projectName: result.projectName,
+            files: projectFiles,
+            userFiles: placedFiles,
+            conflicts: conflicts,
+            warnings: result.warnings || [],
+            duration: performance.now() - startTime
+        });
+
+        console.log(`✅ ${entry.label} project generated: ${projectFiles.length} files`);
+
+        return {
+            success: true,
+            type: type,
+            projectName: result.projectName,
+            files: projectFiles,
+            report: report
+        };
+    }
+
+    /**
+     * Unisce i file utente a quelli generati (a parità di path vince il file utente)
+     * @param {Array} generatedFiles - File generati dal builder
+     * @param {Array} userFiles - File utente normalizzati
+     * @param {Array} conflicts - Raccoglie i path sovrascritti
+     * @returns {Array} File del progetto
+     */
+    mergeUserFiles(generatedFiles, userFiles, conflicts) {
+        const byPath = new Map(generatedFiles.map(file => [file.currentPath, file]));
+
+        userFiles.forEach(file => {
+            // Configurazione generata dall'estrattore, non fa parte del progetto
+            if (file.fileName === 'project-config.json') return;
+
+            const existing = byPath.get(file.currentPath);
+            if (existing) {
+                conflicts.push({
+                    path: file.currentPath,
+                    with: existing.generated ? 'generated' : 'user',
+                    resolution: 'user'
+                });
+            }
+
+            byPath.set(file.currentPath, file);
+        });
+
+        return Array.from(byPath.values());
+    }
+
+    /**
+     * Porta un file alla forma comune { id, fileName, currentPath, folderPath, extension, content, size, lines }
+     * @param {Object} file - File generato o utente
+     * @returns {Object} File normalizzato
+     */
+    normalizeFile(file) {
+        const path = this.normalizePath(file.currentPath || file.fileName || file.name || '');
+        const content = file.content ?? '';
+        const base = Helpers.createProjectFile(path, content, { generated: false });
+
+        return {
+            ...base,
+            ...file,
+            fileName: base.fileName,
+            currentPath: path,
+            folderPath: base.folderPath,
+            extension: file.extension || base.extension,
+            content: content,
+            size: file.size ?? base.size,
+            lines: file.lines ?? base.lines
+        };
+    }
+
+    /**
+     * Normalizza un path relativo (separatori, "./" e slash iniziali)
+     * @param {string} path - Path grezzo
+     * @returns {string} Path normalizzato
+     */
+    normalizePath(path) {
+        return path
+            .replace(/\\/g, '/')
+            .replace(/\/{2,}/g, '/')
+            .replace(/^(\.\/)+/, '')
+            .replace(/^\/+/, '');
+    }
+
+    /**
+     * Crea il report di generazione
+     * @param {Object} data - Dati raccolti durante la generazione
+     * @returns {Object} Report
+     */
+    createReport(data) {
+        const generatedCount = data.files.filter(file => file.generated).length;
+
+        return {
+            type: data.type,
+            builder: data.label,
+            projectName: data.projectName,
+            generatedAt: new Date().toISOString(),
+            duration: Math.round(data.duration),
+            totalFiles: data.files.length,
+            generatedFiles: generatedCount,
+            userFiles: data.files.length - generatedCount,
+            totalSize: data.files.reduce((sum, file) => sum + (file.size || 0), 0),
+            conflicts: data.conflicts,
+            warnings: data.warnings
+        };
+    }
+}
+
+export default ProjectGenerator;
@@ -0,0 +1,806 @@
+/**
+ * SyntaxValidator Module
+ * Validazione sintattica dei file estratti con un parser per linguaggio
+ * Produce diagnostiche { severity, line, column, message, source } per file
+ */
+
+import { Helpers } from '../utils/helpers.js';
+
+// Parser caricati su richiesta ed esposti come globali: acorn è incluso in lib/,
+// TypeScript (circa 9 MB) viene dalla CDN con versione e hash SRI fissati
+const PARSER_LIBRARIES = {
+    acorn: {
+        url: 'lib/acorn.js',
+        integrity: 'sha384-ZzOQATwraE9ywaYqMdoWStSsI1G6qRnAvJpKgcT3mrvl8PC5IlfxGzIu1WGBvydm',
+        global: 'acorn',
+        remote: false
+    },
+    typescript: {
+        url: 'https://cdn.jsdelivr.net/npm/typescript@5.4.5/lib/typescript.js',
+        integrity: 'sha384-qtQIcO6jcDy3gfqRQFKBY1QM55XdELGlK/i9SX/ZFzztXopDfcMmJBqcdhT5vMEE',
+        global: 'ts',
+        remote: true
+    }
+};
+
+// Carattere Rust ('{', '\n', '\u{7FFF}'): l'apostrofo da solo apre un lifetime ('a)
+const RUST_CHAR_LITERAL = /'(?:[^'\\\n]|\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]{1,6}\}|.))'/y;
+
+// Prefisso delle stringhe verbatim C# (@"...", anche interpolate: $@"..." e @$"...")
+const CSHARP_VERBATIM_PREFIX = /\$?@\$?"/y;
+
+// Tempo massimo per il caricamento di un parser
+const LIBRARY_TIMEOUT = 15000;
+
+// Estensioni validate con il controllo di parentesi e struttura
+const BRACE_LANGUAGES = ['kt', 'kts', 'java', 'c', 'h', 'cpp', 'cc', 'hpp', 'go', 'rs', 'swift', 'php', 'gradle', 'cs'];
+
+// Elementi HTML senza tag di chiusura
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+// Elementi HTML che si chiudono implicitamente
+const OPTIONAL_CLOSE_ELEMENTS = ['li', 'p', 'td', 'th', 'tr', 'thead', 'tbody', 'tfoot', 'option', 'dt', 'dd', 'colgroup'];
+
+export class SyntaxValidator {
+    constructor() {
+        console.log('🩺 SyntaxValidator initialized');
+
+        this.libraries = new Map();
+        this.libraryErrors = new Map();
+    }
+
+    /**
+     * Valida un elenco di file e allega il risultato a ciascuno (file.validation)
+     * @param {Array} files - File estratti
+     * @returns {Promise<Object>} Riepilogo { checked, errors, warnings, files }
+     */
+    async validateFiles(files) {
+        const summary = { checked: 0, errors: 0, warnings: 0, files: 0 };
+
+        for (const file of files) {
+            const result = await this.validateFile(file);
+            file.validation = result;
+
+            if (!result.checked) continue;
+
+            const errors = result.diagnostics.filter(item => item.severity === 'error').length;
+            summary.checked++;
+            summary.errors += errors;
+            summary.warnings += result.diagnostics.filter(item => item.severity === 'warning').length;
+            if (errors > 0) summary.files++;
+        }
+
+        console.log('🩺 Syntax validation summary:', summary);
+        return summary;
+    }
+
+    /**
+     * Valida un singolo file in base alla sua estensione
+     * @param {Object} file - File con fileName/extension e content
+     * @returns {Promise<Object>} { checked, valid, parser, diagnostics }
+     */
+    async validateFile(file) {
+        const fileName = file.fileName || file.name || '';
+        const extension = (file.extension || Helpers.getFileExtension(fileName)).toLowerCase();
+        const content = file.content || '';
+
+        if (Helpers.isBinaryFile(file)) {
+            return this.createResult(false, null, []);
+        }
+
+        try {
+            switch (extension) {
+                case 'js':
+                case 'mjs':
+                case 'cjs':
+                    return await this.validateJavaScript(content, fileName);
+                case 'ts':
+                case 'tsx':
+                case 'jsx':
+                    return await this.validateTypeScript(content, fileName);
+                case 'json':
+                    return this.validateJson(content);
+                case 'xml':
+                case 'svg':
+                    return this.validateXml(content);
+                case 'html':
+                case 'htm':
+                    return this.validateHtml(content);
+                case 'css':
+                    return this.validateCss(content);
+                default:
+                    if (BRACE_LANGUAGES.includes(extension)) {
+                        return this.validateBraceLanguage(content, extension, fileName);
+                    }
+                    return this.createResult(false, null, []);
+            }
+        } catch (error) {
+            console.error(`❌ Syntax validation failed for ${fileName}:`, error);
+            return this.createResult(true, 'internal', [
+                this.createDiagnostic('warning', 1, 1, `Validazione non riuscita: ${error.message}`, 'internal')
+            ]);
+        }
+    }
+
+    /**
+     * Valida JavaScript con acorn (moduli ES o script)
+     * Senza acorn disponibile ripiega sul controllo delle parentesi
+     * @param {string} content - Contenuto
+     * @param {string} fileName - Nome file
+     * @returns {Promise<Object>} Risultato
+     */
+    async validateJavaScript(content, fileName) {
+        const acorn = await this.loadLibrary('acorn');
+
+        if (!acorn) {
+            return this.validateWithoutParser(content, 'acorn');
+        }
+
+        const sourceType = /^\s*(import|export)\b/m.test(content) || fileName.endsWith('.mjs') ? 'module' : 'script';
+
+        try {
+            acorn.parse(content, {
+                ecmaVersion: 'latest',
+                sourceType: sourceType,
+                allowHashBang: true,
+                allowAwaitOutsideFunction: true,
+                allowReturnOutsideFunction: sourceType === 'script',
+                locations: true
+            });
+            return this.createResult(true, 'acorn', []);
+        } catch (error) {
+            const location = error.loc || { line: 1, column: 0 };
+            const message = error.message.replace(/\s*\(\d+:\d+\)$/, '');
+            return this.createResult(true, 'acorn', [
+                this.createDiagnostic('error', location.line, location.column + 1, message, 'acorn')
+            ]);
+        }
+    }
+
+    /**
+     * Valida TypeScript, TSX e JSX con il compilatore TypeScript (solo errori sintattici)
+     * @param {string} content - Contenuto
+     * @param {string} fileName - Nome file (l'estensione sceglie la grammatica)
+     * @returns {Promise<Object>} Risultato
+     */
+    async validateTypeScript(content, fileName) {
+        const ts = await this.loadLibrary('typescript');
+
+        if (!ts) {
+            return this.validateWithoutParser(content, 'typescript');
+        }
+
+        const output = ts.transpileModule(content, {
+            fileName: fileName || 'file.ts',
+            reportDiagnostics: true,
+            compilerOptions: { jsx: ts.JsxEmit.Preserve, target: ts.ScriptTarget.Latest }
+        });
+
+        const diagnostics = (output.diagnostics || []).map(diagnostic => {
+            const position = diagnostic.file && diagnostic.start !== undefined ?
+                diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start) :
+                { line: 0, character: 0 };
+
+            return this.createDiagnostic(
+                diagnostic.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
+                position.line + 1,
+                position.character + 1,
+                ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'),
+                'typescript'
+            );
+        });
+
+        return this.createResult(true, 'typescript', diagnostics);
+    }
+
+    /**
+     * Valida JSON riportando riga e colonna dell'errore
+     * @param {string} content - Contenuto
+     * @returns {Object} Risultato
+     */
+    validateJson(content) {
+        try {
+            JSON.parse(content);
+            return this.createResult(true, 'json', []);
+        } catch (error) {
+            const lineColumn = error.message.match(/line (\d+) column (\d+)/);
+            const position = error.message.match(/position (\d+)/);
+            const location = lineColumn ?
+                { line: Number(lineColumn[1]), column: Number(lineColumn[2]) } :
+                this.getLocation(content, position ? Number(position[1]) : content.length);
+
+            // Rimuove posizione ed estratto del testo aggiunti dai vari motori
+            const message = error.message
+                .replace(/\s*in JSON at position \d+.*$/, '')
+                .replace(/\s*\(line \d+ column \d+\)$/, '')
+                .replace(/,\s*(?:\.\.\.)?"[\s\S]*" is not valid JSON$/, '');
+
+            return this.createResult(true, 'json', [
+                this.createDiagnostic('error', location.line, location.column, message, 'json')
+            ]);
+        }
+    }
+
+    /**
+     * Valida XML con DOMParser (errori con riga e colonna del browser)
+     * Senza DOMParser usa il controllo dei tag in modalità rigorosa
+     * @param {string} content - Contenuto
+     * @returns {Object} Risultato
+     */
+    validateXml(content) {
+        if (typeof DOMParser === 'undefined') {
+            return this.createResult(true, 'tags', this.checkTags(content, { strict: true }));
+        }
+
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        const error = doc.getElementsByTagName('parsererror')[0];
+
+        if (!error) {
+            return this.createResult(true, 'domparser', []);
+        }
+
+        // Chrome: "error on line 3 at column 5: ...", Firefox: "Line Number 3, Column 5:"
+        const text = error.textContent || '';
+        const location = text.match(/line\s*(?:number\s*)?(\d+)(?:,|\s+at)\s*column\s*(\d+)/i);
+        const message = (text.match(/column \d+:\s*([^\n]+)/i) || text.match(/^([^\n]+)/) || ['', 'XML non valido'])[1];
+
+        return this.createResult(true, 'domparser', [
+            this.createDiagnostic('error',
+                location ? Number(location[1]) : 1,
+                location ? Number(location[2]) : 1,
+                message.trim(), 'domparser')
+        ]);
+    }
+
+    /**
+     * Valida HTML controllando apertura e chiusura dei tag
+     * (DOMParser corregge l'HTML senza segnalare errori)
+     * @param {string} content - Contenuto
+     * @returns {Object} Risultato
+     */
+    validateHtml(content) {
+        return this.createResult(true, 'tags', this.checkTags(content, { strict: false }));
+    }
+
+    /**
+     * Controlla il bilanciamento dei tag
+     * @param {string} content - Contenuto
+     * @param {Object} options - strict: XML (nessun elemento void o chiusura implicita)
+     * @returns {Array} Diagnostiche
+     */
+    checkTags(content, options) {
+        const diagnostics = [];
+        const stack = [];
+        const tagPattern = /<!--[\s\S]*?(-->|$)|<!\[CDATA\[[\s\S]*?(\]\]>|$)|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([A-Za-z][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+        const rawTextElements = ['script', 'style'];
+        let match;
+
+        while ((match = tagPattern.exec(content)) !== null) {
+            const [full, commentEnd, cdataEnd, closing, rawName, , selfClosing] = match;
+            const location = this.getLocation(content, match.index);
+
+            if (full.startsWith('<!--') && !commentEnd) {
+                diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Commento non chiuso', 'tags'));
+                break;
+            }
+            if (full.startsWith('<![CDATA[') && !cdataEnd) {
+                diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Sezione CDATA non chiusa', 'tags'));
+                break;
+            }
+            if (!rawName) continue;
+
+            const name = options.strict ? rawName : rawName.toLowerCase();
+
+            if (closing) {
+                if (!options.strict && VOID_ELEMENTS.includes(name)) continue;
+
+                // Chiude gli elementi con chiusura implicita rimasti aperti (es. <li> prima di </ul>)
+                while (!options.strict && stack.length > 0 && stack[stack.length - 1].name !== name &&
+                    OPTIONAL_CLOSE_ELEMENTS.includes(stack[stack.length - 1].name)) {
+                    stack.pop();
+                }
+
+                const open = stack[stack.length - 1];
+                if (!open) {
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column,
+                        `Tag di chiusura </${rawName}> senza apertura`, 'tags'));
+                } else if (open.name !== name) {
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column,
+                        `Atteso </${open.rawName}> (aperto alla riga ${open.line}) ma trovato </${rawName}>`, 'tags'));
+                    // Chiude fino al tag corrispondente, o considera la chiusura un refuso del tag aperto
+                    if (stack.some(item => item.name === name)) {
+                        while (stack.length > 0 && stack.pop().name !== name);
+                    } else {
+                        stack.pop();
+                    }
+                } else {
+                    stack.pop();
+                }
+                continue;
+            }
+
+            if (selfClosing || (!options.strict && VOID_ELEMENTS.includes(name))) continue;
+
+            stack.push({ name, rawName, line: location.line, column: location.column });
+
+            // Il contenuto di <script> e <style> non contiene tag
+            if (!options.strict && rawTextElements.includes(name)) {
+                const end = content.toLowerCase().indexOf(`</${name}`, tagPattern.lastIndex);
+                tagPattern.lastIndex = end === -1 ? content.length : end;
+            }
+        }
+
+        stack
+            .filter(item => options.strict || !OPTIONAL_CLOSE_ELEMENTS.includes(item.name))
+            .forEach(item => {
+                diagnostics.push(this.createDiagnostic('error', item.line, item.column,
+                    `Tag <${item.rawName}> non chiuso`, 'tags'));
+            });
+
+        if (options.strict && !/<[A-Za-z]/.test(content.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, ''))) {
+            diagnostics.push(this.createDiagnostic('error', 1, 1, 'Nessun elemento radice', 'tags'));
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Valida CSS con un tokenizer: blocchi, stringhe, commenti e dichiarazioni
+     * @param {string} content - Contenuto
+     * @returns {Object} Risultato
+     */
+    validateCss(content) {
+        const diagnostics = [];
+        const blocks = [];
+        let statement = '';
+        let statementStart = 0;
+        let index = 0;
+
+        const checkDeclaration = (end) => {
+            const text = statement.trim();
+            const insideRule = blocks.length > 0 && !blocks[blocks.length - 1].atRule;
+            statement = '';
+
+            if (!text || !insideRule || text.startsWith('@')) return;
+
+            if (!/^-?-?[A-Za-z_][\w-]*\s*:/.test(text) && !/^[&:.#[*>+~]/.test(text)) {
+                const location = this.getLocation(content, statementStart);
+                diagnostics.push(this.createDiagnostic('error', location.line, location.column,
+                    `Dichiarazione non valida: "${text.split('\n')[0].slice(0, 40)}" (manca ":" o ";")`, 'css'));
+            } else if (/:\s*$/.test(text) && end !== '{') {
+                const location = this.getLocation(content, statementStart);
+                diagnostics.push(this.createDiagnostic('warning', location.line, location.column,
+                    `Valore mancante in "${text}"`, 'css'));
+            }
+        };
+
+        while (index < content.length) {
+            const char = content[index];
+
+            if (char === '/' && content[index + 1] === '*') {
+                const end = content.indexOf('*/', index + 2);
+                if (end === -1) {
+                    const location = this.getLocation(content, index);
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Commento non chiuso', 'css'));
+                    break;
+                }
+                index = end + 2;
+                continue;
+            }
+
+            // url() senza virgolette: ";" e "," dei data URI fanno parte del valore
+            if (/^url\(\s*[^\s'"]/i.test(content.slice(index, index + 6)) && !/[\w-]/.test(content[index - 1] || '')) {
+                const end = content.indexOf(')', index);
+                if (end !== -1) {
+                    if (!statement.trim()) statementStart = index;
+                    statement += content.slice(index, end + 1);
+                    index = end + 1;
+                    continue;
+                }
+            }
+
+            if (char === '"' || char === "'") {
+                const end = this.findStringEnd(content, index, char);
+                if (end === -1) {
+                    const location = this.getLocation(content, index);
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Stringa non chiusa', 'css'));
+                    index = content.indexOf('\n', index) === -1 ? content.length : content.indexOf('\n', index);
+                    continue;
+                }
+                statement += content.slice(index, end + 1);
+                index = end + 1;
+                continue;
+            }
+
+            if (!statement.trim()) statementStart = index;
+
+            if (char === '{') {
+                const selector = statement.trim();
+                // Un selettore annidato (es. "&:hover {") non è una dichiarazione
+                if (!selector) {
+                    const location = this.getLocation(content, index);
+                    diagnostics.push(this.createDiagnostic('warning', location.line, location.column, 'Blocco senza selettore', 'css'));
+                }
+                blocks.push({ index, atRule: /^@(media|supports|document|layer|container)\b/.test(selector) });
+                statement = '';
+            } else if (char === '}') {
+                checkDeclaration('}');
+                if (blocks.length === 0) {
+                    const location = this.getLocation(content, index);
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Parentesi "}" senza apertura', 'css'));
+                } else {
+                    blocks.pop();
+                }
+            } else if (char === ';') {
+                checkDeclaration(';');
+            } else {
+                statement += char;
+            }
+
+            index++;
+        }
+
+        blocks.forEach(block => {
+            const location = this.getLocation(content, block.index);
+            diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Blocco "{" non chiuso', 'css'));
+        });
+
+        if (blocks.length === 0 && statement.trim() && !statement.trim().startsWith('@')) {
+            const location = this.getLocation(content, statementStart);
+            diagnostics.push(this.createDiagnostic('warning', location.line, location.column,
+                'Testo fuori da ogni regola', 'css'));
+        }
+
+        return this.createResult(true, 'css', diagnostics);
+    }
+
+    /**
+     * Valida i linguaggi con parentesi graffe: bilanciamento e struttura di base
+     * @param {string} content - Contenuto
+     * @param {string} extension - Estensione
+     * @param {string} fileName - Nome file
+     * @returns {Object} Risultato
+     */
+    validateBraceLanguage(content, extension, fileName) {
+        const diagnostics = this.checkBrackets(content, extension);
+
+        if (extension === 'kt' || extension === 'java') {
+            diagnostics.push(...this.checkJvmStructure(content, extension, fileName));
+        }
+
+        return this.createResult(true, 'brackets', diagnostics);
+    }
+
+    /**
+     * Controllo di ripiego quando il parser non si può caricare
+     * @param {string} content - Contenuto
+     * @param {string} parser - Parser mancante
+     * @returns {Object} Risultato
+     */
+    validateWithoutParser(content, parser) {
+        const reason = this.libraryErrors.get(parser);
+
+        return this.createResult(true, 'brackets', [
+            this.createDiagnostic('info', 1, 1,
+                `Parser ${parser} non disponibile${reason ? ` (${reason})` : ''}: controllate solo le parentesi`, 'brackets'),
+            ...this.checkBrackets(content, 'js')
+        ]);
+    }
+
+    /**
+     * Verifica il bilanciamento di (), [] e {} ignorando stringhe e commenti
+     * @param {string} content - Contenuto
+     * @param {string} extension - Estensione (sceglie i delimitatori di stringa)
+     * @returns {Array} Diagnostiche
+     */
+    checkBrackets(content, extension) {
+        const diagnostics = [];
+        const stack = [];
+        const pairs = { ')': '(', ']': '[', '}': '{' };
+        const hashComments = extension === 'php';
+        const rawStrings = ['kt', 'kts', 'java', 'swift', 'gradle'].includes(extension);
+        const templateStrings = ['js', 'go'].includes(extension);
+        let index = 0;
+
+        while (index < content.length) {
+            const char = content[index];
+            const next = content[index + 1];
+
+            if (char === '/' && next === '/' || hashComments && char === '#') {
+                const end = content.indexOf('\n', index);
+                index = end === -1 ? content.length : end;
+                continue;
+            }
+
+            if (char === '/' && next === '*') {
+                const end = content.indexOf('*/', index + 2);
+                if (end === -1) {
+                    const location = this.getLocation(content, index);
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Commento non chiuso', 'brackets'));
+                    return diagnostics;
+                }
+                index = end + 2;
+                continue;
+            }
+
+            if (rawStrings && content.startsWith('"""', index)) {
+                const end = content.indexOf('"""', index + 3);
+                if (end === -1) {
+                    const location = this.getLocation(content, index);
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Stringa """ non chiusa', 'brackets'));
+                    return diagnostics;
+                }
+                index = end + 3;
+                continue;
+            }
+
+            // In Rust l'apostrofo introduce anche i lifetime ('a): si salta solo un carattere completo ('{')
+            if (char === "'" && extension === 'rs') {
+                RUST_CHAR_LITERAL.lastIndex = index;
+                index = RUST_CHAR_LITERAL.test(content) ? RUST_CHAR_LITERAL.lastIndex : index + 1;
+                continue;
+            }
+
+            // Stringhe verbatim C#: vanno a capo, "" è una virgoletta e la barra rovesciata è letterale
+            if (extension === 'cs' && (char === '@' || char === '$')) {
+                CSHARP_VERBATIM_PREFIX.lastIndex = index;
+                if (CSHARP_VERBATIM_PREFIX.test(content)) {
+                    const end = this.findVerbatimStringEnd(content, CSHARP_VERBATIM_PREFIX.lastIndex - 1);
+                    if (end === -1) {
+                        const location = this.getLocation(content, index);
+                        diagnostics.push(this.createDiagnostic('error', location.line, location.column, 'Stringa verbatim non chiusa', 'brackets'));
+                        return diagnostics;
+                    }
+                    index = end + 1;
+                    continue;
+                }
+            }
+
+            if (char === '"' || char === "'" || (char === '`' && templateStrings)) {
+                const end = this.findStringEnd(content, index, char, char === '`');
+                if (end === -1) {
+                    const location = this.getLocation(content, index);
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column,
+                        char === '`' ? 'Stringa ` non chiusa' : 'Stringa non chiusa', 'brackets'));
+                    index = char === '`' ? content.length : this.getLineEnd(content, index);
+                    continue;
+                }
+                index = end + 1;
+                continue;
+            }
+
+            if (char === '(' || char === '[' || char === '{') {
+                stack.push({ char, index });
+            } else if (pairs[char]) {
+                const open = stack[stack.length - 1];
+                const location = this.getLocation(content, index);
+
+                if (!open) {
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column,
+                        `Parentesi "${char}" senza apertura`, 'brackets'));
+                } else if (open.char !== pairs[char]) {
+                    const openLocation = this.getLocation(content, open.index);
+                    diagnostics.push(this.createDiagnostic('error', location.line, location.column,
+                        `Trovato "${char}" ma "${open.char}" aperta alla riga ${openLocation.line} non è chiusa`, 'brackets'));
+                    stack.pop();
+                } else {
+                    stack.pop();
+                }
+            }
+
+            index++;
+        }
+
+        stack.forEach(open => {
+            const location = this.getLocation(content, open.index);
+            diagnostics.push(this.createDiagnostic('error', location.line, location.column,
+                `Parentesi "${open.char}" non chiusa`, 'brackets'));
+        });
+
+        return diagnostics;
+    }
+
+    /**
+     * Struttura di base di Kotlin e Java: package in testa, dichiarazioni presenti,
+     * classe pubblica Java con lo stesso nome del file
+     * @param {string} content - Contenuto
+     * @param {string} extension - kt o java
+     * @param {string} fileName - Nome file
+     * @returns {Array} Diagnostiche
+     */
+    checkJvmStructure(content, extension, fileName) {
+        const diagnostics = [];
+        const code = content.replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+            .replace(/\/\/[^\n]*/g, '');
+        const lines = code.split('\n');
+
+        const packageLine = lines.findIndex(line => /^\s*package\s/.test(line));
+        const firstCode = lines.findIndex(line => line.trim() && !/^\s*@file:/.test(line));
+
+        if (packageLine > firstCode && firstCode !== -1) {
+            diagnostics.push(this.createDiagnostic('error', packageLine + 1, 1,
+                'La dichiarazione package deve precedere import e dichiarazioni', 'structure'));
+        }
+
+        if (extension === 'java') {
+            if (packageLine !== -1 && !/^\s*package\s+[\w.]+\s*;/.test(lines[packageLine])) {
+                diagnostics.push(this.createDiagnostic('error', packageLine + 1, 1, 'Manca ";" dopo la dichiarazione package', 'structure'));
+            }
+
+            lines.forEach((line, index) => {
+                if (/^\s*import\s+[\w.*]+\s*$/.test(line)) {
+                    diagnostics.push(this.createDiagnostic('error', index + 1, line.length + 1, 'Manca ";" dopo import', 'structure'));
+                }
+            });
+
+            if (!/\b(class|interface|enum|record)\s+\w+|@interface\s+\w+/.test(code)) {
+                diagnostics.push(this.createDiagnostic('error', 1, 1, 'Nessuna classe, interfaccia o enum dichiarata', 'structure'));
+            }
+
+            const publicType = code.match(/\bpublic\s+(?:(?:abstract|final|sealed|static)\s+)*(?:class|interface|enum|record)\s+(\w+)/);
+            const baseName = fileName.replace(/^.*\//, '').replace(/\.java$/, '');
+            if (publicType && baseName && publicType[1] !== baseName) {
+                const location = this.getLocation(code, publicType.index);
+                diagnostics.push(this.createDiagnostic('warning', location.line, location.column,
+                    `La classe pubblica ${publicType[1]} dovrebbe stare in ${publicType[1]}.java`, 'structure'));
+            }
+
+            if (/^\s*fun\s+\w+|^\s*val\s+\w+/m.test(code)) {
+                diagnostics.push(this.createDiagnostic('warning', 1, 1, 'Il file sembra Kotlin ma ha estensione .java', 'structure'));
+            }
+        } else if (/^\s*(public\s+)?class\s+\w+[^{\n]*\{[\s\S]*;\s*$/m.test(code) && /^\s*(public|private)\s+static\s+void\b/m.test(code)) {
+            diagnostics.push(this.createDiagnostic('warning', 1, 1, 'Il file sembra Java ma ha estensione .kt', 'structure'));
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Carica un parser una sola volta, verificando l'hash SRI (null se non disponibile)
+     * Il motivo di un fallimento resta in libraryErrors e un caricamento fallito
+     * viene ritentato alla validazione successiva (es. tornata la connessione)
+     * @param {string} name - Nome in PARSER_LIBRARIES
+     * @returns {Promise<Object|null>} Libreria caricata
+     */
+    loadLibrary(name) {
+        const library = PARSER_LIBRARIES[name];
+
+        if (globalThis[library.global]) {
+            return Promise.resolve(globalThis[library.global]);
+        }
+
+        if (!this.libraries.has(name)) {
+            this.libraries.set(name, new Promise(resolve => {
+                const fail = (reason, script = null) => {
+                    script?.remove();
+                    this.libraries.delete(name);
+                    this.libraryErrors.set(name, reason);
+                    console.warn(`⚠️ Parser not available: ${name} (${reason})`);
+                    resolve(null);
+                };
+
+                if (typeof document === 'undefined') {
+                    fail('ambiente senza DOM');
+                    return;
+                }
+
+                if (library.remote && globalThis.navigator?.onLine === false) {
+                    fail('nessuna connessione');
+                    return;
+                }
+
+                const script = document.createElement('script');
+                const timer = setTimeout(() => fail('tempo scaduto', script), LIBRARY_TIMEOUT);
+
+                script.src = library.url;
+                script.integrity = library.integrity;
+                script.crossOrigin = 'anonymous';
+                script.onload = () => {
+                    clearTimeout(timer);
+                    this.libraryErrors.delete(name);
+                    console.log(`✅ Parser loaded: ${name}`);
+                    resolve(globalThis[library.global] || null);
+                };
+                script.onerror = () => {
+                    clearTimeout(timer);
+                    fail(library.remote ? 'rete non raggiungibile o hash SRI non valido' : `${library.url} mancante o non valido`, script);
+                };
+
+                document.head.appendChild(script);
+            }));
+        }
+
+        return this.libraries.get(name);
+    }
+
+    /**
+     * Trova la fine di una stringa rispettando gli escape
+     * @param {string} content - Contenuto
+     * @param {number} start - Indice della virgoletta di apertura
+     * @param {string} quote - Carattere di chiusura
+     * @param {boolean} multiline - La stringa può andare a capo
+     * @returns {number} Indice della chiusura o -1
+     */
+    findStringEnd(content, start, quote, multiline = false) {
+        for (let index = start + 1; index < content.length; index++) {
+            const char = content[index];
+            if (char === '\\') {
+                index++;
+            } else if (char === quote) {
+                return index;
+            } else if (char === '\n' && !multiline) {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Trova la fine di una stringa verbatim C#, dove "" rappresenta una virgoletta
+     * @param {string} content - Contenuto
+     * @param {number} start - Indice della virgoletta di apertura
+     * @returns {number} Indice della chiusura o -1
+     */
+    findVerbatimStringEnd(content, start) {
+        for (let index = start + 1; index < content.length; index++) {
+            if (content[index] !== '"') continue;
+            if (content[index + 1] !== '"') return index;
+            index++;
+        }
+        return -1;
+    }
+
+    /**
+     * Indice di fine della riga che contiene la posizione
+     * @param {string} content - Contenuto
+     * @param {number} index - Posizione
+     * @returns {number} Indice del ritorno a capo o fine del testo
+     */
+    getLineEnd(content, index) {
+        const end = content.indexOf('\n', index);
+        return end === -1 ? content.length : end;
+    }
+
+    /**
+     * Converte una posizione nel testo in riga e colonna (da 1)
+     * @param {string} content - Contenuto
+     * @param {number} index - Posizione
+     * @returns {Object} { line, column }
+     */
+    getLocation(content, index) {
+        const before = content.slice(0, Math.max(0, index));
+        const lines = before.split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+
+    /**
+     * Crea una diagnostica
+     * @param {string} severity - error, warning o info
+     * @param {number} line - Riga (da 1)
+     * @param {number} column - Colonna (da 1)
+     * @param {string} message - Messaggio
+     * @param {string} source - Parser che l'ha prodotta
+     * @returns {Object} Diagnostica
+     */
+    createDiagnostic(severity, line, column, message, source) {
+        return { severity, line, column, message, source };
+    }
+
+    /**
+     * Crea il risultato di una validazione
+     * @param {boolean} checked - Il file è stato analizzato
+     * @param {string|null} parser - Parser usato
+     * @param {Array} diagnostics - Diagnostiche ordinate per riga
+     * @returns {Object} { checked, valid, parser, diagnostics }
+     */
+    createResult(checked, parser, diagnostics) {
+        return {
+            checked,
+            valid: !diagnostics.some(item => item.severity === 'error'),
+            parser,
+            diagnostics: diagnostics.sort((a, b) => a.line - b.line || a.column - b.column)
+        };
+    }
+}
+
+export default SyntaxValidator;
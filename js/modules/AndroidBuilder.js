@@ -1,22 +1,1289 @@
-/**
- * Android Builder Module
- */
-export class AndroidBuilder {
-    constructor() {
-        console.log('🤖 AndroidBuilder initialized');
-    }
-    
-    async generateProject(config) {
-        console.log('📱 Generating Android project:', config);
-        return {
-            files: [
-                {
-                    name: 'MainActivity.kt',
-                    content: `package ${config.packageName}\n\nclass MainActivity { }`
-                }
-            ]
-        };
-    }
-}
-
-export default AndroidBuilder;
\ No newline at end of file
+/**
+ * Android Builder Module
+ * Generates a complete Gradle project that Android Studio can open
+ */
+
+import { Helpers } from '../utils/helpers.js';
+import { Constants } from '../utils/constants.js';
+
+// Gradle wrapper version required by each Android Gradle Plugin line
+const GRADLE_WRAPPER_VERSIONS = {
+    '8.0': '8.0',
+    '8.1': '8.0',
+    '8.2': '8.2',
+    '8.3': '8.4',
+    '8.4': '8.6'
+};
+
+const DEPENDENCY_VERSIONS = {
+    coreKtx: '1.12.0',
+    appcompat: '1.6.1',
+    material: '1.10.0',
+    constraintLayout: '2.1.4',
+    junit: '4.13.2',
+    androidxJunit: '1.1.5',
+    espresso: '3.5.1'
+};
+
+// Optional activities offered in the Android tab (MainActivity is always generated)
+const ACTIVITY_TEMPLATES = {
+    login: {
+        className: 'LoginActivity',
+        layout: 'activity_login',
+        title: 'Accedi',
+        strings: {
+            login_email_hint: 'Email',
+            login_password_hint: 'Password',
+            login_button: 'Accedi',
+            login_error_empty: 'Inserisci email e password',
+            login_error_email: 'Email non valida',
+            login_error_password: 'La password deve avere almeno %1$d caratteri',
+            login_success: 'Accesso effettuato'
+        }
+    },
+    settings: {
+        className: 'SettingsActivity',
+        layout: 'activity_settings',
+        title: 'Impostazioni',
+        strings: {
+            settings_notifications: 'Notifiche',
+            settings_dark_mode: 'Tema scuro'
+        }
+    },
+    profile: {
+        className: 'ProfileActivity',
+        layout: 'activity_profile',
+        title: 'Profilo',
+        strings: {
+            profile_name: 'Mario Rossi',
+            profile_email: 'mario.rossi@example.com',
+            profile_avatar_description: 'Immagine profilo'
+        }
+    }
+};
+
+export class AndroidBuilder {
+    constructor() {
+        console.log('🤖 AndroidBuilder initialized');
+    }
+
+    /**
+     * Generate an Android Studio project
+     * @param {Object} config - Project configuration (appName or projectName, packageName, gradleVersion, kotlinVersion, files)
+     * @returns {Object} Generated project with file list
+     */
+    async generateProject(config) {
+        console.log('📱 Generating Android project:', config);
+
+        const options = this.normalizeConfig(config);
+        const warnings = [];
+        const conflicts = [];
+
+        const files = [
+            ...this.generateGradleFiles(options),
+            Helpers.createProjectFile('README.md', this.generateReadme(options)),
+            ...this.generateManifestFiles(options),
+            ...this.generateResourceFiles(options),
+            ...this.generateSourceFiles(options)
+        ];
+
+        const userFiles = this.placeUserFiles(options, warnings);
+
+        return {
+            projectName: options.projectName,
+            files: this.mergeFiles(files, userFiles, conflicts),
+            conflicts: conflicts,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Normalize configuration with defaults
+     * @param {Object} config - Raw configuration
+     * @returns {Object} Normalized options
+     */
+    normalizeConfig(config) {
+        // The generator registry passes projectName, the Android tab appName
+        const appName = (config.appName || config.projectName || 'MyApp').trim();
+        const packageName = config.packageName || `${Constants.DEFAULT_PACKAGE_PREFIX}.myapp`;
+
+        return {
+            appName: appName,
+            projectName: appName.replace(/[^A-Za-z0-9_-]/g, '') || 'MyApp',
+            themeName: this.toIdentifier(appName),
+            packageName: packageName,
+            packagePath: packageName.replace(/\./g, '/'),
+            gradleVersion: config.gradleVersion || Constants.DEFAULT_GRADLE_VERSION,
+            kotlinVersion: config.kotlinVersion || Constants.DEFAULT_KOTLIN_VERSION,
+            compileSdk: Constants.TARGET_SDK,
+            targetSdk: Constants.TARGET_SDK,
+            minSdk: Constants.MIN_SDK,
+            activities: this.resolveActivities(config.selectedActivities),
+            files: Array.isArray(config.files) ? config.files : []
+        };
+    }
+
+    /**
+     * Resolve selected activity keys to their templates
+     * @param {Array} selectedActivities - Keys from the Android tab (main, login, settings, profile)
+     * @returns {Array} Activity templates, in a stable order
+     */
+    resolveActivities(selectedActivities = []) {
+        return Object.entries(ACTIVITY_TEMPLATES)
+            .filter(([key]) => selectedActivities.includes(key))
+            .map(([key, template]) => ({ key, ...template }));
+    }
+
+    /**
+     * Generate Gradle build scripts and wrapper configuration
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateGradleFiles(options) {
+        const settingsGradle = `pluginManagement {
+    repositories {
+        google()
+        mavenCentral()
+        gradlePluginPortal()
+    }
+}
+
+dependencyResolutionManagement {
+    repositoriesMode.set(RepositoriesMode.FAIL_ON_PROJECT_REPOS)
+    repositories {
+        google()
+        mavenCentral()
+    }
+}
+
+rootProject.name = "${options.projectName}"
+include ':app'
+`;
+
+        const rootBuildGradle = `// Top-level build file where you can add configuration options common to all sub-projects/modules.
+plugins {
+    id 'com.android.application' version '${options.gradleVersion}' apply false
+    id 'org.jetbrains.kotlin.android' version '${options.kotlinVersion}' apply false
+}
+`;
+
+        const appBuildGradle = `plugins {
+    id 'com.android.application'
+    id 'org.jetbrains.kotlin.android'
+}
+
+android {
+    namespace '${options.packageName}'
+    compileSdk ${options.compileSdk}
+
+    defaultConfig {
+        applicationId "${options.packageName}"
+        minSdk ${options.minSdk}
+        targetSdk ${options.targetSdk}
+        versionCode 1
+        versionName "1.0"
+
+        testInstrumentationRunner "androidx.test.runner.AndroidJUnitRunner"
+    }
+
+    buildTypes {
+        release {
+            minifyEnabled false
+            proguardFiles getDefaultProguardFile('proguard-android-optimize.txt'), 'proguard-rules.pro'
+        }
+    }
+    compileOptions {
+        sourceCompatibility JavaVersion.VERSION_1_8
+        targetCompatibility JavaVersion.VERSION_1_8
+    }
+    kotlinOptions {
+        jvmTarget = '1.8'
+    }
+}
+
+dependencies {
+    implementation fileTree(dir: 'libs', include: ['*.jar', '*.aar'])
+    implementation 'androidx.core:core-ktx:${DEPENDENCY_VERSIONS.coreKtx}'
+    implementation 'androidx.appcompat:appcompat:${DEPENDENCY_VERSIONS.appcompat}'
+    implementation 'com.google.android.material:material:${DEPENDENCY_VERSIONS.material}'
+    implementation 'androidx.constraintlayout:constraintlayout:${DEPENDENCY_VERSIONS.constraintLayout}'
+    testImplementation 'junit:junit:${DEPENDENCY_VERSIONS.junit}'
+    androidTestImplementation 'androidx.test.ext:junit:${DEPENDENCY_VERSIONS.androidxJunit}'
+    androidTestImplementation 'androidx.test.espresso:espresso-core:${DEPENDENCY_VERSIONS.espresso}'
+}
+`;
+
+        const gradleProperties = `# Project-wide Gradle settings.
+org.gradle.jvmargs=-Xmx2048m -Dfile.encoding=UTF-8
+# AndroidX package structure
+android.useAndroidX=true
+# Kotlin code style for this project: "official" or "obsolete":
+kotlin.code.style=official
+# Each library's R class only contains its own resources
+android.nonTransitiveRClass=true
+`;
+
+        const wrapperProperties = `distributionBase=GRADLE_USER_HOME
+distributionPath=wrapper/dists
+distributionUrl=https\\://services.gradle.org/distributions/gradle-${this.getWrapperVersion(options.gradleVersion)}-bin.zip
+zipStoreBase=GRADLE_USER_HOME
+zipStorePath=wrapper/dists
+`;
+
+        const gitignore = `*.iml
+.gradle
+/local.properties
+/.idea
+.DS_Store
+/build
+/captures
+.externalNativeBuild
+.cxx
+local.properties
+`;
+
+        const proguardRules = `# Add project specific ProGuard rules here.
+# You can control the set of applied configuration files using the
+# proguardFiles setting in build.gradle.
+`;
+
+        return [
+            Helpers.createProjectFile('settings.gradle', settingsGradle),
+            Helpers.createProjectFile('build.gradle', rootBuildGradle),
+            Helpers.createProjectFile('gradle.properties', gradleProperties),
+            Helpers.createProjectFile('gradle/wrapper/gradle-wrapper.properties', wrapperProperties),
+            Helpers.createProjectFile('.gitignore', gitignore),
+            Helpers.createProjectFile('app/build.gradle', appBuildGradle),
+            Helpers.createProjectFile('app/proguard-rules.pro', proguardRules),
+            Helpers.createProjectFile('app/.gitignore', '/build\n')
+        ];
+    }
+
+    /**
+     * Generate the project README with build instructions
+     * The wrapper scripts (gradlew, gradle-wrapper.jar) are not generated: only their properties
+     * @param {Object} options - Normalized options
+     * @returns {string} README content
+     */
+    generateReadme(options) {
+        const gradleVersion = this.getWrapperVersion(options.gradleVersion);
+
+        return `# ${options.appName}
+
+Progetto Android (Kotlin) per \`${options.packageName}\`, minSdk ${options.minSdk}, targetSdk ${options.targetSdk}.
+
+## Build
+
+Il progetto non include gli script del Gradle wrapper (\`gradlew\`, \`gradlew.bat\`,
+\`gradle/wrapper/gradle-wrapper.jar\`), solo \`gradle/wrapper/gradle-wrapper.properties\`
+con la versione di Gradle richiesta (${gradleVersion}).
+
+- **Android Studio**: apri la cartella del progetto, la sincronizzazione scarica Gradle ${gradleVersion}.
+- **Riga di comando**: con Gradle installato crea il wrapper una volta, poi compila:
+
+\`\`\`bash
+gradle wrapper --gradle-version ${gradleVersion}
+./gradlew assembleDebug
+\`\`\`
+`;
+    }
+
+    /**
+     * Generate AndroidManifest.xml
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateManifestFiles(options) {
+        const manifest = `<?xml version="1.0" encoding="utf-8"?>
+<manifest xmlns:android="http://schemas.android.com/apk/res/android">
+
+    <application
+        android:allowBackup="true"
+        android:icon="@mipmap/ic_launcher"
+        android:label="@string/app_name"
+        android:roundIcon="@mipmap/ic_launcher_round"
+        android:supportsRtl="true"
+        android:theme="@style/Theme.${options.themeName}">
+        <activity
+            android:name=".MainActivity"
+            android:exported="true">
+            <intent-filter>
+                <action android:name="android.intent.action.MAIN" />
+
+                <category android:name="android.intent.category.LAUNCHER" />
+            </intent-filter>
+        </activity>
+${options.activities.map(activity => `        <activity
+            android:name=".${activity.className}"
+            android:exported="false"
+            android:label="@string/title_${activity.key}"
+            android:parentActivityName=".MainActivity" />
+`).join('')}    </application>
+
+</manifest>
+`;
+
+        return [
+            Helpers.createProjectFile('app/src/main/AndroidManifest.xml', manifest)
+        ];
+    }
+
+    /**
+     * Generate res/ values, layouts and launcher icons
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateResourceFiles(options) {
+        const res = 'app/src/main/res';
+
+        const stringEntries = {
+            app_name: options.appName,
+            main_welcome: `Benvenuto in ${options.appName}`
+        };
+
+        options.activities.forEach(activity => {
+            stringEntries[`title_${activity.key}`] = activity.title;
+            stringEntries[`open_${activity.key}`] = activity.title;
+            Object.assign(stringEntries, activity.strings);
+        });
+
+        const strings = `<resources>
+${Object.entries(stringEntries).map(([name, value]) =>
+    `    <string name="${name}">${this.escapeXml(value)}</string>`
+).join('\n')}
+</resources>
+`;
+
+        const colors = `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <color name="purple_200">#FFBB86FC</color>
+    <color name="purple_500">#FF6200EE</color>
+    <color name="purple_700">#FF3700B3</color>
+    <color name="teal_200">#FF03DAC5</color>
+    <color name="teal_700">#FF018786</color>
+    <color name="black">#FF000000</color>
+    <color name="white">#FFFFFFFF</color>
+    <color name="ic_launcher_background">#FF3DDC84</color>
+</resources>
+`;
+
+        const themes = `<resources xmlns:tools="http://schemas.android.com/tools">
+    <!-- Base application theme. -->
+    <style name="Theme.${options.themeName}" parent="Theme.MaterialComponents.DayNight.DarkActionBar">
+        <item name="colorPrimary">@color/purple_500</item>
+        <item name="colorPrimaryVariant">@color/purple_700</item>
+        <item name="colorOnPrimary">@color/white</item>
+        <item name="colorSecondary">@color/teal_200</item>
+        <item name="colorSecondaryVariant">@color/teal_700</item>
+        <item name="colorOnSecondary">@color/black</item>
+        <item name="android:statusBarColor">?attr/colorPrimaryVariant</item>
+    </style>
+</resources>
+`;
+
+        const mainLayout = `<?xml version="1.0" encoding="utf-8"?>
+<LinearLayout xmlns:android="http://schemas.android.com/apk/res/android"
+    xmlns:tools="http://schemas.android.com/tools"
+    android:layout_width="match_parent"
+    android:layout_height="match_parent"
+    android:gravity="center"
+    android:orientation="vertical"
+    android:padding="24dp"
+    tools:context=".MainActivity">
+
+    <TextView
+        android:id="@+id/welcomeText"
+        android:layout_width="wrap_content"
+        android:layout_height="wrap_content"
+        android:text="@string/main_welcome"
+        android:textAppearance="@style/TextAppearance.MaterialComponents.Headline5" />
+${options.activities.map(activity => `
+    <com.google.android.material.button.MaterialButton
+        android:id="@+id/${this.getButtonId(activity)}"
+        android:layout_width="match_parent"
+        android:layout_height="wrap_content"
+        android:layout_marginTop="16dp"
+        android:text="@string/open_${activity.key}" />
+`).join('')}
+</LinearLayout>
+`;
+
+        return [
+            Helpers.createProjectFile(`${res}/values/strings.xml`, strings),
+            Helpers.createProjectFile(`${res}/values/colors.xml`, colors),
+            Helpers.createProjectFile(`${res}/values/themes.xml`, themes),
+            Helpers.createProjectFile(`${res}/layout/activity_main.xml`, mainLayout),
+            ...options.activities.map(activity => Helpers.createProjectFile(
+                `${res}/layout/${activity.layout}.xml`,
+                this.generateActivityLayout(activity)
+            )),
+            ...this.generateLauncherIcons(res)
+        ];
+    }
+
+    /**
+     * Generate launcher icons as vector drawables
+     * Adaptive icons on API 26+, layer-list fallback for older devices
+     * @param {string} res - Resource directory
+     * @returns {Array} Generated files
+     */
+    generateLauncherIcons(res) {
+        const background = `<?xml version="1.0" encoding="utf-8"?>
+<vector xmlns:android="http://schemas.android.com/apk/res/android"
+    android:width="108dp"
+    android:height="108dp"
+    android:viewportWidth="108"
+    android:viewportHeight="108">
+    <path
+        android:fillColor="@color/ic_launcher_background"
+        android:pathData="M0,0h108v108h-108z" />
+</vector>
+`;
+
+        const foreground = `<?xml version="1.0" encoding="utf-8"?>
+<vector xmlns:android="http://schemas.android.com/apk/res/android"
+    android:width="108dp"
+    android:height="108dp"
+    android:viewportWidth="108"
+    android:viewportHeight="108">
+    <path
+        android:fillColor="#FFFFFF"
+        android:pathData="M38,42h32a4,4 0,0 1,4 4v22a4,4 0,0 1,-4 4h-32a4,4 0,0 1,-4 -4v-22a4,4 0,0 1,4 -4z" />
+    <path
+        android:fillColor="#FF3DDC84"
+        android:pathData="M44,52a3,3 0,1 0,6 0a3,3 0,1 0,-6 0zM58,52a3,3 0,1 0,6 0a3,3 0,1 0,-6 0z" />
+    <path
+        android:fillColor="#FFFFFF"
+        android:pathData="M42,36l4,5h-2l-4,-5zM66,36l-4,5h2l4,-5z" />
+</vector>
+`;
+
+        const adaptiveIcon = `<?xml version="1.0" encoding="utf-8"?>
+<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
+    <background android:drawable="@drawable/ic_launcher_background" />
+    <foreground android:drawable="@drawable/ic_launcher_foreground" />
+</adaptive-icon>
+`;
+
+        const legacyIcon = `<?xml version="1.0" encoding="utf-8"?>
+<layer-list xmlns:android="http://schemas.android.com/apk/res/android">
+    <item android:drawable="@drawable/ic_launcher_background" />
+    <item android:drawable="@drawable/ic_launcher_foreground" />
+</layer-list>
+`;
+
+        return [
+            Helpers.createProjectFile(`${res}/drawable/ic_launcher_background.xml`, background),
+            Helpers.createProjectFile(`${res}/drawable/ic_launcher_foreground.xml`, foreground),
+            Helpers.createProjectFile(`${res}/mipmap-anydpi-v26/ic_launcher.xml`, adaptiveIcon),
+            Helpers.createProjectFile(`${res}/mipmap-anydpi-v26/ic_launcher_round.xml`, adaptiveIcon),
+            Helpers.createProjectFile(`${res}/mipmap/ic_launcher.xml`, legacyIcon),
+            Helpers.createProjectFile(`${res}/mipmap/ic_launcher_round.xml`, legacyIcon)
+        ];
+    }
+
+    /**
+     * Generate Kotlin sources
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateSourceFiles(options) {
+        const hasActivities = options.activities.length > 0;
+        const imports = hasActivities ?
+            ['android.content.Intent', 'android.os.Bundle', 'android.widget.Button', 'androidx.appcompat.app.AppCompatActivity'] :
+            ['android.os.Bundle', 'androidx.appcompat.app.AppCompatActivity'];
+
+        const navigation = options.activities.map(activity => `
+        findViewById<Button>(R.id.${this.getButtonId(activity)}).setOnClickListener {
+            startActivity(Intent(this, ${activity.className}::class.java))
+        }`).join('\n');
+
+        const mainActivity = `package ${options.packageName}
+
+${imports.map(imp => `import ${imp}`).join('\n')}
+
+class MainActivity : AppCompatActivity() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContentView(R.layout.activity_main)
+${navigation}
+    }
+}
+`;
+
+        return [
+            Helpers.createProjectFile(this.getSourcePath(options, 'MainActivity.kt'), mainActivity),
+            ...options.activities.map(activity => Helpers.createProjectFile(
+                this.getSourcePath(options, `${activity.className}.kt`),
+                this.generateActivityClass(options, activity)
+            ))
+        ];
+    }
+
+    /**
+     * Generate the Kotlin class of an optional activity
+     * @param {Object} options - Normalized options
+     * @param {Object} activity - Activity template
+     * @returns {string} Kotlin source
+     */
+    generateActivityClass(options, activity) {
+        switch (activity.key) {
+            case 'login':
+                return `package ${options.packageName}
+
+import android.content.Context
+import android.os.Bundle
+import android.util.Patterns
+import android.widget.Button
+import android.widget.EditText
+import android.widget.Toast
+import androidx.appcompat.app.AppCompatActivity
+
+class LoginActivity : AppCompatActivity() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContentView(R.layout.activity_login)
+
+        val emailInput = findViewById<EditText>(R.id.emailInput)
+        val passwordInput = findViewById<EditText>(R.id.passwordInput)
+
+        findViewById<Button>(R.id.loginButton).setOnClickListener {
+            val email = emailInput.text.toString().trim()
+            val password = passwordInput.text.toString()
+
+            if (email.isEmpty() || password.isEmpty()) {
+                Toast.makeText(this, R.string.login_error_empty, Toast.LENGTH_SHORT).show()
+                return@setOnClickListener
+            }
+
+            if (!Patterns.EMAIL_ADDRESS.matcher(email).matches()) {
+                emailInput.error = getString(R.string.login_error_email)
+                return@setOnClickListener
+            }
+
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                passwordInput.error = getString(R.string.login_error_password, MIN_PASSWORD_LENGTH)
+                return@setOnClickListener
+            }
+
+            // Local session: the signed-in email stays in the app preferences
+            getSharedPreferences(PREFERENCES_NAME, Context.MODE_PRIVATE)
+                .edit()
+                .putString(KEY_USER_EMAIL, email)
+                .apply()
+
+            Toast.makeText(this, R.string.login_success, Toast.LENGTH_SHORT).show()
+            setResult(RESULT_OK)
+            finish()
+        }
+    }
+
+    companion object {
+        const val PREFERENCES_NAME = "session"
+        const val KEY_USER_EMAIL = "user_email"
+        private const val MIN_PASSWORD_LENGTH = 6
+    }
+}
+`;
+
+            case 'settings':
+                return `package ${options.packageName}
+
+import android.content.Context
+import android.os.Bundle
+import androidx.appcompat.app.AppCompatActivity
+import androidx.appcompat.app.AppCompatDelegate
+import com.google.android.material.switchmaterial.SwitchMaterial
+
+class SettingsActivity : AppCompatActivity() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContentView(R.layout.activity_settings)
+
+        val preferences = getSharedPreferences(PREFERENCES_NAME, Context.MODE_PRIVATE)
+
+        findViewById<SwitchMaterial>(R.id.notificationsSwitch).apply {
+            isChecked = preferences.getBoolean(KEY_NOTIFICATIONS, true)
+            setOnCheckedChangeListener { _, checked ->
+                preferences.edit().putBoolean(KEY_NOTIFICATIONS, checked).apply()
+            }
+        }
+
+        findViewById<SwitchMaterial>(R.id.darkModeSwitch).apply {
+            isChecked = preferences.getBoolean(KEY_DARK_MODE, false)
+            setOnCheckedChangeListener { _, checked ->
+                preferences.edit().putBoolean(KEY_DARK_MODE, checked).apply()
+                AppCompatDelegate.setDefaultNightMode(
+                    if (checked) AppCompatDelegate.MODE_NIGHT_YES else AppCompatDelegate.MODE_NIGHT_NO
+                )
+            }
+        }
+    }
+
+    companion object {
+        private const val PREFERENCES_NAME = "settings"
+        private const val KEY_NOTIFICATIONS = "notifications_enabled"
+        private const val KEY_DARK_MODE = "dark_mode_enabled"
+    }
+}
+`;
+
+            case 'profile':
+                return `package ${options.packageName}
+
+import android.os.Bundle
+import androidx.appcompat.app.AppCompatActivity
+
+class ProfileActivity : AppCompatActivity() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContentView(R.layout.activity_profile)
+    }
+}
+`;
+
+            default:
+                return `package ${options.packageName}
+
+import android.os.Bundle
+import androidx.appcompat.app.AppCompatActivity
+
+class ${activity.className} : AppCompatActivity() {
+    override fun onCreate(savedInstanceState: Bundle?) {
+        super.onCreate(savedInstanceState)
+        setContentView(R.layout.${activity.layout})
+    }
+}
+`;
+        }
+    }
+
+    /**
+     * Generate the layout of an optional activity
+     * @param {Object} activity - Activity template
+     * @returns {string} Layout XML
+     */
+    generateActivityLayout(activity) {
+        const header = `<?xml version="1.0" encoding="utf-8"?>
+<LinearLayout xmlns:android="http://schemas.android.com/apk/res/android"
+    xmlns:tools="http://schemas.android.com/tools"
+    android:layout_width="match_parent"
+    android:layout_height="match_parent"
+    android:orientation="vertical"
+    android:padding="24dp"
+    tools:context=".${activity.className}">
+`;
+
+        switch (activity.key) {
+            case 'login':
+                return `${header}
+    <EditText
+        android:id="@+id/emailInput"
+        android:layout_width="match_parent"
+        android:layout_height="wrap_content"
+        android:autofillHints="emailAddress"
+        android:hint="@string/login_email_hint"
+        android:inputType="textEmailAddress" />
+
+    <EditText
+        android:id="@+id/passwordInput"
+        android:layout_width="match_parent"
+        android:layout_height="wrap_content"
+        android:layout_marginTop="12dp"
+        android:autofillHints="password"
+        android:hint="@string/login_password_hint"
+        android:inputType="textPassword" />
+
+    <com.google.android.material.button.MaterialButton
+        android:id="@+id/loginButton"
+        android:layout_width="match_parent"
+        android:layout_height="wrap_content"
+        android:layout_marginTop="24dp"
+        android:text="@string/login_button" />
+
+</LinearLayout>
+`;
+
+            case 'settings':
+                return `${header}
+    <com.google.android.material.switchmaterial.SwitchMaterial
+        android:id="@+id/notificationsSwitch"
+        android:layout_width="match_parent"
+        android:layout_height="wrap_content"
+        android:text="@string/settings_notifications" />
+
+    <com.google.android.material.switchmaterial.SwitchMaterial
+        android:id="@+id/darkModeSwitch"
+        android:layout_width="match_parent"
+        android:layout_height="wrap_content"
+        android:layout_marginTop="12dp"
+        android:text="@string/settings_dark_mode" />
+
+</LinearLayout>
+`;
+
+            case 'profile':
+                return `${header}
+    <ImageView
+        android:id="@+id/avatarImage"
+        android:layout_width="96dp"
+        android:layout_height="96dp"
+        android:layout_gravity="center_horizontal"
+        android:contentDescription="@string/profile_avatar_description"
+        android:src="@mipmap/ic_launcher" />
+
+    <TextView
+        android:id="@+id/nameText"
+        android:layout_width="wrap_content"
+        android:layout_height="wrap_content"
+        android:layout_gravity="center_horizontal"
+        android:layout_marginTop="16dp"
+        android:text="@string/profile_name"
+        android:textAppearance="@style/TextAppearance.MaterialComponents.Headline6" />
+
+    <TextView
+        android:id="@+id/emailText"
+        android:layout_width="wrap_content"
+        android:layout_height="wrap_content"
+        android:layout_gravity="center_horizontal"
+        android:layout_marginTop="4dp"
+        android:text="@string/profile_email" />
+
+</LinearLayout>
+`;
+
+            default:
+                return `${header}
+</LinearLayout>
+`;
+        }
+    }
+
+    /**
+     * Destination of a binary user file: images go to res/ (drawable, or mipmap for launcher icons),
+     * fonts to res/font, JAR/AAR libraries to app/libs
+     * @param {Object} file - User file
+     * @param {string} fileName - File name
+     * @param {string} extension - File extension
+     * @param {string} res - Resources folder
+     * @returns {Object|null} Target { path, content } or null if the file has no place
+     */
+    resolveBinaryTarget(file, fileName, extension, res) {
+        const content = file.content;
+
+        if (extension === 'jar' || extension === 'aar') {
+            return { path: `app/libs/${fileName}`, content };
+        }
+
+        if (extension === 'ttf' || extension === 'otf') {
+            return { path: `${res}/font/${fileName.toLowerCase()}`, content };
+        }
+
+        if (['png', 'jpg', 'jpeg', 'webp', 'gif'].includes(extension)) {
+            const resFolder = (file.currentPath || '').match(/(?:^|\/)res\/((?:drawable|mipmap)(?:-[A-Za-z0-9]+)*)\//);
+            if (resFolder) {
+                return { path: `${res}/${resFolder[1]}/${fileName}`, content };
+            }
+
+            return {
+                path: `${res}/${/^ic_launcher/.test(fileName) ? 'mipmap-xxxhdpi' : 'drawable'}/${fileName}`,
+                content
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * ID of the MainActivity button that opens an activity
+     * @param {Object} activity - Activity template
+     * @returns {string} View ID
+     */
+    getButtonId(activity) {
+        return `open${activity.className.replace(/Activity$/, '')}Button`;
+    }
+
+    /**
+     * Route the user's files into the project by type
+     * Kotlin/Java follow their package declaration (rebased on the configured package),
+     * XML goes to res/ or src/main according to its root element
+     * @param {Object} options - Normalized options
+     * @param {Array} warnings - Collected warnings
+     * @returns {Array} Placed user files
+     */
+    placeUserFiles(options, warnings) {
+        const sourcePackage = this.detectSourcePackage(options.files);
+        const placed = [];
+
+        options.files.forEach(file => {
+            const fileName = file.fileName || file.name;
+
+            // Configurazione generata dall'estrattore, non fa parte del progetto
+            if (fileName === 'project-config.json') return;
+
+            const target = this.resolveUserFileTarget(file, fileName, options, sourcePackage);
+
+            if (!target) {
+                warnings.push(`File non inserito nel progetto Android: ${fileName}`);
+                return;
+            }
+
+            placed.push(Helpers.createProjectFile(target.path, target.content, {
+                generated: false,
+                sourceFileId: file.id,
+                originalPath: file.currentPath || fileName,
+                ...Helpers.getBinaryFields(file)
+            }));
+        });
+
+        return placed;
+    }
+
+    /**
+     * Determine destination path and (rewritten) content of a user file
+     * @param {Object} file - User file
+     * @param {string} fileName - File name
+     * @param {Object} options - Normalized options
+     * @param {string|null} sourcePackage - Root package used by the user's sources
+     * @returns {Object|null} Target { path, content } or null if the file has no place
+     */
+    resolveUserFileTarget(file, fileName, options, sourcePackage) {
+        const extension = Helpers.getFileExtension(fileName);
+        const content = file.content || '';
+        const res = 'app/src/main/res';
+
+        if (Helpers.isBinaryFile(file)) {
+            return this.resolveBinaryTarget(file, fileName, extension, res);
+        }
+
+        if (extension === 'kt' || extension === 'java') {
+            const declaredPackage = this.getPackageDeclaration(content);
+            const targetPackage = this.rebasePackage(declaredPackage, sourcePackage, options.packageName);
+
+            return {
+                path: `app/src/main/java/${targetPackage.replace(/\./g, '/')}/${fileName}`,
+                content: this.rewritePackage(content, extension, declaredPackage, sourcePackage, targetPackage, options.packageName)
+            };
+        }
+
+        if (extension === 'xml') {
+            if (fileName === 'AndroidManifest.xml' || /<manifest[\s>]/.test(content)) {
+                return {
+                    path: 'app/src/main/AndroidManifest.xml',
+                    content: content.replace(/\s+package="[^"]*"/, '')
+                };
+            }
+
+            // Rispetta una cartella res/ già presente nel path (es. dopo l'organizzazione)
+            const resFolder = (file.currentPath || '').match(/(?:^|\/)res\/([a-z]+(?:-[A-Za-z0-9]+)*)\//);
+            if (resFolder) {
+                return { path: `${res}/${resFolder[1]}/${fileName}`, content };
+            }
+
+            return { path: `${res}/${this.getResourceFolder(content)}/${fileName}`, content };
+        }
+
+        switch (fileName) {
+            case 'build.gradle':
+                return { path: /com\.android\.application|applicationId/.test(content) ? 'app/build.gradle' : 'build.gradle', content };
+            case 'settings.gradle':
+            case 'gradle.properties':
+                return { path: fileName, content };
+            case 'proguard-rules.pro':
+                return { path: `app/${fileName}`, content };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Resource folder for an XML file, based on its root element
+     * @param {string} content - XML content
+     * @returns {string} Folder name under res/
+     */
+    getResourceFolder(content) {
+        const root = content
+            .replace(/<\?xml[^>]*\?>/, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .match(/<([A-Za-z][\w.:-]*)/);
+        const rootElement = root ? root[1] : '';
+
+        if (rootElement === 'resources') return 'values';
+        if (rootElement === 'menu') return 'menu';
+        if (rootElement === 'navigation') return 'navigation';
+        if (['vector', 'shape', 'selector', 'layer-list', 'ripple', 'animated-vector', 'bitmap', 'inset'].includes(rootElement)) {
+            return 'drawable';
+        }
+        if (['adaptive-icon'].includes(rootElement)) return 'mipmap-anydpi-v26';
+        if (['set', 'objectAnimator', 'alpha', 'scale', 'translate', 'rotate'].includes(rootElement)) return 'anim';
+        if (['PreferenceScreen', 'paths', 'data-extraction-rules', 'full-backup-content', 'network-security-config'].includes(rootElement)) {
+            return 'xml';
+        }
+        return 'layout';
+    }
+
+    /**
+     * Find the root package of the user's sources
+     * Prefers the package of MainActivity, otherwise the longest common prefix
+     * @param {Array} files - User files
+     * @returns {string|null} Root package
+     */
+    detectSourcePackage(files) {
+        const sources = files.filter(file => ['kt', 'java'].includes(Helpers.getFileExtension(file.fileName || file.name || '')));
+        const mainActivity = sources.find(file => /^MainActivity\.(kt|java)$/.test(file.fileName || file.name));
+
+        if (mainActivity) {
+            const mainPackage = this.getPackageDeclaration(mainActivity.content || '');
+            if (mainPackage) return mainPackage;
+        }
+
+        const packages = sources
+            .map(file => this.getPackageDeclaration(file.content || ''))
+            .filter(Boolean)
+            .map(pkg => pkg.split('.'));
+
+        if (packages.length === 0) return null;
+
+        const common = [];
+        for (let i = 0; i < packages[0].length; i++) {
+            const segment = packages[0][i];
+            if (!packages.every(parts => parts[i] === segment)) break;
+            common.push(segment);
+        }
+
+        return common.length > 0 ? common.join('.') : null;
+    }
+
+    /**
+     * Read the package declaration of a Kotlin/Java file
+     * @param {string} content - Source content
+     * @returns {string|null} Package name
+     */
+    getPackageDeclaration(content) {
+        const match = content.match(/^[ \t]*package\s+([A-Za-z_][\w.]*)[ \t]*;?/m);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Move a package from the user's root package onto the configured one
+     * (e.g. com.acme.app.data → com.example.myapp.data)
+     * @param {string|null} declaredPackage - Package declared in the file
+     * @param {string|null} sourcePackage - User's root package
+     * @param {string} packageName - Configured package
+     * @returns {string} Target package
+     */
+    rebasePackage(declaredPackage, sourcePackage, packageName) {
+        if (!declaredPackage) return packageName;
+        if (sourcePackage && (declaredPackage === sourcePackage || declaredPackage.startsWith(sourcePackage + '.'))) {
+            return packageName + declaredPackage.substring(sourcePackage.length);
+        }
+        return packageName;
+    }
+
+    /**
+     * Rewrite package declaration and imports of the user's root package
+     * @param {string} content - Source content
+     * @param {string} extension - kt or java
+     * @param {string|null} declaredPackage - Package declared in the file
+     * @param {string|null} sourcePackage - User's root package
+     * @param {string} targetPackage - Package the file is moved to
+     * @param {string} packageName - Configured package
+     * @returns {string} Rewritten content
+     */
+    rewritePackage(content, extension, declaredPackage, sourcePackage, targetPackage, packageName) {
+        const terminator = extension === 'java' ? ';' : '';
+
+        if (!declaredPackage) {
+            return `package ${targetPackage}${terminator}\n\n${content}`;
+        }
+
+        let rewritten = content.replace(
+            /^([ \t]*)package\s+[A-Za-z_][\w.]*[ \t]*;?/m,
+            `$1package ${targetPackage}${terminator}`
+        );
+
+        if (sourcePackage && sourcePackage !== packageName) {
+            const escaped = sourcePackage.replace(/\./g, '\\.');
+            rewritten = rewritten.replace(
+                new RegExp(`^([ \\t]*import\\s+(?:static\\s+)?)${escaped}(?=[.;\\s]|$)`, 'gm'),
+                `$1${packageName}`
+            );
+        }
+
+        return rewritten;
+    }
+
+    /**
+     * Merge user files over generated ones
+     * User files win on the same path, except res/values files (merged entry by entry) and
+     * AndroidManifest.xml (generated activities and theme the user manifest lacks are added to it)
+     * @param {Array} generatedFiles - Generated files
+     * @param {Array} userFiles - User files
+     * @param {Array} conflicts - Collected conflicts
+     * @returns {Array} Merged file list
+     */
+    mergeFiles(generatedFiles, userFiles, conflicts) {
+        const files = [...generatedFiles];
+
+        userFiles.forEach(userFile => {
+            const index = files.findIndex(file => file.currentPath === userFile.currentPath);
+
+            if (index === -1) {
+                files.push(userFile);
+                return;
+            }
+
+            const existing = files[index];
+            const source = existing.generated ? 'generated' : 'user';
+
+            if (/\/res\/values[^/]*\/[^/]+\.xml$/.test(userFile.currentPath) &&
+                /<resources[\s>]/.test(existing.content) && /<resources[\s>]/.test(userFile.content)) {
+                const merged = this.mergeValueResources(existing.content, userFile.content);
+                files[index] = Helpers.createProjectFile(userFile.currentPath, merged.content, {
+                    generated: false,
+                    sourceFileId: userFile.sourceFileId
+                });
+                conflicts.push({
+                    path: userFile.currentPath,
+                    with: source,
+                    resolution: 'merged',
+                    overridden: merged.overridden
+                });
+                return;
+            }
+
+            if (userFile.fileName === 'AndroidManifest.xml' && existing.generated) {
+                const merged = this.mergeManifest(existing.content, userFile.content);
+                const changed = merged.added.length > 0 || merged.themeAdded;
+                files[index] = changed ?
+                    Helpers.createProjectFile(userFile.currentPath, merged.content, {
+                        generated: false,
+                        sourceFileId: userFile.sourceFileId
+                    }) :
+                    userFile;
+                conflicts.push({
+                    path: userFile.currentPath,
+                    with: source,
+                    resolution: changed ? 'merged' : 'user',
+                    added: merged.added,
+                    dropped: merged.dropped,
+                    themeAdded: merged.themeAdded
+                });
+                return;
+            }
+
+            files[index] = userFile;
+            conflicts.push({
+                path: userFile.currentPath,
+                with: source,
+                resolution: 'user'
+            });
+        });
+
+        return files;
+    }
+
+    /**
+     * Merge two res/values files, user entries win on the same (type, name)
+     * Every child of <resources> is kept (string, color, dimen, integer, bool, style...)
+     * @param {string} baseContent - Generated values file
+     * @param {string} userContent - User values file
+     * @returns {Object} Merged content and overridden entries ("type/name")
+     */
+    mergeValueResources(baseContent, userContent) {
+        const base = this.parseValueResources(baseContent);
+        const user = this.parseValueResources(userContent);
+        const entries = new Map(base.entries.map(entry => [entry.key, entry.text]));
+        const overridden = [];
+
+        user.entries.forEach(entry => {
+            if (entries.has(entry.key)) overridden.push(entry.key);
+            entries.set(entry.key, entry.text);
+        });
+
+        return {
+            content: `${user.declaration || base.declaration}${user.openTag}
+${[...entries.values()].map(entry => `    ${entry}`).join('\n')}
+</resources>
+`,
+            overridden: overridden
+        };
+    }
+
+    /**
+     * Split a values file into its <resources> children, each with the comments before it
+     * @param {string} content - Values file content
+     * @returns {Object} { declaration, openTag, entries: [{ key, text }] }
+     */
+    parseValueResources(content) {
+        const declaration = content.match(/^\s*(<\?xml[^>]*\?>)/)?.[1];
+        const openTag = content.match(/<resources\b[^>]*>/);
+        const closing = content.lastIndexOf('</resources>');
+        const body = openTag ?
+            content.slice(openTag.index + openTag[0].length, closing > openTag.index ? closing : content.length) : '';
+        const entries = [];
+        let comments = [];
+        let index = 0;
+
+        while ((index = body.indexOf('<', index)) !== -1) {
+            if (body.startsWith('<!--', index)) {
+                const end = body.indexOf('-->', index);
+                const stop = end === -1 ? body.length : end + 3;
+                comments.push(body.slice(index, stop));
+                index = stop;
+                continue;
+            }
+
+            const tag = body.slice(index).match(/^<([\w:.-]+)\b[^>]*?(\/?)>/);
+            if (!tag) {
+                index++;
+                continue;
+            }
+
+            const stop = tag[2] ?
+                index + tag[0].length :
+                this.findClosingTag(body, tag[1], index + tag[0].length);
+            const text = body.slice(index, stop);
+            const name = tag[0].match(/\sname\s*=\s*"([^"]*)"/)?.[1];
+            // <item type="dimen" name="x"> e <dimen name="x"> sono la stessa risorsa
+            const type = tag[1] === 'item' ? tag[0].match(/\stype\s*=\s*"([^"]*)"/)?.[1] || 'item' : tag[1];
+
+            entries.push({
+                key: name === undefined ? text : `${type}/${name}`,
+                text: [...comments, text].join('\n    ')
+            });
+            comments = [];
+            index = stop;
+        }
+
+        return {
+            declaration: declaration ? `${declaration}\n` : '',
+            openTag: openTag ? openTag[0] : '<resources>',
+            entries: entries
+        };
+    }
+
+    /**
+     * End of an element, counting nested elements with the same tag
+     * @param {string} content - XML text
+     * @param {string} tagName - Element tag
+     * @param {number} from - Index after the opening tag
+     * @returns {number} Index after the closing tag (end of text if missing)
+     */
+    findClosingTag(content, tagName, from) {
+        const pattern = new RegExp(`<(/?)${tagName.replace(/[.]/g, '\\.')}\\b[^>]*?(/?)>`, 'g');
+        let depth = 1;
+        let match;
+
+        pattern.lastIndex = from;
+        while ((match = pattern.exec(content)) !== null) {
+            if (match[1]) depth--;
+            else if (!match[2]) depth++;
+
+            if (depth === 0) return match.index + match[0].length;
+        }
+
+        return content.length;
+    }
+
+    /**
+     * Add the generated activities and application theme a user manifest does not declare
+     * The generated launcher intent-filter is left out when the user manifest already has a launcher
+     * @param {string} generatedContent - Generated AndroidManifest.xml
+     * @param {string} userContent - User AndroidManifest.xml
+     * @returns {Object} { content, added, dropped, themeAdded } - names of added activities, of the ones
+     *                   that could not be added (user manifest without <application>), and whether
+     *                   the generated theme was set on <application>
+     */
+    mergeManifest(generatedContent, userContent) {
+        const applicationPattern = /<application\b[^>]*>/;
+        const theme = generatedContent.match(applicationPattern)?.[0].match(/android:theme\s*=\s*"[^"]*"/)?.[0];
+        const userApplication = userContent.match(applicationPattern)?.[0];
+        const themeAdded = Boolean(theme && userApplication && !/android:theme\s*=/.test(userApplication));
+
+        // Without it the app would not use the Theme.<App> style generated in themes.xml
+        if (themeAdded) {
+            userContent = userContent.replace(applicationPattern, application =>
+                application.replace(/^<application\b/, `<application ${theme}`));
+        }
+
+        const activityPattern = /<activity\b[^>]*?(?:\/>|>[\s\S]*?<\/activity>)/g;
+        const getName = activity => activity.match(/android:name\s*=\s*"([^"]*)"/)?.[1] || '';
+        const getClassName = name => name.split('.').pop();
+
+        const declared = [...userContent.matchAll(activityPattern)].map(match => getClassName(getName(match[0])));
+        const hasLauncher = /android\.intent\.category\.LAUNCHER/.test(userContent);
+        const missing = [...generatedContent.matchAll(activityPattern)]
+            .map(match => match[0])
+            .filter(activity => !declared.includes(getClassName(getName(activity))));
+
+        const names = missing.map(getName);
+        const closing = userContent.lastIndexOf('</application>');
+
+        if (missing.length === 0 || closing === -1) {
+            return { content: userContent, added: [], dropped: closing === -1 ? names : [], themeAdded };
+        }
+
+        const activities = missing.map(activity => hasLauncher ?
+            activity.replace(/\s*<intent-filter>[\s\S]*?android\.intent\.category\.LAUNCHER[\s\S]*?<\/intent-filter>/, '') :
+            activity);
+
+        return {
+            content: `${userContent.slice(0, closing).replace(/[ \t]*$/, '')}${activities.map(activity => `        ${activity}\n`).join('')}    ${userContent.slice(closing)}`,
+            added: names,
+            dropped: [],
+            themeAdded
+        };
+    }
+
+    /**
+     * Path of a source file inside app/src/main/java/<package>
+     * @param {Object} options - Normalized options
+     * @param {string} fileName - Source file name
+     * @returns {string} Relative path
+     */
+    getSourcePath(options, fileName) {
+        return `app/src/main/java/${options.packagePath}/${fileName}`;
+    }
+
+    /**
+     * Gradle wrapper version for the selected Android Gradle Plugin version
+     * @param {string} pluginVersion - Android Gradle Plugin version
+     * @returns {string} Gradle version
+     */
+    getWrapperVersion(pluginVersion) {
+        const majorMinor = pluginVersion.split('.').slice(0, 2).join('.');
+        return GRADLE_WRAPPER_VERSIONS[majorMinor] || Constants.DEFAULT_GRADLE_VERSION;
+    }
+
+    /**
+     * Convert an app name to a resource-safe identifier (e.g. "My App" → "MyApp")
+     * @param {string} name - App name
+     * @returns {string} Identifier
+     */
+    toIdentifier(name) {
+        const identifier = name
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean)
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+
+        return /^[A-Za-z]/.test(identifier) ? identifier : `App${identifier}`;
+    }
+
+    /**
+     * Escape text for Android string resources
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/'/g, "\\'")
+            .replace(/"/g, '\\"');
+    }
+}
+
+export default AndroidBuilder;
@@ -0,0 +1,486 @@
+/**
+ * Code Editor Module
+ * Edits a single file in the editor modal: highlighted textarea, line numbers, find/replace
+ */
+
+import { SyntaxHighlighter } from '../utils/syntaxHighlighter.js';
+import { LanguageDetector } from '../utils/languageDetector.js';
+
+const TAB_TEXT = '    ';
+
+// Fallback line height (px) when the computed style is "normal"
+const DEFAULT_LINE_HEIGHT = 20;
+
+export class CodeEditor {
+    /**
+     * @param {Object} options - onSave(file, content): persists the edited content (may be async)
+     */
+    constructor(options = {}) {
+        console.log('✏️ CodeEditor initialized');
+
+        this.onSave = options.onSave || null;
+        this.elements = null;
+        this.file = null;
+        this.language = null;
+        this.savedContent = '';
+        this.matches = [];
+        this.matchIndex = -1;
+        this.renderFrame = null;
+    }
+
+    /**
+     * Open a file in the editor
+     * @param {Object} file - Text file with content
+     * @param {Object} options - line: line to place the cursor on
+     * @returns {boolean} False when the editor markup is missing
+     */
+    open(file, options = {}) {
+        if (!this.mount()) return false;
+
+        const { modal, title, input } = this.elements;
+
+        this.file = file;
+        this.language = file.language || LanguageDetector.getLanguageForFileName(file.currentPath || file.fileName);
+        this.savedContent = file.content || '';
+        this.matches = [];
+        this.matchIndex = -1;
+
+        title.textContent = file.currentPath || file.fileName;
+        input.value = this.savedContent;
+        modal.hidden = false;
+
+        this.render();
+        this.updateMatches();
+        input.focus();
+        this.goToLine(options.line || 1);
+
+        console.log(`✏️ Editing ${title.textContent} (${this.language || 'plain text'})`);
+        return true;
+    }
+
+    /**
+     * Close the editor, asking before discarding unsaved changes
+     * @param {boolean} force - Close without asking
+     * @returns {boolean} Whether the editor was closed
+     */
+    close(force = false) {
+        if (!this.isOpen()) return true;
+
+        if (!force && this.isDirty() && !confirm('Ci sono modifiche non salvate. Chiudere comunque?')) {
+            return false;
+        }
+
+        this.elements.modal.hidden = true;
+        this.file = null;
+        return true;
+    }
+
+    /**
+     * Whether the editor is showing a file
+     * @returns {boolean} Open
+     */
+    isOpen() {
+        return Boolean(this.file && this.elements && !this.elements.modal.hidden);
+    }
+
+    /**
+     * Whether the content differs from the last saved version
+     * @returns {boolean} Unsaved changes
+     */
+    isDirty() {
+        return Boolean(this.file) && this.elements.input.value !== this.savedContent;
+    }
+
+    /**
+     * Save the content through the onSave callback
+     * @returns {Promise<boolean>} Whether the content was saved
+     */
+    async save() {
+        if (!this.file || !this.onSave) return false;
+
+        const content = this.elements.input.value;
+        await this.onSave(this.file, content);
+
+        this.savedContent = content;
+        this.updateStatus();
+        return true;
+    }
+
+    /**
+     * Find the editor markup and bind its events (once)
+     * @returns {boolean} Markup available
+     */
+    mount() {
+        if (this.elements) return true;
+
+        const modal = document.getElementById('editorModal');
+        if (!modal) return false;
+
+        const byId = id => document.getElementById(id);
+        this.elements = {
+            modal,
+            title: byId('editorTitle'),
+            status: byId('editorStatus'),
+            input: byId('editorInput'),
+            highlight: byId('editorHighlight'),
+            gutter: byId('editorGutter'),
+            find: byId('editorFind'),
+            replace: byId('editorReplace'),
+            matchCase: byId('editorMatchCase'),
+            regex: byId('editorRegex'),
+            matchCount: byId('editorMatches')
+        };
+
+        const { input, find, replace, matchCase, regex } = this.elements;
+
+        input.addEventListener('input', () => {
+            this.scheduleRender();
+            this.updateMatches();
+        });
+        input.addEventListener('scroll', () => this.syncScroll());
+        input.addEventListener('keydown', (e) => this.handleEditorKeydown(e));
+        ['keyup', 'click', 'select'].forEach(type => input.addEventListener(type, () => this.updateStatus()));
+
+        find.addEventListener('input', () => {
+            this.updateMatches();
+            this.findNext();
+        });
+        find.addEventListener('keydown', (e) => this.handleFindKeydown(e));
+        replace.addEventListener('keydown', (e) => this.handleFindKeydown(e));
+        [matchCase, regex].forEach(option => option.addEventListener('change', () => this.updateMatches()));
+
+        const actions = {
+            editorSave: () => this.save(),
+            editorClose: () => this.close(),
+            editorFindPrev: () => this.findPrevious(),
+            editorFindNext: () => this.findNext(),
+            editorReplaceOne: () => this.replaceCurrent(),
+            editorReplaceAll: () => this.replaceAll()
+        };
+        Object.entries(actions).forEach(([id, action]) => byId(id)?.addEventListener('click', action));
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Editing shortcuts: Tab indents, Ctrl+S saves, Ctrl+F / Ctrl+H open find and replace
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleEditorKeydown(e) {
+        const shortcut = e.ctrlKey || e.metaKey;
+
+        if (e.key === 'Tab' && !shortcut) {
+            e.preventDefault();
+            this.insertText(TAB_TEXT);
+        } else if (shortcut && e.key === 's') {
+            e.preventDefault();
+            this.save();
+        } else if (shortcut && (e.key === 'f' || e.key === 'h')) {
+            e.preventDefault();
+            const { input, find, replace } = this.elements;
+            const selection = input.value.slice(input.selectionStart, input.selectionEnd);
+
+            if (selection && !selection.includes('\n')) {
+                find.value = selection;
+                this.updateMatches();
+            }
+            (e.key === 'h' ? replace : find).focus();
+        }
+    }
+
+    /**
+     * Find field shortcuts: Enter finds the next match, Shift+Enter the previous one
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleFindKeydown(e) {
+        if (e.key !== 'Enter') return;
+
+        e.preventDefault();
+        if (e.target === this.elements.replace) {
+            this.replaceCurrent();
+        } else if (e.shiftKey) {
+            this.findPrevious();
+        } else {
+            this.findNext();
+        }
+    }
+
+    /**
+     * Insert text at the cursor, keeping the browser undo history when possible
+     * @param {string} text - Text to insert
+     */
+    insertText(text) {
+        const { input } = this.elements;
+
+        if (!document.execCommand || !document.execCommand('insertText', false, text)) {
+            input.setRangeText(text, input.selectionStart, input.selectionEnd, 'end');
+            input.dispatchEvent(new Event('input'));
+        }
+    }
+
+    /**
+     * Render on the next animation frame (typing bursts render once)
+     */
+    scheduleRender() {
+        if (this.renderFrame) return;
+
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Render the highlighted layer and the line numbers for the current content
+     */
+    render() {
+        const { input, highlight, gutter } = this.elements;
+        const content = input.value;
+        const lineCount = content.split('\n').length;
+
+        // The trailing newline keeps the layer as tall as the textarea when the content ends with one
+        highlight.innerHTML = SyntaxHighlighter.highlight(content, this.language) + '\n';
+        gutter.innerHTML = Array.from({ length: lineCount }, (_, index) =>
+            `<span data-line="${index + 1}">${index + 1}</span>`).join('\n');
+
+        this.syncScroll();
+        this.updateStatus();
+    }
+
+    /**
+     * Keep the highlighted layer and the gutter aligned with the textarea
+     */
+    syncScroll() {
+        const { input, highlight, gutter } = this.elements;
+        const layer = highlight.parentElement;
+
+        layer.scrollTop = input.scrollTop;
+        layer.scrollLeft = input.scrollLeft;
+        gutter.scrollTop = input.scrollTop;
+    }
+
+    /**
+     * Show cursor position, match count and unsaved state
+     */
+    updateStatus() {
+        if (!this.file) return;
+
+        const { input, status, gutter } = this.elements;
+        const { line, column } = this.getCursorPosition();
+
+        status.textContent = `Riga ${line}, Col ${column}${this.isDirty() ? ' · ● non salvato' : ''}`;
+
+        gutter.querySelector('.active')?.classList.remove('active');
+        gutter.querySelector(`[data-line="${line}"]`)?.classList.add('active');
+
+        input.classList.toggle('dirty', this.isDirty());
+    }
+
+    /**
+     * Line and column of the cursor (from 1)
+     * @returns {Object} { line, column }
+     */
+    getCursorPosition() {
+        const before = this.elements.input.value.slice(0, this.elements.input.selectionStart);
+        const lines = before.split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+
+    /**
+     * Move the cursor to the start of a line and scroll it into view
+     * @param {number} line - Line number (from 1)
+     */
+    goToLine(line) {
+        const { input } = this.elements;
+        const lines = input.value.split('\n');
+        const target = Math.min(Math.max(1, line), lines.length);
+        const offset = lines.slice(0, target - 1).reduce((sum, text) => sum + text.length + 1, 0);
+
+        input.setSelectionRange(offset, offset);
+        this.scrollToLine(target);
+        this.updateStatus();
+    }
+
+    /**
+     * Scroll so that a line sits in the middle of the textarea
+     * @param {number} line - Line number (from 1)
+     */
+    scrollToLine(line) {
+        const { input } = this.elements;
+        const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || DEFAULT_LINE_HEIGHT;
+
+        input.scrollTop = Math.max(0, (line - 1) * lineHeight - input.clientHeight / 2);
+        this.syncScroll();
+    }
+
+    /**
+     * Build the search pattern from the find field and options
+     * @returns {RegExp|null} Global pattern, null when empty or invalid
+     */
+    getSearchPattern() {
+        const { find, matchCase, regex } = this.elements;
+        const query = find.value;
+
+        if (!query) return null;
+
+        const source = regex.checked ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        try {
+            return new RegExp(source, matchCase.checked ? 'g' : 'gi');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Recompute the matches of the current search
+     */
+    updateMatches() {
+        const { input, find, regex, matchCount } = this.elements;
+        const pattern = this.getSearchPattern();
+
+        this.matches = [];
+        this.matchIndex = -1;
+
+        if (!pattern) {
+            matchCount.textContent = find.value && regex.checked ? 'Regex non valida' : '';
+            return;
+        }
+
+        let match;
+        while ((match = pattern.exec(input.value)) !== null) {
+            // Empty matches (e.g. /^/) would never advance
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            this.matches.push({ start: match.index, end: match.index + match[0].length });
+        }
+
+        this.updateMatchCount();
+    }
+
+    /**
+     * Show "current/total" for the search
+     */
+    updateMatchCount() {
+        const { find, matchCount } = this.elements;
+
+        if (!find.value) {
+            matchCount.textContent = '';
+        } else if (this.matches.length === 0) {
+            matchCount.textContent = 'Nessun risultato';
+        } else {
+            matchCount.textContent = `${this.matchIndex + 1 || '-'}/${this.matches.length}`;
+        }
+    }
+
+    /**
+     * Select the next match after the cursor (wraps around)
+     */
+    findNext() {
+        if (this.matches.length === 0) return;
+
+        const cursor = this.matchIndex === -1 ? this.elements.input.selectionStart : this.matches[this.matchIndex].end;
+        const index = this.matches.findIndex(match => match.start >= cursor);
+        this.selectMatch(index === -1 ? 0 : index);
+    }
+
+    /**
+     * Select the previous match before the cursor (wraps around)
+     */
+    findPrevious() {
+        if (this.matches.length === 0) return;
+
+        const cursor = this.matchIndex === -1 ? this.elements.input.selectionStart : this.matches[this.matchIndex].start;
+        let index = -1;
+        this.matches.forEach((match, position) => {
+            if (match.end <= cursor) index = position;
+        });
+        this.selectMatch(index === -1 ? this.matches.length - 1 : index);
+    }
+
+    /**
+     * Select a match in the textarea and scroll to it
+     * @param {number} index - Match index
+     */
+    selectMatch(index) {
+        const { input } = this.elements;
+        const match = this.matches[index];
+
+        this.matchIndex = index;
+        input.setSelectionRange(match.start, match.end);
+
+        this.scrollToLine(input.value.slice(0, match.start).split('\n').length);
+        this.updateStatus();
+        this.updateMatchCount();
+    }
+
+    /**
+     * Replace the selected match and move to the next one
+     */
+    replaceCurrent() {
+        if (this.matches.length === 0) return;
+
+        if (this.matchIndex === -1) {
+            this.findNext();
+            return;
+        }
+
+        const { input, replace } = this.elements;
+        const match = this.matches[this.matchIndex];
+        const text = input.value;
+        const pattern = this.getSearchPattern();
+        // Sticky pattern run on the whole text from the match start: lookarounds, ^ and $`
+        // see the real context and only this occurrence is replaced
+        const sticky = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y');
+        sticky.lastIndex = match.start;
+        const found = sticky.exec(text);
+
+        if (!found) {
+            this.updateMatches();
+            return;
+        }
+
+        const end = match.start + found[0].length;
+        sticky.lastIndex = match.start;
+        const updated = text.replace(sticky, replace.value);
+        const replacement = updated.slice(match.start, end + updated.length - text.length);
+
+        input.setRangeText(replacement, match.start, end, 'end');
+        this.render();
+        this.updateMatches();
+
+        const next = this.matches.findIndex(item => item.start >= match.start + replacement.length);
+        if (next !== -1) {
+            this.selectMatch(next);
+        }
+    }
+
+    /**
+     * Replace every match
+     * @returns {number} Replaced occurrences
+     */
+    replaceAll() {
+        const pattern = this.getSearchPattern();
+        const count = this.matches.length;
+
+        if (!pattern || count === 0) return 0;
+
+        const { input, replace } = this.elements;
+        input.value = input.value.replace(pattern, replace.value);
+
+        this.render();
+        this.updateMatches();
+        this.elements.matchCount.textContent = `${count} sostituiti`;
+        return count;
+    }
+}
+
+export default CodeEditor;
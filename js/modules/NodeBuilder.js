@@ -0,0 +1,408 @@
+/**
+ * Node Builder Module
+ * Generates Express API projects (CommonJS) with a routes/controllers/services layout
+ */
+
+import { Helpers } from '../utils/helpers.js';
+
+const PACKAGE_VERSIONS = {
+    express: '^4.18.2',
+    dotenv: '^16.3.1',
+    jest: '^29.7.0',
+    supertest: '^6.3.3'
+};
+
+// Folder for extracted .js files, matched on the file name (first match wins)
+const SOURCE_FOLDERS = [
+    { pattern: /\.(test|spec)\.js$/i, folder: 'tests' },
+    { pattern: /(routes?|router)\.js$/i, folder: 'src/routes' },
+    { pattern: /controller\.js$/i, folder: 'src/controllers' },
+    { pattern: /service\.js$/i, folder: 'src/services' },
+    { pattern: /(middleware|errorhandler|auth)\.js$/i, folder: 'src/middleware' },
+    { pattern: /(model|schema)\.js$/i, folder: 'src/models' },
+    { pattern: /(config|env)\.js$/i, folder: 'src/config' },
+    { pattern: /^(app|server)\.js$/i, folder: 'src' }
+];
+
+const ROOT_FILES = ['package.json', 'package-lock.json', '.env.example', 'jest.config.js', 'README.md', '.gitignore'];
+
+export class NodeBuilder {
+    constructor() {
+        console.log('🟢 NodeBuilder initialized');
+    }
+
+    /**
+     * Generate an Express API project
+     * @param {Object} config - Project configuration (projectName, port, files)
+     * @returns {Object} Generated project with file list
+     */
+    async generateProject(config) {
+        console.log('🟢 Generating Node.js project:', config);
+
+        const options = this.normalizeConfig(config);
+        const warnings = [];
+
+        const userFiles = this.placeUserFiles(options, warnings);
+        const userRoutes = this.findUserRoutes(userFiles);
+
+        const files = [
+            this.file('package.json', this.generatePackageJson(options)),
+            this.file('.env.example', `PORT=${options.port}\nNODE_ENV=development\n`),
+            this.file('.gitignore', 'node_modules\ncoverage\n.env\n.DS_Store\n'),
+            this.file('README.md', this.generateReadme(options, userRoutes)),
+            ...this.generateSourceFiles(options, userRoutes),
+            this.file('tests/health.test.js', this.generateHealthTest())
+        ];
+
+        return {
+            projectName: options.packageName,
+            files: files,
+            userFiles: userFiles,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Normalize configuration with defaults
+     * @param {Object} config - Raw configuration
+     * @returns {Object} Normalized options
+     */
+    normalizeConfig(config) {
+        const projectName = (config.projectName || 'my-api').trim();
+
+        return {
+            projectName: projectName,
+            packageName: Helpers.sanitizeProjectName(projectName) || 'my-api',
+            port: Number(config.port) || 3000,
+            files: Array.isArray(config.files) ? config.files : []
+        };
+    }
+
+    /**
+     * Build package.json content
+     * @param {Object} options - Normalized options
+     * @returns {string} package.json content
+     */
+    generatePackageJson(options) {
+        const packageJson = {
+            name: options.packageName,
+            version: '1.0.0',
+            private: true,
+            type: 'commonjs',
+            main: 'src/server.js',
+            scripts: {
+                start: 'node src/server.js',
+                dev: 'node --watch src/server.js',
+                test: 'jest'
+            },
+            engines: {
+                node: '>=18'
+            },
+            dependencies: {
+                dotenv: PACKAGE_VERSIONS.dotenv,
+                express: PACKAGE_VERSIONS.express
+            },
+            devDependencies: {
+                jest: PACKAGE_VERSIONS.jest,
+                supertest: PACKAGE_VERSIONS.supertest
+            },
+            jest: {
+                testEnvironment: 'node'
+            }
+        };
+
+        return JSON.stringify(packageJson, null, 2) + '\n';
+    }
+
+    /**
+     * Express app, server entry point and the health endpoint layers
+     * @param {Object} options - Normalized options
+     * @param {Array} userRoutes - User route modules to mount ({ mountPath, modulePath })
+     * @returns {Array} Generated files
+     */
+    generateSourceFiles(options, userRoutes) {
+        const appJs = `const express = require('express');
+const routes = require('./routes');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+const app = express();
+
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+app.use('/api', routes);
+
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
+`;
+
+        const serverJs = `const app = require('./app');
+const config = require('./config/env');
+
+app.listen(config.port, () => {
+    console.log(\`Server in ascolto su http://localhost:\${config.port} (\${config.nodeEnv})\`);
+});
+`;
+
+        const envJs = `require('dotenv').config();
+
+module.exports = {
+    port: Number(process.env.PORT) || ${options.port},
+    nodeEnv: process.env.NODE_ENV || 'development'
+};
+`;
+
+        const userRouteLines = userRoutes
+            .map(route => `router.use('${route.mountPath}', require('${route.modulePath}'));`)
+            .join('\n');
+
+        const routesIndexJs = `const express = require('express');
+const healthRoutes = require('./health.routes');
+
+const router = express.Router();
+
+router.use('/health', healthRoutes);
+${userRouteLines ? userRouteLines + '\n' : ''}
+module.exports = router;
+`;
+
+        const healthRoutesJs = `const express = require('express');
+const healthController = require('../controllers/health.controller');
+
+const router = express.Router();
+
+router.get('/', healthController.getHealth);
+
+module.exports = router;
+`;
+
+        const healthControllerJs = `const healthService = require('../services/health.service');
+
+/**
+ * GET /api/health
+ */
+function getHealth(req, res) {
+    res.json(healthService.getStatus());
+}
+
+module.exports = { getHealth };
+`;
+
+        const healthServiceJs = `/**
+ * Current service status
+ * @returns {Object} Status payload
+ */
+function getStatus() {
+    return {
+        status: 'ok',
+        uptime: Math.round(process.uptime()),
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = { getStatus };
+`;
+
+        const errorHandlerJs = `/**
+ * 404 for unmatched routes
+ */
+function notFound(req, res, next) {
+    const error = new Error(\`Risorsa non trovata: \${req.method} \${req.originalUrl}\`);
+    error.status = 404;
+    next(error);
+}
+
+/**
+ * Central error handler: JSON body, stack trace only outside production
+ */
+// eslint-disable-next-line no-unused-vars
+function errorHandler(err, req, res, next) {
+    const status = err.status || err.statusCode || 500;
+
+    if (status >= 500) {
+        console.error(err);
+    }
+
+    res.status(status).json({
+        error: {
+            message: status >= 500 && process.env.NODE_ENV === 'production' ? 'Errore interno del server' : err.message,
+            ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
+        }
+    });
+}
+
+module.exports = { notFound, errorHandler };
+`;
+
+        return [
+            this.file('src/app.js', appJs),
+            this.file('src/server.js', serverJs),
+            this.file('src/config/env.js', envJs),
+            this.file('src/routes/index.js', routesIndexJs),
+            this.file('src/routes/health.routes.js', healthRoutesJs),
+            this.file('src/controllers/health.controller.js', healthControllerJs),
+            this.file('src/services/health.service.js', healthServiceJs),
+            this.file('src/middleware/errorHandler.js', errorHandlerJs)
+        ];
+    }
+
+    /**
+     * Jest + supertest test for the health route
+     * @returns {string} Test file content
+     */
+    generateHealthTest() {
+        return `const request = require('supertest');
+const app = require('../src/app');
+
+describe('GET /api/health', () => {
+    it('returns the service status', async () => {
+        const response = await request(app).get('/api/health');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('ok');
+        expect(typeof response.body.uptime).toBe('number');
+    });
+
+    it('returns 404 for unknown routes', async () => {
+        const response = await request(app).get('/api/does-not-exist');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error.message).toMatch(/non trovata/);
+    });
+});
+`;
+    }
+
+    /**
+     * README with the commands to run the project
+     * @param {Object} options - Normalized options
+     * @param {Array} userRoutes - Mounted user routes
+     * @returns {string} README content
+     */
+    generateReadme(options, userRoutes) {
+        const endpoints = [
+            '- `GET /api/health` - stato del servizio',
+            ...userRoutes.map(route => `- \`/api${route.mountPath}\` - ${route.modulePath.replace('./', 'src/routes/')}.js`)
+        ];
+
+        return `# ${options.projectName}
+
+API Node.js + Express generata da Universal Project Builder.
+
+## Avvio
+
+\`\`\`bash
+npm install
+cp .env.example .env
+npm run dev
+\`\`\`
+
+## Test
+
+\`\`\`bash
+npm test
+\`\`\`
+
+## Endpoint
+
+${endpoints.join('\n')}
+
+## Struttura
+
+- \`src/routes\` - definizione delle rotte
+- \`src/controllers\` - gestione di richieste e risposte
+- \`src/services\` - logica applicativa
+- \`src/middleware\` - middleware (gestione errori)
+- \`src/config\` - configurazione da variabili d'ambiente
+`;
+    }
+
+    /**
+     * Place user files into the project layout
+     * @param {Object} options - Normalized options
+     * @param {Array} warnings - Collects placement warnings
+     * @returns {Array} Placed user files
+     */
+    placeUserFiles(options, warnings) {
+        const placed = [];
+
+        options.files.forEach(file => {
+            const fileName = file.fileName || file.name;
+
+            // Configurazione generata dall'estrattore, non fa parte del progetto
+            if (fileName === 'project-config.json') return;
+
+            const path = this.resolveUserFilePath(file, fileName);
+
+            if (Helpers.getFileExtension(fileName) !== 'js' && !path.includes('/') && !ROOT_FILES.includes(fileName)) {
+                warnings.push(`File non JavaScript lasciato nella radice del progetto: ${fileName}`);
+            }
+
+            placed.push(Helpers.createProjectFile(path, file.content || '', {
+                generated: false,
+                sourceFileId: file.id,
+                originalPath: file.currentPath || fileName,
+                ...Helpers.getBinaryFields(file)
+            }));
+        });
+
+        return placed;
+    }
+
+    /**
+     * Destination path of a user file
+     * @param {Object} file - User file
+     * @param {string} fileName - File name
+     * @returns {string} Path relative to the project root
+     */
+    resolveUserFilePath(file, fileName) {
+        // Rispetta una cartella già assegnata (es. dopo l'organizzazione)
+        if (file.folderPath) {
+            return `${file.folderPath}/${fileName}`;
+        }
+
+        if (ROOT_FILES.includes(fileName) || Helpers.getFileExtension(fileName) !== 'js') {
+            return fileName;
+        }
+
+        const match = SOURCE_FOLDERS.find(entry => entry.pattern.test(fileName));
+        return `${match ? match.folder : 'src'}/${fileName}`;
+    }
+
+    /**
+     * User route modules that export an Express router, with the path to mount them on
+     * @param {Array} userFiles - Placed user files
+     * @returns {Array} Routes ({ mountPath, modulePath })
+     */
+    findUserRoutes(userFiles) {
+        return userFiles
+            .filter(file => file.folderPath === 'src/routes' &&
+                file.fileName !== 'index.js' &&
+                file.fileName !== 'health.routes.js' &&
+                /Router\s*\(/.test(file.content) &&
+                /module\.exports/.test(file.content))
+            .map(file => {
+                const baseName = file.fileName.replace(/\.js$/i, '');
+                const resource = baseName.replace(/[._-]?(routes?|router)$/i, '') || baseName;
+
+                return {
+                    mountPath: `/${Helpers.camelToKebab(resource)}`,
+                    modulePath: `./${baseName}`
+                };
+            });
+    }
+
+    /**
+     * Create a project file
+     * @param {string} path - Relative path
+     * @param {string} content - File content
+     * @returns {Object} File object
+     */
+    file(path, content) {
+        return Helpers.createProjectFile(path, content);
+    }
+}
+
+export default NodeBuilder;
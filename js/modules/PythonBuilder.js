@@ -0,0 +1,609 @@
+/**
+ * Python Builder Module
+ * Generates pyproject.toml-based packages (src layout) from extracted Python code
+ */
+
+import { Helpers } from '../utils/helpers.js';
+
+// Standard library top-level modules (never listed as dependencies)
+const STDLIB_MODULES = new Set([
+    '__future__',
+    'abc', 'aifc', 'argparse', 'array', 'ast', 'asynchat', 'asyncio', 'asyncore', 'atexit',
+    'audioop', 'base64', 'bdb', 'binascii', 'bisect', 'builtins', 'bz2', 'calendar', 'cgi', 'cgitb',
+    'chunk', 'cmath', 'cmd', 'code', 'codecs', 'codeop', 'collections', 'colorsys', 'compileall',
+    'concurrent', 'configparser', 'contextlib', 'contextvars', 'copy', 'copyreg', 'cProfile',
+    'crypt', 'csv', 'ctypes', 'curses', 'dataclasses', 'datetime', 'dbm', 'decimal', 'difflib',
+    'dis', 'distutils', 'doctest', 'email', 'encodings', 'ensurepip', 'enum', 'errno',
+    'faulthandler', 'fcntl', 'filecmp', 'fileinput', 'fnmatch', 'fractions', 'ftplib', 'functools',
+    'gc', 'getopt', 'getpass', 'gettext', 'glob', 'graphlib', 'grp', 'gzip', 'hashlib', 'heapq',
+    'hmac', 'html', 'http', 'imaplib', 'imghdr', 'imp', 'importlib', 'inspect', 'io', 'ipaddress',
+    'itertools', 'json', 'keyword', 'lib2to3', 'linecache', 'locale', 'logging', 'lzma', 'mailbox',
+    'mailcap', 'marshal', 'math', 'mimetypes', 'mmap', 'modulefinder', 'msilib', 'msvcrt',
+    'multiprocessing', 'netrc', 'nis', 'nntplib', 'numbers', 'opcode', 'operator', 'optparse', 'os',
+    'ossaudiodev', 'pathlib', 'pdb', 'pickle', 'pickletools', 'pipes', 'pkgutil', 'platform',
+    'plistlib', 'poplib', 'posix', 'pprint', 'profile', 'pstats', 'pty', 'pwd', 'py_compile',
+    'pyclbr', 'pydoc', 'pyexpat', 'queue', 'quopri', 'random', 're', 'readline', 'reprlib',
+    'resource', 'rlcompleter', 'runpy', 'sched', 'secrets', 'select', 'selectors', 'shelve',
+    'shlex', 'shutil', 'signal', 'site', 'smtpd', 'smtplib', 'sndhdr', 'socket', 'socketserver',
+    'spwd', 'sqlite3', 'ssl', 'stat', 'statistics', 'string', 'stringprep', 'struct', 'subprocess',
+    'sunau', 'symtable', 'sys', 'sysconfig', 'syslog', 'tabnanny', 'tarfile', 'telnetlib',
+    'tempfile', 'termios', 'textwrap', 'threading', 'time', 'timeit', 'tkinter', 'token',
+    'tokenize', 'tomllib', 'trace', 'traceback', 'tracemalloc', 'tty', 'turtle', 'types', 'typing',
+    'unicodedata', 'unittest', 'urllib', 'uu', 'uuid', 'venv', 'warnings', 'wave', 'weakref',
+    'webbrowser', 'winreg', 'winsound', 'wsgiref', 'xdrlib', 'xml', 'xmlrpc', 'zipapp', 'zipfile',
+    'zipimport', 'zlib', 'zoneinfo'
+]);
+
+// Import names whose PyPI distribution has a different name
+const PYPI_NAMES = {
+    attr: 'attrs',
+    bs4: 'beautifulsoup4',
+    Crypto: 'pycryptodome',
+    cv2: 'opencv-python',
+    dateutil: 'python-dateutil',
+    discord: 'discord.py',
+    docx: 'python-docx',
+    dotenv: 'python-dotenv',
+    fitz: 'PyMuPDF',
+    gi: 'PyGObject',
+    jose: 'python-jose',
+    jwt: 'PyJWT',
+    Levenshtein: 'python-Levenshtein',
+    magic: 'python-magic',
+    multipart: 'python-multipart',
+    MySQLdb: 'mysqlclient',
+    OpenSSL: 'pyOpenSSL',
+    PIL: 'Pillow',
+    pptx: 'python-pptx',
+    psycopg2: 'psycopg2-binary',
+    serial: 'pyserial',
+    sentry_sdk: 'sentry-sdk',
+    skimage: 'scikit-image',
+    sklearn: 'scikit-learn',
+    slugify: 'python-slugify',
+    telegram: 'python-telegram-bot',
+    usb: 'pyusb',
+    win32api: 'pywin32',
+    wx: 'wxPython',
+    yaml: 'PyYAML',
+    zmq: 'pyzmq'
+};
+
+const ROOT_FILES = ['requirements.txt', 'requirements-dev.txt', 'pyproject.toml', 'setup.py', 'setup.cfg', 'README.md', '.gitignore'];
+
+export class PythonBuilder {
+    constructor() {
+        console.log('🐍 PythonBuilder initialized');
+    }
+
+    /**
+     * Generate a Python package project
+     * @param {Object} config - Project configuration (projectName, description, pythonVersion, files)
+     * @returns {Object} Generated project with file list and inferred dependencies
+     */
+    async generateProject(config) {
+        console.log('🐍 Generating Python project:', config);
+
+        const options = this.normalizeConfig(config);
+        const warnings = [];
+
+        if (STDLIB_MODULES.has(options.packageName)) {
+            warnings.push(`Il nome del package "${options.packageName}" coincide con un modulo standard: rinominato in "${options.packageName}_pkg"`);
+            options.packageName += '_pkg';
+        }
+
+        const localModules = this.collectLocalModules(options);
+        const userFiles = this.placeUserFiles(options, localModules, warnings);
+        const packageDir = `src/${options.packageName}`;
+
+        const sourceFiles = userFiles.filter(file => file.extension === 'py' && file.currentPath.startsWith('src/'));
+        const testFiles = userFiles.filter(file => file.extension === 'py' && file.currentPath.startsWith('tests/'));
+        const requirements = userFiles.find(file => file.currentPath === 'requirements.txt');
+
+        const inferred = this.inferDependencies(sourceFiles, localModules, options.packageName);
+        const dependencies = this.mergeRequirements(
+            requirements ? this.parseRequirements(requirements.content) : [],
+            inferred.required
+        );
+        // Imports guarded by `except ImportError` go to the "optional" extra
+        const optionalDependencies = inferred.optional.filter(name => !this.containsRequirement(dependencies, name));
+        const devDependencies = this.mergeRequirements(
+            ['pytest>=7.0'],
+            this.inferDependencies(testFiles, localModules, options.packageName).required
+                .filter(name => !this.containsRequirement(dependencies, name))
+        );
+
+        const mainModule = sourceFiles.find(file =>
+            file.currentPath === `${packageDir}/main.py` && /^def\s+main\s*\(/m.test(file.content)
+        );
+
+        const files = [
+            this.file('pyproject.toml', this.generatePyproject(options, dependencies, devDependencies, optionalDependencies, Boolean(mainModule))),
+            this.file('README.md', this.generateReadme(options, dependencies, optionalDependencies, Boolean(mainModule))),
+            this.file('.gitignore', '__pycache__/\n*.py[cod]\n.venv/\nvenv/\nbuild/\ndist/\n*.egg-info/\n.pytest_cache/\n.env\n'),
+            this.file(`${packageDir}/__init__.py`, `"""${options.title.replace(/"/g, '\\"')}."""\n\n__version__ = "${options.version}"\n`),
+            this.file('tests/test_package.py', `import ${options.packageName}
+
+
+def test_version():
+    assert ${options.packageName}.__version__ == "${options.version}"
+`)
+        ];
+
+        if (mainModule) {
+            files.push(this.file(`${packageDir}/__main__.py`, `from ${options.packageName}.main import main
+
+if __name__ == "__main__":
+    main()
+`));
+        }
+
+        return {
+            projectName: options.distributionName,
+            files: files,
+            userFiles: userFiles,
+            dependencies: dependencies,
+            optionalDependencies: optionalDependencies,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Normalize configuration with defaults
+     * @param {Object} config - Raw configuration
+     * @returns {Object} Normalized options
+     */
+    normalizeConfig(config) {
+        const projectName = (config.projectName || 'my-python-app').trim();
+
+        return {
+            title: projectName,
+            distributionName: Helpers.sanitizeProjectName(projectName) || 'my-python-app',
+            packageName: this.toPackageName(projectName),
+            description: config.description || `${projectName} generato da Universal Project Builder`,
+            version: '0.1.0',
+            pythonVersion: config.pythonVersion || '>=3.9',
+            files: Array.isArray(config.files) ? config.files : []
+        };
+    }
+
+    /**
+     * Build pyproject.toml (setuptools, src layout)
+     * @param {Object} options - Normalized options
+     * @param {Array} dependencies - Runtime requirements
+     * @param {Array} devDependencies - Test requirements
+     * @param {Array} optionalDependencies - Requirements of imports wrapped in try/except ImportError
+     * @param {boolean} hasMain - Expose a console script for main.main()
+     * @returns {string} pyproject.toml content
+     */
+    generatePyproject(options, dependencies, devDependencies, optionalDependencies, hasMain) {
+        const list = items => items.length > 0 ?
+            `[\n${items.map(item => `    ${this.tomlString(item)},`).join('\n')}\n]` :
+            '[]';
+
+        const scripts = hasMain ? `
+[project.scripts]
+${options.distributionName} = "${options.packageName}.main:main"
+` : '';
+
+        return `[build-system]
+requires = ["setuptools>=61.0"]
+build-backend = "setuptools.build_meta"
+
+[project]
+name = ${this.tomlString(options.distributionName)}
+version = "${options.version}"
+description = ${this.tomlString(options.description)}
+readme = "README.md"
+requires-python = ${this.tomlString(options.pythonVersion)}
+dependencies = ${list(dependencies)}
+
+[project.optional-dependencies]
+dev = ${list(devDependencies)}
+${optionalDependencies.length > 0 ? `optional = ${list(optionalDependencies)}\n` : ''}${scripts}
+[tool.setuptools.packages.find]
+where = ["src"]
+
+[tool.pytest.ini_options]
+testpaths = ["tests"]
+pythonpath = ["src"]
+`;
+    }
+
+    /**
+     * README with setup and test commands
+     * @param {Object} options - Normalized options
+     * @param {Array} dependencies - Runtime requirements
+     * @param {Array} optionalDependencies - Requirements of optional imports
+     * @param {boolean} hasMain - Package has a main() entry point
+     * @returns {string} README content
+     */
+    generateReadme(options, dependencies, optionalDependencies, hasMain) {
+        const run = hasMain ? `
+## Esecuzione
+
+\`\`\`bash
+python -m ${options.packageName}
+\`\`\`
+` : '';
+
+        const deps = dependencies.length > 0 ?
+            dependencies.map(dep => `- \`${dep}\``).join('\n') :
+            'Nessuna dipendenza esterna rilevata.';
+
+        const optional = optionalDependencies.length > 0 ? `
+Opzionali (import in \`try\` / \`except ImportError\`), installabili con \`pip install -e ".[optional]"\`:
+
+${optionalDependencies.map(dep => `- \`${dep}\``).join('\n')}
+` : '';
+
+        return `# ${options.title}
+
+${options.description}
+
+## Installazione
+
+\`\`\`bash
+python -m venv .venv
+source .venv/bin/activate
+pip install -e ".[dev]"
+\`\`\`
+${run}
+## Test
+
+\`\`\`bash
+pytest
+\`\`\`
+
+## Dipendenze
+
+Rilevate dagli \`import\` del codice (verificare versioni e nomi dei pacchetti):
+
+${deps}
+${optional}`;
+    }
+
+    /**
+     * Place user files into the package layout, qualifying imports of local modules
+     * @param {Object} options - Normalized options
+     * @param {Set} localModules - Modules that live in the package
+     * @param {Array} warnings - Collects placement warnings
+     * @returns {Array} Placed user files
+     */
+    placeUserFiles(options, localModules, warnings) {
+        const placed = [];
+
+        options.files.forEach(file => {
+            const fileName = file.fileName || file.name;
+
+            // Configurazione generata dall'estrattore, non fa parte del progetto
+            if (fileName === 'project-config.json') return;
+
+            const path = this.resolveUserFilePath(file, fileName, options);
+            const isPython = Helpers.getFileExtension(fileName) === 'py';
+
+            if (!isPython && !path.includes('/') && !ROOT_FILES.includes(fileName)) {
+                warnings.push(`File non Python lasciato nella radice del progetto: ${fileName}`);
+            }
+
+            const content = isPython ?
+                this.qualifyLocalImports(file.content || '', localModules, options.packageName) :
+                file.content || '';
+
+            placed.push(Helpers.createProjectFile(path, content, {
+                generated: false,
+                sourceFileId: file.id,
+                originalPath: file.currentPath || fileName,
+                ...Helpers.getBinaryFields(file)
+            }));
+        });
+
+        return placed;
+    }
+
+    /**
+     * Destination path of a user file
+     * @param {Object} file - User file
+     * @param {string} fileName - File name
+     * @param {Object} options - Normalized options
+     * @returns {string} Path relative to the project root
+     */
+    resolveUserFilePath(file, fileName, options) {
+        // Rispetta una cartella già assegnata (es. dopo l'organizzazione)
+        if (file.folderPath && file.folderPath !== '.') {
+            return `${file.folderPath}/${fileName}`;
+        }
+
+        if (ROOT_FILES.includes(fileName) || Helpers.getFileExtension(fileName) !== 'py') {
+            return fileName;
+        }
+
+        if (this.isTestFile(fileName)) {
+            return `tests/${fileName}`;
+        }
+
+        return `src/${options.packageName}/${fileName}`;
+    }
+
+    /**
+     * Check whether a Python file is a pytest module
+     * @param {string} fileName - File name
+     * @returns {boolean} Is a test file
+     */
+    isTestFile(fileName) {
+        return /^test_.*\.py$/.test(fileName) || /_test\.py$/.test(fileName) || fileName === 'conftest.py';
+    }
+
+    /**
+     * Names of the user modules that end up inside the package
+     * @param {Object} options - Normalized options
+     * @returns {Set} Module names
+     */
+    collectLocalModules(options) {
+        const modules = new Set();
+
+        options.files.forEach(file => {
+            const fileName = file.fileName || file.name || '';
+            if (Helpers.getFileExtension(fileName) !== 'py' || this.isTestFile(fileName)) return;
+            if (file.folderPath && file.folderPath !== '.') return;
+            if (fileName === 'setup.py' || fileName === '__init__.py' || fileName === '__main__.py') return;
+
+            modules.add(fileName.replace(/\.py$/, ''));
+        });
+
+        return modules;
+    }
+
+    /**
+     * Rewrite absolute imports of sibling modules so they resolve inside the package
+     * (`from utils import x` -> `from pkg.utils import x`, `import utils` -> `from pkg import utils`)
+     * @param {string} content - Python source
+     * @param {Set} localModules - Modules that live in the package
+     * @param {string} packageName - Package name
+     * @returns {string} Rewritten source
+     */
+    qualifyLocalImports(content, localModules, packageName) {
+        if (localModules.size === 0) return content;
+
+        return content
+            .replace(/^([ \t]*)from[ \t]+([A-Za-z_]\w*)((?:\.\w+)*)[ \t]+import\b/gm, (line, indent, module, rest) =>
+                localModules.has(module) ? `${indent}from ${packageName}.${module}${rest} import` : line
+            )
+            .replace(/^([ \t]*)import[ \t]+([^\n#;]+?)[ \t]*$/gm, (line, indent, names) => {
+                const parts = names.split(',').map(part => part.trim());
+                const isLocal = part => localModules.has(part.split(/\s+as\s+/)[0]);
+
+                if (!parts.some(isLocal)) return line;
+
+                const external = parts.filter(part => !isLocal(part));
+                const lines = parts.filter(isLocal).map(part => `${indent}from ${packageName} import ${part}`);
+
+                if (external.length > 0) {
+                    lines.unshift(`${indent}import ${external.join(', ')}`);
+                }
+
+                return lines.join('\n');
+            });
+    }
+
+    /**
+     * Third-party top-level modules imported by the given files, as PyPI names
+     * @param {Array} files - Python files
+     * @param {Set} localModules - Modules that live in the package
+     * @param {string} packageName - Package name
+     * @returns {Object} { required, optional } - sorted distribution names; optional only lists
+     *   modules never imported outside a try/except ImportError
+     */
+    inferDependencies(files, localModules, packageName) {
+        const required = new Set();
+        const optional = new Set();
+
+        files.forEach(file => {
+            this.parseImports(file.content).forEach(({ name, optional: guarded }) => {
+                if (STDLIB_MODULES.has(name) || localModules.has(name) || name === packageName) return;
+                (guarded ? optional : required).add(PYPI_NAMES[name] || name);
+            });
+        });
+
+        const sorted = names => Array.from(names).sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+
+        return {
+            required: sorted(required),
+            optional: sorted(optional).filter(name => !required.has(name))
+        };
+    }
+
+    /**
+     * Top-level module names from `import` and `from ... import` statements
+     * @param {string} content - Python source
+     * @returns {Array} Imports as { name, optional } - top-level module names (relative imports
+     *   excluded), optional when imported in a try block that handles ImportError
+     */
+    parseImports(content) {
+        const modules = [];
+        // Open try blocks: { indent, inBody, imports }
+        const tries = [];
+
+        const addImports = statement => {
+            const names = [];
+            const fromMatch = statement.match(/^from\s+([A-Za-z_][\w.]*)\s+import\b/);
+            const importMatch = statement.match(/^import\s+([^;]+)/);
+
+            if (fromMatch) {
+                names.push(fromMatch[1].split('.')[0]);
+            } else if (importMatch) {
+                importMatch[1].split(',').forEach(part => {
+                    const name = part.trim().split(/\s+/)[0];
+                    if (/^[A-Za-z_][\w.]*$/.test(name)) {
+                        names.push(name.split('.')[0]);
+                    }
+                });
+            }
+
+            names.forEach(name => {
+                const module = { name, optional: false };
+                modules.push(module);
+                tries.filter(block => block.inBody).forEach(block => block.imports.push(module));
+            });
+        };
+
+        // Imports quoted in docstrings (doctest, examples) or comments are not dependencies
+        this.stripStringsAndComments(content).split('\n').forEach(line => {
+            const statement = line.trim();
+            if (!statement) return;
+
+            const indent = line.length - line.trimStart().length;
+
+            // A dedent closes the try blocks; except/else/finally at the same level end the try body
+            while (tries.length > 0 && indent <= tries[tries.length - 1].indent) {
+                const block = tries[tries.length - 1];
+                const clause = statement.match(/^(except|else|finally)\b(.*)/);
+
+                if (indent === block.indent && clause) {
+                    block.inBody = false;
+                    if (clause[1] === 'except' && /\b(ImportError|ModuleNotFoundError)\b/.test(clause[2])) {
+                        block.imports.forEach(module => { module.optional = true; });
+                    }
+                    // except ImportError: import fallback (the fallback itself is required)
+                    const colon = clause[2].indexOf(':');
+                    if (colon !== -1) addImports(clause[2].slice(colon + 1).trim());
+                    return;
+                }
+                tries.pop();
+            }
+
+            const tryMatch = statement.match(/^try\s*:\s*(.*)$/);
+            if (tryMatch) {
+                tries.push({ indent, inBody: true, imports: [] });
+                // try: import x
+                addImports(tryMatch[1]);
+                return;
+            }
+
+            addImports(statement);
+        });
+
+        return modules;
+    }
+
+    /**
+     * Blank out comments and string literals, triple-quoted ones included, keeping line breaks
+     * @param {string} content - Python source
+     * @returns {string} Source with only code left on each line
+     */
+    stripStringsAndComments(content) {
+        let result = '';
+        let index = 0;
+
+        while (index < content.length) {
+            const char = content[index];
+
+            if (char === '#') {
+                const lineEnd = content.indexOf('\n', index);
+                index = lineEnd === -1 ? content.length : lineEnd;
+                continue;
+            }
+
+            if (char !== '"' && char !== "'") {
+                result += char;
+                index++;
+                continue;
+            }
+
+            const quote = content.startsWith(char.repeat(3), index) ? char.repeat(3) : char;
+            let end = index + quote.length;
+
+            while (end < content.length && !content.startsWith(quote, end)) {
+                // An unterminated single-quoted string ends at the line break
+                if (content[end] === '\n' && quote.length === 1) break;
+                end += content[end] === '\\' ? 2 : 1;
+            }
+
+            end = content.startsWith(quote, end) ? end + quote.length : Math.min(end, content.length);
+            result += content.slice(index, end).replace(/[^\n]/g, ' ');
+            index = end;
+        }
+
+        return result;
+    }
+
+    /**
+     * Requirement lines from a requirements.txt
+     * @param {string} content - File content
+     * @returns {Array} Requirement specifiers
+     */
+    parseRequirements(content) {
+        return content
+            .split('\n')
+            .map(line => line.split('#')[0].trim())
+            .filter(line => line && !line.startsWith('-'));
+    }
+
+    /**
+     * Combine explicit requirements with inferred names (explicit specifiers win)
+     * @param {Array} explicit - Requirement specifiers
+     * @param {Array} inferred - Distribution names
+     * @returns {Array} Requirements
+     */
+    mergeRequirements(explicit, inferred) {
+        const result = [...explicit];
+
+        inferred.forEach(name => {
+            if (!this.containsRequirement(result, name)) {
+                result.push(name);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Check whether a requirement list already names a distribution
+     * @param {Array} requirements - Requirement specifiers
+     * @param {string} name - Distribution name
+     * @returns {boolean} Present
+     */
+    containsRequirement(requirements, name) {
+        const normalize = value => value.toLowerCase().replace(/[-_.]+/g, '-');
+        const target = normalize(name);
+
+        return requirements.some(requirement => normalize(requirement.split(/[\s<>=!~;[]/)[0]) === target);
+    }
+
+    /**
+     * Convert a project name to a valid Python package name
+     * @param {string} name - Project name
+     * @returns {string} Package name
+     */
+    toPackageName(name) {
+        const identifier = name
+            .toLowerCase()
+            .replace(/[^a-z0-9_]+/g, '_')
+            .replace(/_+/g, '_')
+            .replace(/^_|_$/g, '');
+
+        if (!identifier) return 'app';
+        return /^\d/.test(identifier) ? `pkg_${identifier}` : identifier;
+    }
+
+    /**
+     * Quote a value as a TOML basic string
+     * @param {string} value - Raw value
+     * @returns {string} TOML string
+     */
+    tomlString(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Create a project file
+     * @param {string} path - Relative path
+     * @param {string} content - File content
+     * @returns {Object} File object
+     */
+    file(path, content) {
+        return Helpers.createProjectFile(path, content);
+    }
+}
+
+export default PythonBuilder;
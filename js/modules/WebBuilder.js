@@ -1,22 +1,2604 @@
-/**
- * Web Builder Module
- */
-export class WebBuilder {
-    constructor() {
-        console.log('🌐 WebBuilder initialized');
-    }
-    
-    async generateProject(config) {
-        console.log('🌐 Generating web project:', config);
-        return {
-            files: [
-                {
-                    name: 'index.html',
-                    content: `<!DOCTYPE html><html><head><title>${config.projectName}</title></head><body><h1>Hello World</h1></body></html>`
-                }
-            ]
-        };
-    }
-}
-
-export default WebBuilder;
\ No newline at end of file
+/**
+ * Web Builder Module
+ * Generates runnable web projects (Vanilla, React, Vue, Angular)
+ */
+
+import { Helpers } from '../utils/helpers.js';
+
+const PACKAGE_VERSIONS = {
+    vite: '^5.0.10',
+    react: '^18.2.0',
+    reactDom: '^18.2.0',
+    vitePluginReact: '^4.2.1',
+    reactRouter: '^6.21.0',
+    vue: '^3.4.0',
+    vueRouter: '^4.2.5',
+    vitePluginVue: '^5.0.0',
+    angular: '^17.0.0',
+    angularCli: '^17.0.0',
+    rxjs: '~7.8.0',
+    tslib: '^2.6.0',
+    zoneJs: '~0.14.2',
+    typescript: '~5.2.2'
+};
+
+const SUPPORTED_PROJECT_TYPES = ['vanilla', 'react', 'vue', 'angular'];
+
+// Optional add-ons offered in the Web tab
+const WEB_FEATURES = {
+    router: {
+        label: 'Routing',
+        description: 'router con due pagine di esempio (Home e Informazioni)'
+    },
+    api: {
+        label: 'API client',
+        description: 'servizio API basato su fetch con URL base configurabile'
+    },
+    auth: {
+        label: 'Autenticazione',
+        description: 'pagina di login e rotta protetta `/dashboard`; con la feature API accede tramite `POST /auth/login`, altrimenti usa una sessione demo in localStorage'
+    },
+    pwa: {
+        label: 'PWA',
+        description: 'manifest, service worker e icone; il service worker si registra solo nella build di produzione'
+    }
+};
+
+// Destination folders of user files for each layout
+const USER_FILE_LAYOUTS = {
+    vanilla: { public: 'public', components: 'src/components', styles: 'src/styles', source: 'src' },
+    react: { public: 'public', components: 'src/components', styles: 'src/styles', source: 'src' },
+    vue: { public: 'public', components: 'src/components', styles: 'src/styles', source: 'src' },
+    angular: { public: 'src/assets', components: 'src/app/components', styles: 'src', source: 'src/app' }
+};
+
+const ROOT_FILES = [
+    'package.json', 'package-lock.json', 'vite.config.js', 'vite.config.ts', 'angular.json',
+    'tsconfig.json', 'tsconfig.app.json', 'tailwind.config.js', 'postcss.config.js',
+    '.env', '.env.local', '.env.example', 'README.md', '.gitignore'
+];
+
+const PUBLIC_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'ico', 'webp', 'avif', 'woff', 'woff2', 'ttf', 'otf', 'webmanifest', 'mp3', 'mp4', 'webm'];
+const STYLE_EXTENSIONS = ['css', 'scss', 'sass', 'less'];
+const SOURCE_EXTENSIONS = ['js', 'mjs', 'ts', 'jsx', 'tsx', 'vue', 'json', 'html'];
+
+const DEFAULT_API_BASE_URL = 'http://localhost:3000/api';
+const PWA_THEME_COLOR = '#4f46e5';
+
+// CSS frameworks: packages, entry stylesheet wiring and starter page classes
+const CSS_FRAMEWORKS = {
+    none: {
+        label: 'CSS',
+        dependencies: {},
+        devDependencies: {},
+        stylesheetHeader: '',
+        ui: {
+            container: 'container',
+            card: 'card',
+            badge: 'badge',
+            title: 'title',
+            text: 'subtitle',
+            button: 'btn',
+            nav: 'nav',
+            navLink: 'nav-link',
+            field: 'field',
+            label: 'label',
+            input: 'input',
+            error: 'error'
+        }
+    },
+    bootstrap: {
+        label: 'Bootstrap',
+        dependencies: { bootstrap: '^5.3.2' },
+        devDependencies: {},
+        stylesheetHeader: "@import 'bootstrap/dist/css/bootstrap.min.css';",
+        stylesheetBody: `body {
+    min-height: 100vh;
+    background-color: var(--bs-tertiary-bg);
+}`,
+        ui: {
+            container: 'container py-5',
+            card: 'card shadow-sm border-0 p-4',
+            badge: 'badge text-bg-primary align-self-start mb-3',
+            title: 'display-6 fw-bold',
+            text: 'text-body-secondary mb-4',
+            button: 'btn btn-primary',
+            nav: 'nav nav-pills mb-4',
+            navLink: 'nav-link',
+            field: 'mb-3',
+            label: 'form-label',
+            input: 'form-control',
+            error: 'text-danger'
+        }
+    },
+    tailwind: {
+        label: 'Tailwind CSS',
+        dependencies: {},
+        devDependencies: {
+            autoprefixer: '^10.4.16',
+            postcss: '^8.4.32',
+            tailwindcss: '^3.4.0'
+        },
+        stylesheetHeader: '@tailwind base;\n@tailwind components;\n@tailwind utilities;',
+        stylesheetBody: `@layer base {
+    body {
+        @apply min-h-screen bg-slate-100 text-slate-800 antialiased;
+    }
+}`,
+        ui: {
+            container: 'mx-auto max-w-3xl px-4 py-12',
+            card: 'flex flex-col rounded-2xl bg-white p-8 shadow-lg',
+            badge: 'mb-4 self-start rounded-full bg-indigo-100 px-3 py-1 text-sm font-medium text-indigo-700',
+            title: 'mb-2 text-3xl font-bold tracking-tight',
+            text: 'mb-6 text-slate-500',
+            button: 'self-start rounded-lg bg-indigo-600 px-5 py-2 font-semibold text-white hover:bg-indigo-700',
+            nav: 'mb-6 flex gap-6',
+            navLink: 'font-medium text-slate-500 hover:text-indigo-600 [&.active]:text-indigo-600',
+            field: 'mb-4',
+            label: 'mb-1 block text-sm font-medium',
+            input: 'w-full rounded-lg border border-slate-300 px-3 py-2 focus:border-indigo-500 focus:outline-none',
+            error: 'mb-4 text-sm text-red-600'
+        }
+    },
+    bulma: {
+        label: 'Bulma',
+        dependencies: { bulma: '^0.9.4' },
+        devDependencies: {},
+        stylesheetHeader: "@import 'bulma/css/bulma.min.css';",
+        stylesheetBody: `body {
+    min-height: 100vh;
+    background-color: #f5f5f5;
+}`,
+        ui: {
+            container: 'container section',
+            card: 'box',
+            badge: 'tag is-info mb-4',
+            title: 'title',
+            text: 'subtitle',
+            button: 'button is-primary',
+            nav: 'buttons',
+            navLink: 'button is-white',
+            field: 'field',
+            label: 'label',
+            input: 'input',
+            error: 'help is-danger'
+        }
+    }
+};
+
+export class WebBuilder {
+    constructor() {
+        console.log('🌐 WebBuilder initialized');
+    }
+
+    /**
+     * Generate a web project for the selected framework
+     * @param {Object} config - Project configuration (projectName, projectType, cssFramework, features, files)
+     * @returns {Object} Generated project with file list and placed user files
+     */
+    async generateProject(config) {
+        console.log('🌐 Generating web project:', config);
+
+        const options = this.normalizeConfig(config);
+        const warnings = [];
+        const userFiles = this.placeUserFiles(options, warnings);
+
+        if (!SUPPORTED_PROJECT_TYPES.includes(config.projectType || 'vanilla')) {
+            warnings.push(`Tipo progetto sconosciuto: ${config.projectType}, uso vanilla`);
+        }
+
+        let files;
+        switch (options.projectType) {
+            case 'react':
+                files = this.generateReactProject(options);
+                break;
+            case 'vue':
+                files = this.generateVueProject(options);
+                break;
+            case 'angular':
+                files = this.generateAngularProject(options);
+                break;
+            default:
+                files = this.generateVanillaProject(options);
+        }
+
+        if (!CSS_FRAMEWORKS[config.cssFramework || 'none']) {
+            warnings.push(`CSS framework sconosciuto: ${config.cssFramework}`);
+        }
+
+        const requestedFeatures = Array.isArray(config.features) ? config.features : [];
+        requestedFeatures.filter(feature => !WEB_FEATURES[feature]).forEach(feature => {
+            warnings.push(`Feature sconosciuta ignorata: ${feature}`);
+        });
+
+        if (requestedFeatures.includes('auth') && !requestedFeatures.includes('router')) {
+            warnings.push('La feature auth richiede il routing: router abilitato automaticamente');
+        }
+
+        return {
+            projectName: options.packageName,
+            projectType: options.projectType,
+            files: [
+                ...files,
+                ...this.generateCssFrameworkFiles(options),
+                this.generateReadme(options),
+                this.file('.gitignore', 'node_modules\ndist\n.angular\n.env.local\n.DS_Store\n')
+            ],
+            userFiles: userFiles,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * Normalize configuration with defaults
+     * @param {Object} config - Raw configuration
+     * @returns {Object} Normalized options
+     */
+    normalizeConfig(config) {
+        const projectName = (config.projectName || 'my-web-app').trim();
+        const projectType = SUPPORTED_PROJECT_TYPES.includes(config.projectType) ? config.projectType : 'vanilla';
+        const cssFramework = CSS_FRAMEWORKS[config.cssFramework] ? config.cssFramework : 'none';
+
+        return {
+            projectName: projectName,
+            packageName: Helpers.sanitizeProjectName(projectName) || 'my-web-app',
+            title: projectName,
+            projectType: projectType,
+            cssFramework: cssFramework,
+            css: CSS_FRAMEWORKS[cssFramework],
+            ui: CSS_FRAMEWORKS[cssFramework].ui,
+            features: this.normalizeFeatures(config.features),
+            files: Array.isArray(config.files) ? config.files : []
+        };
+    }
+
+    /**
+     * Keep known features in a stable order; auth needs the router
+     * @param {Array} features - Requested feature keys
+     * @returns {Array} Normalized feature keys
+     */
+    normalizeFeatures(features) {
+        const requested = Array.isArray(features) ? features : [];
+
+        return Object.keys(WEB_FEATURES).filter(feature =>
+            requested.includes(feature) || (feature === 'router' && requested.includes('auth'))
+        );
+    }
+
+    /**
+     * Place user files in the framework layout (src/, public/, components)
+     * @param {Object} options - Normalized options
+     * @param {Array} warnings - Collects placement warnings
+     * @returns {Array} Placed user files
+     */
+    placeUserFiles(options, warnings) {
+        const placed = [];
+
+        options.files.forEach(file => {
+            const fileName = file.fileName || file.name;
+
+            // Configurazione generata dall'estrattore, non fa parte del progetto
+            if (fileName === 'project-config.json') return;
+
+            const path = this.resolveUserFilePath(file, fileName, options);
+
+            if (!path.includes('/') && !ROOT_FILES.includes(fileName) && Helpers.getFileExtension(fileName) !== 'html') {
+                warnings.push(`File non web lasciato nella radice del progetto: ${fileName}`);
+            }
+
+            placed.push(Helpers.createProjectFile(path, file.content || '', {
+                generated: false,
+                sourceFileId: file.id,
+                originalPath: file.currentPath || fileName,
+                ...Helpers.getBinaryFields(file)
+            }));
+        });
+
+        return placed;
+    }
+
+    /**
+     * Destination path of a user file
+     * @param {Object} file - User file
+     * @param {string} fileName - File name
+     * @param {Object} options - Normalized options
+     * @returns {string} Path relative to the project root
+     */
+    resolveUserFilePath(file, fileName, options) {
+        // Rispetta una cartella già assegnata (es. dopo l'organizzazione)
+        if (file.folderPath) {
+            return `${file.folderPath}/${fileName}`;
+        }
+
+        const layout = USER_FILE_LAYOUTS[options.projectType];
+        const extension = Helpers.getFileExtension(fileName);
+        const isAngular = options.projectType === 'angular';
+
+        if (ROOT_FILES.includes(fileName)) {
+            return fileName;
+        }
+
+        if (fileName === 'index.html') {
+            return isAngular ? 'src/index.html' : fileName;
+        }
+
+        if (PUBLIC_EXTENSIONS.includes(extension)) {
+            return `${layout.public}/${fileName}`;
+        }
+
+        const component = this.getComponentFolder(fileName, options);
+        if (component !== null) {
+            return component ? `${component}/${fileName}` : `${layout.source}/${fileName}`;
+        }
+
+        if (STYLE_EXTENSIONS.includes(extension)) {
+            return `${layout.styles}/${fileName}`;
+        }
+
+        if (SOURCE_EXTENSIONS.includes(extension)) {
+            // Pagine HTML aggiuntive di Vite stanno accanto a index.html
+            return extension === 'html' && !isAngular ? fileName : `${layout.source}/${fileName}`;
+        }
+
+        return fileName;
+    }
+
+    /**
+     * Components folder of a user file for the framework
+     * @param {string} fileName - File name
+     * @param {Object} options - Normalized options
+     * @returns {string|null} Folder, '' for the root component, null if not a component
+     */
+    getComponentFolder(fileName, options) {
+        const layout = USER_FILE_LAYOUTS[options.projectType];
+
+        switch (options.projectType) {
+            case 'react': {
+                const match = fileName.match(/^([A-Z]\w*)\.(jsx|tsx)$/);
+                if (!match) return null;
+                return match[1] === 'App' ? '' : layout.components;
+            }
+            case 'vue': {
+                if (!fileName.endsWith('.vue')) return null;
+                return fileName === 'App.vue' ? '' : layout.components;
+            }
+            case 'angular': {
+                const match = fileName.match(/^([\w-]+)\.component\.(ts|html|css|scss|spec\.ts)$/);
+                if (!match) return null;
+                return match[1] === 'app' ? '' : `${layout.components}/${match[1]}`;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Vanilla ES-module site served by Vite
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateVanillaProject(options) {
+        const { ui } = options;
+        const packageJson = this.createPackageJson(options, {
+            scripts: {
+                dev: 'vite',
+                build: 'vite build',
+                preview: 'vite preview'
+            },
+            devDependencies: {
+                vite: PACKAGE_VERSIONS.vite
+            }
+        });
+
+        const indexHtml = `<!DOCTYPE html>
+<html lang="it">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(options.title)}</title>
+${this.getPwaHeadTags(options)}</head>
+<body>
+    <div id="app"></div>
+    <script type="module" src="/src/main.js"></script>
+</body>
+</html>
+`;
+
+        const mainJs = this.hasFeature(options, 'router') ? this.generateVanillaRouterMain(options) : `import './styles/main.css';
+import { createCounter } from './components/counter.js';
+
+const app = document.querySelector('#app');
+
+app.innerHTML = \`
+    <main class="${ui.container}">
+        <section class="${ui.card}">
+            <span class="${ui.badge}">${this.getStackLabel(options)}</span>
+            <h1 class="${ui.title}">${this.escapeJsTemplate(options.title)}</h1>
+            <p class="${ui.text}">Modifica <code>src/main.js</code> e salva per ricaricare.</p>
+            <div id="counter"></div>
+        </section>
+    </main>
+\`;
+
+createCounter(document.querySelector('#counter'));
+${this.getServiceWorkerRegistration(options)}`;
+
+        const counterJs = `/**
+ * Simple counter component
+ * @param {HTMLElement} element - Mount point
+ */
+export function createCounter(element) {
+    let count = 0;
+
+    const button = document.createElement('button');
+    button.className = '${ui.button}';
+    button.type = 'button';
+
+    const render = () => {
+        button.textContent = \`Contatore: \${count}\`;
+    };
+
+    button.addEventListener('click', () => {
+        count++;
+        render();
+    });
+
+    render();
+    element.replaceChildren(button);
+}
+`;
+
+        return [
+            this.file('package.json', packageJson),
+            this.file('index.html', indexHtml),
+            this.file('src/main.js', mainJs),
+            this.file('src/components/counter.js', counterJs),
+            this.file('src/styles/main.css', this.generateStylesheet(options)),
+            ...(this.hasFeature(options, 'router') ? this.generateVanillaRouterFiles(options) : []),
+            ...this.generateViteFeatureFiles(options)
+        ];
+    }
+
+    /**
+     * Vanilla entry point that mounts the hash router
+     * @param {Object} options - Normalized options
+     * @returns {string} src/main.js content
+     */
+    generateVanillaRouterMain(options) {
+        const { ui } = options;
+        const auth = this.hasFeature(options, 'auth');
+
+        const imports = [
+            "import './styles/main.css';",
+            "import { createRouter } from './router.js';",
+            "import { renderHome } from './pages/home.js';",
+            "import { renderAbout } from './pages/about.js';"
+        ];
+        const routes = [
+            "    { path: '/', render: renderHome },",
+            "    { path: '/about', render: renderAbout },"
+        ];
+
+        if (auth) {
+            imports.push(
+                "import { renderLogin } from './pages/login.js';",
+                "import { renderDashboard } from './pages/dashboard.js';",
+                "import { isAuthenticated } from './services/auth.js';"
+            );
+            routes.push(
+                "    { path: '/login', render: renderLogin },",
+                "    { path: '/dashboard', render: renderDashboard, requiresAuth: true },"
+            );
+        }
+
+        routes[routes.length - 1] = routes[routes.length - 1].replace(/,$/, '');
+
+        const links = this.getNavigation(options)
+            .map(link => `            <a class="${ui.navLink}" href="#${link.path}">${link.label}</a>`)
+            .join('\n');
+
+        const guard = auth ? `, {
+    beforeEach: (route) => (route.requiresAuth && !isAuthenticated() ? '/login' : null)
+}` : '';
+
+        return `${imports.join('\n')}
+
+const app = document.querySelector('#app');
+
+app.innerHTML = \`
+    <main class="${ui.container}">
+        <nav class="${ui.nav}">
+${links}
+        </nav>
+        <div id="view"></div>
+    </main>
+\`;
+
+createRouter(document.querySelector('#view'), [
+${routes.join('\n')}
+]${guard});
+${this.getServiceWorkerRegistration(options)}`;
+    }
+
+    /**
+     * Hash router and pages for the vanilla starter
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateVanillaRouterFiles(options) {
+        const { ui } = options;
+
+        const routerJs = `/**
+ * Minimal hash-based router
+ * @param {HTMLElement} outlet - Element that hosts the current page
+ * @param {Array} routes - Routes ({ path, render, requiresAuth })
+ * @param {Object} hooks - Optional beforeEach(route) returning a redirect path
+ */
+export function createRouter(outlet, routes, hooks = {}) {
+    const resolve = () => {
+        const path = window.location.hash.slice(1) || '/';
+        const route = routes.find((item) => item.path === path) || routes[0];
+        const redirect = hooks.beforeEach ? hooks.beforeEach(route) : null;
+
+        if (redirect && redirect !== path) {
+            navigate(redirect);
+            return;
+        }
+
+        outlet.replaceChildren();
+        route.render(outlet);
+
+        document.querySelectorAll('a[href^="#/"]').forEach((link) => {
+            link.classList.toggle('active', link.getAttribute('href') === \`#\${route.path}\`);
+        });
+    };
+
+    window.addEventListener('hashchange', resolve);
+    resolve();
+}
+
+/**
+ * Navigate to a route
+ * @param {string} path - Route path (e.g. "/about")
+ */
+export function navigate(path) {
+    window.location.hash = path;
+}
+`;
+
+        const homeJs = `import { createCounter } from '../components/counter.js';
+
+/**
+ * Home page
+ * @param {HTMLElement} element - Page outlet
+ */
+export function renderHome(element) {
+    element.innerHTML = \`
+        <section class="${ui.card}">
+            <span class="${ui.badge}">${this.getStackLabel(options)}</span>
+            <h1 class="${ui.title}">${this.escapeJsTemplate(options.title)}</h1>
+            <p class="${ui.text}">Modifica <code>src/pages/home.js</code> e salva per ricaricare.</p>
+            <div id="counter"></div>
+        </section>
+    \`;
+
+    createCounter(element.querySelector('#counter'));
+}
+`;
+
+        const aboutJs = `/**
+ * About page
+ * @param {HTMLElement} element - Page outlet
+ */
+export function renderAbout(element) {
+    element.innerHTML = \`
+        <section class="${ui.card}">
+            <h1 class="${ui.title}">Informazioni</h1>
+            <p class="${ui.text}">${this.escapeJsTemplate(this.getAboutText(options))}</p>
+        </section>
+    \`;
+}
+`;
+
+        const files = [
+            this.file('src/router.js', routerJs),
+            this.file('src/pages/home.js', homeJs),
+            this.file('src/pages/about.js', aboutJs)
+        ];
+
+        if (!this.hasFeature(options, 'auth')) {
+            return files;
+        }
+
+        const loginJs = `import { login } from '../services/auth.js';
+import { navigate } from '../router.js';
+
+/**
+ * Login page
+ * @param {HTMLElement} element - Page outlet
+ */
+export function renderLogin(element) {
+    element.innerHTML = \`
+        <section class="${ui.card}">
+            <h1 class="${ui.title}">Accedi</h1>
+            <form id="login-form">
+${this.getLoginFields(ui, 'html', 16)}
+                <div id="login-error"></div>
+                <button class="${ui.button}" type="submit">Entra</button>
+            </form>
+        </section>
+    \`;
+
+    const form = element.querySelector('#login-form');
+    const errorBox = element.querySelector('#login-error');
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const data = new FormData(form);
+
+        try {
+            await login(data.get('username'), data.get('password'));
+            navigate('/dashboard');
+        } catch (err) {
+            const message = document.createElement('p');
+            message.className = '${ui.error}';
+            message.setAttribute('role', 'alert');
+            message.textContent = err.message;
+            errorBox.replaceChildren(message);
+        }
+    });
+}
+`;
+
+        const dashboardJs = `import { getSession, logout } from '../services/auth.js';
+import { navigate } from '../router.js';
+
+/**
+ * Protected page, reachable only after login
+ * @param {HTMLElement} element - Page outlet
+ */
+export function renderDashboard(element) {
+    element.innerHTML = \`
+        <section class="${ui.card}">
+            <h1 class="${ui.title}">Area riservata</h1>
+            <p class="${ui.text}">Accesso effettuato come <strong id="username"></strong>.</p>
+            <button class="${ui.button}" type="button">Esci</button>
+        </section>
+    \`;
+
+    element.querySelector('#username').textContent = getSession()?.username ?? '';
+    element.querySelector('button').addEventListener('click', () => {
+        logout();
+        navigate('/login');
+    });
+}
+`;
+
+        return [
+            ...files,
+            this.file('src/pages/login.js', loginJs),
+            this.file('src/pages/dashboard.js', dashboardJs)
+        ];
+    }
+
+    /**
+     * React app built with Vite
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateReactProject(options) {
+        const { ui } = options;
+        const router = this.hasFeature(options, 'router');
+        const packageJson = this.createPackageJson(options, {
+            scripts: {
+                dev: 'vite',
+                build: 'vite build',
+                preview: 'vite preview'
+            },
+            dependencies: {
+                react: PACKAGE_VERSIONS.react,
+                'react-dom': PACKAGE_VERSIONS.reactDom,
+                ...(router && { 'react-router-dom': PACKAGE_VERSIONS.reactRouter })
+            },
+            devDependencies: {
+                '@vitejs/plugin-react': PACKAGE_VERSIONS.vitePluginReact,
+                vite: PACKAGE_VERSIONS.vite
+            }
+        });
+
+        const viteConfig = `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+    plugins: [react()]
+});
+`;
+
+        const indexHtml = `<!DOCTYPE html>
+<html lang="it">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(options.title)}</title>
+${this.getPwaHeadTags(options)}</head>
+<body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.jsx"></script>
+</body>
+</html>
+`;
+
+        // Providers wrapped around <App /> (outermost first)
+        const providers = [];
+        if (router) providers.push({ name: 'BrowserRouter', from: 'react-router-dom' });
+        if (this.hasFeature(options, 'auth')) providers.push({ name: 'AuthProvider', from: './context/AuthContext.jsx' });
+
+        const providerImports = providers.map(provider => `import { ${provider.name} } from '${provider.from}';\n`).join('');
+        const tree = [...providers.map(provider => provider.name), null].reduceRight((inner, name, index) => {
+            const indent = ' '.repeat(8 + index * 4);
+            return name ? `${indent}<${name}>\n${inner}\n${indent}</${name}>` : `${indent}<App />`;
+        }, '');
+
+        const mainJsx = `import React from 'react';
+import ReactDOM from 'react-dom/client';
+${providerImports}import App from './App.jsx';
+import './styles/main.css';
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+${tree}
+    </React.StrictMode>
+);
+${this.getServiceWorkerRegistration(options)}`;
+
+        const appJsx = router ? this.generateReactRouterApp(options) : `import Counter from './components/Counter.jsx';
+
+export default function App() {
+    return (
+        <main className="${ui.container}">
+            <section className="${ui.card}">
+                <span className="${ui.badge}">${this.getStackLabel(options)}</span>
+                <h1 className="${ui.title}">${this.escapeJsx(options.title)}</h1>
+                <p className="${ui.text}">Modifica <code>src/App.jsx</code> e salva per ricaricare.</p>
+                <Counter />
+            </section>
+        </main>
+    );
+}
+`;
+
+        const counterJsx = `import { useState } from 'react';
+
+export default function Counter() {
+    const [count, setCount] = useState(0);
+
+    return (
+        <button className="${ui.button}" type="button" onClick={() => setCount(count + 1)}>
+            Contatore: {count}
+        </button>
+    );
+}
+`;
+
+        return [
+            this.file('package.json', packageJson),
+            this.file('vite.config.js', viteConfig),
+            this.file('index.html', indexHtml),
+            this.file('src/main.jsx', mainJsx),
+            this.file('src/App.jsx', appJsx),
+            this.file('src/components/Counter.jsx', counterJsx),
+            this.file('src/styles/main.css', this.generateStylesheet(options)),
+            ...(router ? this.generateReactRouterFiles(options) : []),
+            ...this.generateViteFeatureFiles(options)
+        ];
+    }
+
+    /**
+     * React App component with navigation and routes
+     * @param {Object} options - Normalized options
+     * @returns {string} src/App.jsx content
+     */
+    generateReactRouterApp(options) {
+        const { ui } = options;
+        const auth = this.hasFeature(options, 'auth');
+
+        const imports = [
+            "import { Navigate, NavLink, Route, Routes } from 'react-router-dom';",
+            "import Home from './pages/Home.jsx';",
+            "import About from './pages/About.jsx';"
+        ];
+        const routes = [
+            '                <Route path="/" element={<Home />} />',
+            '                <Route path="/about" element={<About />} />'
+        ];
+
+        if (auth) {
+            imports.push(
+                "import Login from './pages/Login.jsx';",
+                "import Dashboard from './pages/Dashboard.jsx';",
+                "import ProtectedRoute from './components/ProtectedRoute.jsx';"
+            );
+            routes.push(
+                '                <Route path="/login" element={<Login />} />',
+                '                <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />'
+            );
+        }
+
+        routes.push('                <Route path="*" element={<Navigate to="/" replace />} />');
+
+        const links = this.getNavigation(options)
+            .map(link => `                <NavLink className="${ui.navLink}" to="${link.path}"${link.path === '/' ? ' end' : ''}>${link.label}</NavLink>`)
+            .join('\n');
+
+        return `${imports.join('\n')}
+
+export default function App() {
+    return (
+        <main className="${ui.container}">
+            <nav className="${ui.nav}">
+${links}
+            </nav>
+            <Routes>
+${routes.join('\n')}
+            </Routes>
+        </main>
+    );
+}
+`;
+    }
+
+    /**
+     * React pages, auth context and route guard
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateReactRouterFiles(options) {
+        const { ui } = options;
+
+        const homeJsx = `import Counter from '../components/Counter.jsx';
+
+export default function Home() {
+    return (
+        <section className="${ui.card}">
+            <span className="${ui.badge}">${this.getStackLabel(options)}</span>
+            <h1 className="${ui.title}">${this.escapeJsx(options.title)}</h1>
+            <p className="${ui.text}">Modifica <code>src/pages/Home.jsx</code> e salva per ricaricare.</p>
+            <Counter />
+        </section>
+    );
+}
+`;
+
+        const aboutJsx = `export default function About() {
+    return (
+        <section className="${ui.card}">
+            <h1 className="${ui.title}">Informazioni</h1>
+            <p className="${ui.text}">${this.escapeJsx(this.getAboutText(options))}</p>
+        </section>
+    );
+}
+`;
+
+        const files = [
+            this.file('src/pages/Home.jsx', homeJsx),
+            this.file('src/pages/About.jsx', aboutJsx)
+        ];
+
+        if (!this.hasFeature(options, 'auth')) {
+            return files;
+        }
+
+        const authContextJsx = `import { createContext, useContext, useState } from 'react';
+import * as authService from '../services/auth.js';
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }) {
+    const [session, setSession] = useState(() => authService.getSession());
+
+    const value = {
+        user: session,
+        isAuthenticated: Boolean(session),
+        login: async (username, password) => {
+            const nextSession = await authService.login(username, password);
+            setSession(nextSession);
+            return nextSession;
+        },
+        logout: () => {
+            authService.logout();
+            setSession(null);
+        }
+    };
+
+    return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+    const context = useContext(AuthContext);
+
+    if (!context) {
+        throw new Error('useAuth deve essere usato dentro <AuthProvider>');
+    }
+
+    return context;
+}
+`;
+
+        const protectedRouteJsx = `import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+
+export default function ProtectedRoute({ children }) {
+    const { isAuthenticated } = useAuth();
+    const location = useLocation();
+
+    if (!isAuthenticated) {
+        return <Navigate to="/login" replace state={{ from: location }} />;
+    }
+
+    return children;
+}
+`;
+
+        const loginJsx = `import { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+
+export default function Login() {
+    const { login } = useAuth();
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        const data = new FormData(event.currentTarget);
+
+        try {
+            await login(data.get('username'), data.get('password'));
+            navigate(location.state?.from?.pathname || '/dashboard', { replace: true });
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <section className="${ui.card}">
+            <h1 className="${ui.title}">Accedi</h1>
+            <form onSubmit={handleSubmit}>
+${this.getLoginFields(ui, 'jsx', 16)}
+                {error && <p className="${ui.error}" role="alert">{error}</p>}
+                <button className="${ui.button}" type="submit">Entra</button>
+            </form>
+        </section>
+    );
+}
+`;
+
+        const dashboardJsx = `import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+
+export default function Dashboard() {
+    const { user, logout } = useAuth();
+    const navigate = useNavigate();
+
+    const handleLogout = () => {
+        logout();
+        navigate('/login');
+    };
+
+    return (
+        <section className="${ui.card}">
+            <h1 className="${ui.title}">Area riservata</h1>
+            <p className="${ui.text}">Accesso effettuato come <strong>{user?.username}</strong>.</p>
+            <button className="${ui.button}" type="button" onClick={handleLogout}>
+                Esci
+            </button>
+        </section>
+    );
+}
+`;
+
+        return [
+            ...files,
+            this.file('src/pages/Login.jsx', loginJsx),
+            this.file('src/pages/Dashboard.jsx', dashboardJsx),
+            this.file('src/context/AuthContext.jsx', authContextJsx),
+            this.file('src/components/ProtectedRoute.jsx', protectedRouteJsx)
+        ];
+    }
+
+    /**
+     * Vue 3 app with single-file components, built with Vite
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateVueProject(options) {
+        const { ui } = options;
+        const router = this.hasFeature(options, 'router');
+        const packageJson = this.createPackageJson(options, {
+            scripts: {
+                dev: 'vite',
+                build: 'vite build',
+                preview: 'vite preview'
+            },
+            dependencies: {
+                vue: PACKAGE_VERSIONS.vue,
+                ...(router && { 'vue-router': PACKAGE_VERSIONS.vueRouter })
+            },
+            devDependencies: {
+                '@vitejs/plugin-vue': PACKAGE_VERSIONS.vitePluginVue,
+                vite: PACKAGE_VERSIONS.vite
+            }
+        });
+
+        const viteConfig = `import { defineConfig } from 'vite';
+import vue from '@vitejs/plugin-vue';
+
+export default defineConfig({
+    plugins: [vue()]
+});
+`;
+
+        const indexHtml = `<!DOCTYPE html>
+<html lang="it">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(options.title)}</title>
+${this.getPwaHeadTags(options)}</head>
+<body>
+    <div id="app"></div>
+    <script type="module" src="/src/main.js"></script>
+</body>
+</html>
+`;
+
+        const mainJs = router ? `import { createApp } from 'vue';
+import App from './App.vue';
+import router from './router/index.js';
+import './styles/main.css';
+
+createApp(App).use(router).mount('#app');
+${this.getServiceWorkerRegistration(options)}` : `import { createApp } from 'vue';
+import App from './App.vue';
+import './styles/main.css';
+
+createApp(App).mount('#app');
+${this.getServiceWorkerRegistration(options)}`;
+
+        const links = this.getNavigation(options)
+            .map(link => `            <RouterLink class="${ui.navLink}" to="${link.path}">${link.label}</RouterLink>`)
+            .join('\n');
+
+        const appVue = router ? `<template>
+    <main class="${ui.container}">
+        <nav class="${ui.nav}">
+${links}
+        </nav>
+        <RouterView />
+    </main>
+</template>
+` : `<script setup>
+import Counter from './components/Counter.vue';
+</script>
+
+<template>
+    <main class="${ui.container}">
+        <section class="${ui.card}">
+            <span class="${ui.badge}">${this.getStackLabel(options)}</span>
+            <h1 class="${ui.title}">${this.escapeHtml(options.title)}</h1>
+            <p class="${ui.text}">Modifica <code>src/App.vue</code> e salva per ricaricare.</p>
+            <Counter />
+        </section>
+    </main>
+</template>
+`;
+
+        const counterVue = `<script setup>
+import { ref } from 'vue';
+
+const count = ref(0);
+</script>
+
+<template>
+    <button class="${ui.button}" type="button" @click="count++">
+        Contatore: {{ count }}
+    </button>
+</template>
+`;
+
+        return [
+            this.file('package.json', packageJson),
+            this.file('vite.config.js', viteConfig),
+            this.file('index.html', indexHtml),
+            this.file('src/main.js', mainJs),
+            this.file('src/App.vue', appVue),
+            this.file('src/components/Counter.vue', counterVue),
+            this.file('src/styles/main.css', this.generateStylesheet(options)),
+            ...(router ? this.generateVueRouterFiles(options) : []),
+            ...this.generateViteFeatureFiles(options)
+        ];
+    }
+
+    /**
+     * Vue Router setup, views and auth composable
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateVueRouterFiles(options) {
+        const { ui } = options;
+        const auth = this.hasFeature(options, 'auth');
+
+        const imports = [
+            "import { createRouter, createWebHistory } from 'vue-router';",
+            "import HomeView from '../views/HomeView.vue';",
+            "import AboutView from '../views/AboutView.vue';"
+        ];
+        const routes = [
+            "        { path: '/', name: 'home', component: HomeView },",
+            "        { path: '/about', name: 'about', component: AboutView },"
+        ];
+
+        if (auth) {
+            imports.push(
+                "import LoginView from '../views/LoginView.vue';",
+                "import DashboardView from '../views/DashboardView.vue';",
+                "import { isAuthenticated } from '../services/auth.js';"
+            );
+            routes.push(
+                "        { path: '/login', name: 'login', component: LoginView },",
+                "        { path: '/dashboard', name: 'dashboard', component: DashboardView, meta: { requiresAuth: true } },"
+            );
+        }
+
+        routes.push("        { path: '/:pathMatch(.*)*', redirect: '/' }");
+
+        const guard = auth ? `
+router.beforeEach((to) => {
+    if (to.meta.requiresAuth && !isAuthenticated()) {
+        return { name: 'login', query: { redirect: to.fullPath } };
+    }
+});
+` : '';
+
+        const routerJs = `${imports.join('\n')}
+
+const router = createRouter({
+    history: createWebHistory(import.meta.env.BASE_URL),
+    linkActiveClass: 'active',
+    routes: [
+${routes.join('\n')}
+    ]
+});
+${guard}
+export default router;
+`;
+
+        const homeView = `<script setup>
+import Counter from '../components/Counter.vue';
+</script>
+
+<template>
+    <section class="${ui.card}">
+        <span class="${ui.badge}">${this.getStackLabel(options)}</span>
+        <h1 class="${ui.title}">${this.escapeHtml(options.title)}</h1>
+        <p class="${ui.text}">Modifica <code>src/views/HomeView.vue</code> e salva per ricaricare.</p>
+        <Counter />
+    </section>
+</template>
+`;
+
+        const aboutView = `<template>
+    <section class="${ui.card}">
+        <h1 class="${ui.title}">Informazioni</h1>
+        <p class="${ui.text}">${this.escapeHtml(this.getAboutText(options))}</p>
+    </section>
+</template>
+`;
+
+        const files = [
+            this.file('src/router/index.js', routerJs),
+            this.file('src/views/HomeView.vue', homeView),
+            this.file('src/views/AboutView.vue', aboutView)
+        ];
+
+        if (!auth) {
+            return files;
+        }
+
+        const useAuthJs = `import { computed, ref } from 'vue';
+import * as authService from '../services/auth.js';
+
+// Shared across components so every view sees the same session
+const session = ref(authService.getSession());
+
+export function useAuth() {
+    return {
+        user: computed(() => session.value),
+        isAuthenticated: computed(() => Boolean(session.value)),
+        async login(username, password) {
+            session.value = await authService.login(username, password);
+        },
+        logout() {
+            authService.logout();
+            session.value = null;
+        }
+    };
+}
+`;
+
+        const loginView = `<script setup>
+import { ref } from 'vue';
+import { useRoute, useRouter } from 'vue-router';
+import { useAuth } from '../composables/useAuth.js';
+
+const { login } = useAuth();
+const route = useRoute();
+const router = useRouter();
+
+const username = ref('');
+const password = ref('');
+const error = ref('');
+
+async function submit() {
+    try {
+        await login(username.value, password.value);
+        router.push(route.query.redirect || '/dashboard');
+    } catch (err) {
+        error.value = err.message;
+    }
+}
+</script>
+
+<template>
+    <section class="${ui.card}">
+        <h1 class="${ui.title}">Accedi</h1>
+        <form @submit.prevent="submit">
+${this.getLoginFields(ui, 'vue', 12)}
+            <p v-if="error" class="${ui.error}" role="alert">{{ error }}</p>
+            <button class="${ui.button}" type="submit">Entra</button>
+        </form>
+    </section>
+</template>
+`;
+
+        const dashboardView = `<script setup>
+import { useRouter } from 'vue-router';
+import { useAuth } from '../composables/useAuth.js';
+
+const { user, logout } = useAuth();
+const router = useRouter();
+
+function handleLogout() {
+    logout();
+    router.push('/login');
+}
+</script>
+
+<template>
+    <section class="${ui.card}">
+        <h1 class="${ui.title}">Area riservata</h1>
+        <p class="${ui.text}">Accesso effettuato come <strong>{{ user?.username }}</strong>.</p>
+        <button class="${ui.button}" type="button" @click="handleLogout">Esci</button>
+    </section>
+</template>
+`;
+
+        return [
+            ...files,
+            this.file('src/views/LoginView.vue', loginView),
+            this.file('src/views/DashboardView.vue', dashboardView),
+            this.file('src/composables/useAuth.js', useAuthJs)
+        ];
+    }
+
+    /**
+     * Feature files shared by the Vite starters (API client, auth session, PWA)
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateViteFeatureFiles(options) {
+        const files = [];
+
+        if (this.hasFeature(options, 'api')) {
+            files.push(
+                this.file('src/services/api.js', this.generateApiClient(options)),
+                this.file('.env', `# Base URL used by src/services/api.js
+VITE_API_BASE_URL=${DEFAULT_API_BASE_URL}
+`)
+            );
+        }
+
+        if (this.hasFeature(options, 'auth')) {
+            files.push(this.file('src/services/auth.js', this.generateAuthService(options)));
+        }
+
+        if (this.hasFeature(options, 'pwa')) {
+            files.push(...this.generatePwaFiles(options, 'public'));
+        }
+
+        return files;
+    }
+
+    /**
+     * fetch-based API client for the Vite starters
+     * @param {Object} options - Normalized options
+     * @returns {string} src/services/api.js content
+     */
+    generateApiClient(options) {
+        const auth = this.hasFeature(options, 'auth');
+
+        return `${auth ? "import { getSession } from './auth.js';\n\n" : ''}const BASE_URL = (import.meta.env.VITE_API_BASE_URL || '').replace(/\\/+$/, '');
+
+/**
+ * Error thrown for non-2xx responses
+ */
+export class ApiError extends Error {
+    constructor(message, status, data) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * Send a request to the API
+ * @param {string} path - Path relative to VITE_API_BASE_URL
+ * @param {Object} options - fetch options; \`body\` is sent as JSON
+ * @returns {Promise<*>} Parsed response body
+ */
+export async function request(path, { body, headers = {}, ...options } = {}) {
+${auth ? '    const session = getSession();\n' : ''}    const response = await fetch(\`\${BASE_URL}/\${path.replace(/^\\/+/, '')}\`, {
+        ...options,
+        headers: {
+            Accept: 'application/json',
+            ...(body !== undefined && { 'Content-Type': 'application/json' }),
+${auth ? "            ...(session && { Authorization: `Bearer ${session.token}` }),\n" : ''}            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const isJson = response.headers.get('content-type')?.includes('application/json');
+    const data = isJson ? await response.json() : await response.text();
+
+    if (!response.ok) {
+        throw new ApiError(\`Richiesta fallita (\${response.status})\`, response.status, data);
+    }
+
+    return data;
+}
+
+export const api = {
+    get: (path, options) => request(path, { ...options, method: 'GET' }),
+    post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+    put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+    delete: (path, options) => request(path, { ...options, method: 'DELETE' })
+};
+
+export default api;
+`;
+    }
+
+    /**
+     * Session storage used by the Vite auth starters
+     * With the API feature the login goes through POST /auth/login, otherwise it is a local demo session
+     * @param {Object} options - Normalized options
+     * @returns {string} src/services/auth.js content
+     */
+    generateAuthService(options) {
+        const api = this.hasFeature(options, 'api');
+        const createSession = api ?
+            `    const { token, user } = await api.post('auth/login', { username, password });
+    const session = {
+        username: user?.username || username,
+        token: token
+    };` :
+            `    // Sessione demo nel browser: abilita la feature API per autenticare sul server
+    const session = {
+        username: username,
+        token: crypto.randomUUID()
+    };`;
+
+        return `${api ? "import { api } from './api.js';\n\n" : ''}const STORAGE_KEY = 'auth';
+
+/**
+ * Read the stored session
+ * @returns {Object|null} Session ({ username, token }) or null
+ */
+export function getSession() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a user is logged in
+ * @returns {boolean} Logged in
+ */
+export function isAuthenticated() {
+    return Boolean(getSession());
+}
+
+/**
+ * Log in and store the session
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Session
+ */
+export async function login(username, password) {
+    if (!username || !password) {
+        throw new Error('Inserisci utente e password');
+    }
+
+${createSession}
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    return session;
+}
+
+/**
+ * Clear the stored session
+ */
+export function logout() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+`;
+    }
+
+    /**
+     * Angular workspace skeleton with standalone components
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateAngularProject(options) {
+        const { ui } = options;
+        const name = options.packageName;
+        const router = this.hasFeature(options, 'router');
+        const api = this.hasFeature(options, 'api');
+        const auth = this.hasFeature(options, 'auth');
+        const pwa = this.hasFeature(options, 'pwa');
+
+        const packageJson = this.createPackageJson(options, {
+            scripts: {
+                ng: 'ng',
+                dev: 'ng serve',
+                start: 'ng serve',
+                build: 'ng build',
+                watch: 'ng build --watch --configuration development'
+            },
+            dependencies: {
+                '@angular/common': PACKAGE_VERSIONS.angular,
+                '@angular/compiler': PACKAGE_VERSIONS.angular,
+                '@angular/core': PACKAGE_VERSIONS.angular,
+                '@angular/platform-browser': PACKAGE_VERSIONS.angular,
+                ...(router && { '@angular/router': PACKAGE_VERSIONS.angular }),
+                ...(auth && { '@angular/forms': PACKAGE_VERSIONS.angular }),
+                rxjs: PACKAGE_VERSIONS.rxjs,
+                tslib: PACKAGE_VERSIONS.tslib,
+                'zone.js': PACKAGE_VERSIONS.zoneJs
+            },
+            devDependencies: {
+                '@angular-devkit/build-angular': PACKAGE_VERSIONS.angularCli,
+                '@angular/cli': PACKAGE_VERSIONS.angularCli,
+                '@angular/compiler-cli': PACKAGE_VERSIONS.angular,
+                typescript: PACKAGE_VERSIONS.typescript
+            }
+        }, { type: null });
+
+        const developmentConfiguration = {
+            optimization: false,
+            extractLicenses: false,
+            sourceMap: true
+        };
+
+        if (api) {
+            developmentConfiguration.fileReplacements = [{
+                replace: 'src/environments/environment.ts',
+                with: 'src/environments/environment.development.ts'
+            }];
+        }
+
+        const angularJson = {
+            $schema: './node_modules/@angular/cli/lib/config/schema.json',
+            version: 1,
+            cli: {
+                analytics: false
+            },
+            newProjectRoot: 'projects',
+            projects: {
+                [name]: {
+                    projectType: 'application',
+                    root: '',
+                    sourceRoot: 'src',
+                    prefix: 'app',
+                    architect: {
+                        build: {
+                            builder: '@angular-devkit/build-angular:application',
+                            options: {
+                                outputPath: `dist/${name}`,
+                                index: 'src/index.html',
+                                browser: 'src/main.ts',
+                                polyfills: ['zone.js'],
+                                tsConfig: 'tsconfig.app.json',
+                                assets: pwa ?
+                                    ['src/assets', 'src/manifest.webmanifest', 'src/sw.js', 'src/icons'] :
+                                    ['src/assets'],
+                                styles: ['src/styles.css'],
+                                scripts: []
+                            },
+                            configurations: {
+                                production: {
+                                    outputHashing: 'all'
+                                },
+                                development: developmentConfiguration
+                            },
+                            defaultConfiguration: 'production'
+                        },
+                        serve: {
+                            builder: '@angular-devkit/build-angular:dev-server',
+                            configurations: {
+                                production: {
+                                    buildTarget: `${name}:build:production`
+                                },
+                                development: {
+                                    buildTarget: `${name}:build:development`
+                                }
+                            },
+                            defaultConfiguration: 'development'
+                        }
+                    }
+                }
+            }
+        };
+
+        const tsconfig = {
+            compileOnSave: false,
+            compilerOptions: {
+                outDir: './dist/out-tsc',
+                forceConsistentCasingInFileNames: true,
+                strict: true,
+                noImplicitOverride: true,
+                noPropertyAccessFromIndexSignature: true,
+                noImplicitReturns: true,
+                noFallthroughCasesInSwitch: true,
+                skipLibCheck: true,
+                esModuleInterop: true,
+                sourceMap: true,
+                declaration: false,
+                experimentalDecorators: true,
+                moduleResolution: 'node',
+                importHelpers: true,
+                target: 'ES2022',
+                module: 'ES2022',
+                useDefineForClassFields: false,
+                lib: ['ES2022', 'dom']
+            },
+            angularCompilerOptions: {
+                enableI18nLegacyMessageIdFormat: false,
+                strictInjectionParameters: true,
+                strictInputAccessModifiers: true,
+                strictTemplates: true
+            }
+        };
+
+        const tsconfigApp = {
+            extends: './tsconfig.json',
+            compilerOptions: {
+                outDir: './out-tsc/app',
+                types: []
+            },
+            files: ['src/main.ts'],
+            include: ['src/**/*.d.ts']
+        };
+
+        const indexHtml = `<!doctype html>
+<html lang="it">
+<head>
+    <meta charset="utf-8">
+    <title>${this.escapeHtml(options.title)}</title>
+    <base href="/">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+${this.getPwaHeadTags(options)}</head>
+<body>
+    <app-root></app-root>
+</body>
+</html>
+`;
+
+        const mainTs = pwa ? `import { isDevMode } from '@angular/core';
+import { bootstrapApplication } from '@angular/platform-browser';
+import { appConfig } from './app/app.config';
+import { AppComponent } from './app/app.component';
+
+bootstrapApplication(AppComponent, appConfig)
+    .catch((err) => console.error(err));
+${this.getServiceWorkerRegistration(options, '!isDevMode()')}` : `import { bootstrapApplication } from '@angular/platform-browser';
+import { appConfig } from './app/app.config';
+import { AppComponent } from './app/app.component';
+
+bootstrapApplication(AppComponent, appConfig)
+    .catch((err) => console.error(err));
+`;
+
+        const configImports = ["import { ApplicationConfig } from '@angular/core';"];
+        const providers = [];
+
+        if (router) {
+            configImports.push("import { provideRouter } from '@angular/router';");
+            providers.push('provideRouter(routes)');
+        }
+
+        if (api) {
+            configImports.push(auth ?
+                "import { provideHttpClient, withInterceptors } from '@angular/common/http';" :
+                "import { provideHttpClient } from '@angular/common/http';");
+            providers.push(auth ? 'provideHttpClient(withInterceptors([authInterceptor]))' : 'provideHttpClient()');
+        }
+
+        if (router) configImports.push("import { routes } from './app.routes';");
+        if (api && auth) configImports.push("import { authInterceptor } from './interceptors/auth.interceptor';");
+
+        const appConfigTs = `${configImports.join('\n')}
+
+export const appConfig: ApplicationConfig = {
+    providers: [${providers.length > 0 ? `\n        ${providers.join(',\n        ')}\n    ` : ''}]
+};
+`;
+
+        const appComponentTs = router ? this.generateAngularRouterApp(options) : `import { Component } from '@angular/core';
+import { CounterComponent } from './components/counter/counter.component';
+
+@Component({
+    selector: 'app-root',
+    standalone: true,
+    imports: [CounterComponent],
+    template: \`
+        <main class="${ui.container}">
+            <section class="${ui.card}">
+                <span class="${ui.badge}">${this.getStackLabel(options)}</span>
+                <h1 class="${ui.title}">{{ title }}</h1>
+                <p class="${ui.text}">Modifica <code>src/app/app.component.ts</code> e salva per ricaricare.</p>
+                <app-counter></app-counter>
+            </section>
+        </main>
+    \`
+})
+export class AppComponent {
+    title = '${this.escapeJsString(options.title)}';
+}
+`;
+
+        const counterComponentTs = `import { Component } from '@angular/core';
+
+@Component({
+    selector: 'app-counter',
+    standalone: true,
+    template: \`
+        <button class="${ui.button}" type="button" (click)="increment()">
+            Contatore: {{ count }}
+        </button>
+    \`
+})
+export class CounterComponent {
+    count = 0;
+
+    increment(): void {
+        this.count++;
+    }
+}
+`;
+
+        return [
+            this.file('package.json', packageJson),
+            this.file('angular.json', JSON.stringify(angularJson, null, 2) + '\n'),
+            this.file('tsconfig.json', JSON.stringify(tsconfig, null, 2) + '\n'),
+            this.file('tsconfig.app.json', JSON.stringify(tsconfigApp, null, 2) + '\n'),
+            this.file('src/index.html', indexHtml),
+            this.file('src/main.ts', mainTs),
+            this.file('src/styles.css', this.generateStylesheet(options)),
+            this.file('src/assets/.gitkeep', ''),
+            this.file('src/app/app.config.ts', appConfigTs),
+            this.file('src/app/app.component.ts', appComponentTs),
+            this.file('src/app/components/counter/counter.component.ts', counterComponentTs),
+            ...(router ? this.generateAngularRouterFiles(options) : []),
+            ...(api ? this.generateAngularApiFiles(options) : []),
+            ...(pwa ? this.generatePwaFiles(options, 'src') : [])
+        ];
+    }
+
+    /**
+     * Angular root component with navigation and router outlet
+     * @param {Object} options - Normalized options
+     * @returns {string} src/app/app.component.ts content
+     */
+    generateAngularRouterApp(options) {
+        const { ui } = options;
+
+        const links = this.getNavigation(options)
+            .map(link => {
+                const exact = link.path === '/' ? ' [routerLinkActiveOptions]="{ exact: true }"' : '';
+                return `                <a class="${ui.navLink}" routerLink="${link.path}" routerLinkActive="active"${exact}>${link.label}</a>`;
+            })
+            .join('\n');
+
+        return `import { Component } from '@angular/core';
+import { RouterLink, RouterLinkActive, RouterOutlet } from '@angular/router';
+
+@Component({
+    selector: 'app-root',
+    standalone: true,
+    imports: [RouterOutlet, RouterLink, RouterLinkActive],
+    template: \`
+        <main class="${ui.container}">
+            <nav class="${ui.nav}">
+${links}
+            </nav>
+            <router-outlet></router-outlet>
+        </main>
+    \`
+})
+export class AppComponent {}
+`;
+    }
+
+    /**
+     * Angular routes, pages, auth service and guard
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateAngularRouterFiles(options) {
+        const { ui } = options;
+        const auth = this.hasFeature(options, 'auth');
+        const api = this.hasFeature(options, 'api');
+
+        const imports = [
+            "import { Routes } from '@angular/router';",
+            "import { HomeComponent } from './pages/home/home.component';",
+            "import { AboutComponent } from './pages/about/about.component';"
+        ];
+        const routes = [
+            "    { path: '', component: HomeComponent },",
+            "    { path: 'about', component: AboutComponent },"
+        ];
+
+        if (auth) {
+            imports.push(
+                "import { LoginComponent } from './pages/login/login.component';",
+                "import { DashboardComponent } from './pages/dashboard/dashboard.component';",
+                "import { authGuard } from './guards/auth.guard';"
+            );
+            routes.push(
+                "    { path: 'login', component: LoginComponent },",
+                "    { path: 'dashboard', component: DashboardComponent, canActivate: [authGuard] },"
+            );
+        }
+
+        routes.push("    { path: '**', redirectTo: '' }");
+
+        const routesTs = `${imports.join('\n')}
+
+export const routes: Routes = [
+${routes.join('\n')}
+];
+`;
+
+        const homeComponentTs = `import { Component } from '@angular/core';
+import { CounterComponent } from '../../components/counter/counter.component';
+
+@Component({
+    selector: 'app-home',
+    standalone: true,
+    imports: [CounterComponent],
+    template: \`
+        <section class="${ui.card}">
+            <span class="${ui.badge}">${this.getStackLabel(options)}</span>
+            <h1 class="${ui.title}">{{ title }}</h1>
+            <p class="${ui.text}">Modifica <code>src/app/pages/home/home.component.ts</code> e salva per ricaricare.</p>
+            <app-counter></app-counter>
+        </section>
+    \`
+})
+export class HomeComponent {
+    title = '${this.escapeJsString(options.title)}';
+}
+`;
+
+        const aboutComponentTs = `import { Component } from '@angular/core';
+
+@Component({
+    selector: 'app-about',
+    standalone: true,
+    template: \`
+        <section class="${ui.card}">
+            <h1 class="${ui.title}">Informazioni</h1>
+            <p class="${ui.text}">${this.escapeJsTemplate(this.getAboutText(options))}</p>
+        </section>
+    \`
+})
+export class AboutComponent {}
+`;
+
+        const files = [
+            this.file('src/app/app.routes.ts', routesTs),
+            this.file('src/app/pages/home/home.component.ts', homeComponentTs),
+            this.file('src/app/pages/about/about.component.ts', aboutComponentTs)
+        ];
+
+        if (!auth) {
+            return files;
+        }
+
+        const authServiceTs = `import { Injectable, computed, ${api ? 'inject, ' : ''}signal } from '@angular/core';
+${api ? "import { firstValueFrom } from 'rxjs';\nimport { ApiService } from './api.service';\n" : ''}
+export interface Session {
+    username: string;
+    token: string;
+}
+
+const STORAGE_KEY = 'auth';
+
+@Injectable({ providedIn: 'root' })
+export class AuthService {
+${api ? '    private readonly api = inject(ApiService);\n' : ''}    readonly session = signal<Session | null>(this.restore());
+    readonly isAuthenticated = computed(() => this.session() !== null);
+
+    async login(username: string, password: string): Promise<Session> {
+        if (!username || !password) {
+            throw new Error('Inserisci utente e password');
+        }
+
+${api ? `        const response = await firstValueFrom(
+            this.api.post<{ token: string; user?: { username: string } }>('auth/login', { username, password })
+        );
+        const session: Session = {
+            username: response.user?.username || username,
+            token: response.token
+        };` : `        // Sessione demo nel browser: abilita la feature API per autenticare sul server
+        const session: Session = {
+            username: username,
+            token: crypto.randomUUID()
+        };`}
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        this.session.set(session);
+        return session;
+    }
+
+    logout(): void {
+        localStorage.removeItem(STORAGE_KEY);
+        this.session.set(null);
+    }
+
+    private restore(): Session | null {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+        } catch {
+            return null;
+        }
+    }
+}
+`;
+
+        const authGuardTs = `import { inject } from '@angular/core';
+import { CanActivateFn, Router } from '@angular/router';
+import { AuthService } from '../services/auth.service';
+
+export const authGuard: CanActivateFn = (route, state) => {
+    if (inject(AuthService).isAuthenticated()) {
+        return true;
+    }
+
+    return inject(Router).createUrlTree(['/login'], { queryParams: { redirect: state.url } });
+};
+`;
+
+        const loginComponentTs = `import { Component, inject } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { ActivatedRoute, Router } from '@angular/router';
+import { AuthService } from '../../services/auth.service';
+
+@Component({
+    selector: 'app-login',
+    standalone: true,
+    imports: [FormsModule],
+    template: \`
+        <section class="${ui.card}">
+            <h1 class="${ui.title}">Accedi</h1>
+            <form (ngSubmit)="submit()">
+${this.getLoginFields(ui, 'angular', 16)}
+                @if (error) {
+                    <p class="${ui.error}" role="alert">{{ error }}</p>
+                }
+                <button class="${ui.button}" type="submit">Entra</button>
+            </form>
+        </section>
+    \`
+})
+export class LoginComponent {
+    private readonly auth = inject(AuthService);
+    private readonly router = inject(Router);
+    private readonly route = inject(ActivatedRoute);
+
+    username = '';
+    password = '';
+    error = '';
+
+    async submit(): Promise<void> {
+        try {
+            await this.auth.login(this.username, this.password);
+            this.router.navigateByUrl(this.route.snapshot.queryParamMap.get('redirect') || '/dashboard');
+        } catch (err) {
+            this.error = (err as Error).message;
+        }
+    }
+}
+`;
+
+        const dashboardComponentTs = `import { Component, inject } from '@angular/core';
+import { Router } from '@angular/router';
+import { AuthService } from '../../services/auth.service';
+
+@Component({
+    selector: 'app-dashboard',
+    standalone: true,
+    template: \`
+        <section class="${ui.card}">
+            <h1 class="${ui.title}">Area riservata</h1>
+            <p class="${ui.text}">Accesso effettuato come <strong>{{ auth.session()?.username }}</strong>.</p>
+            <button class="${ui.button}" type="button" (click)="logout()">Esci</button>
+        </section>
+    \`
+})
+export class DashboardComponent {
+    readonly auth = inject(AuthService);
+    private readonly router = inject(Router);
+
+    logout(): void {
+        this.auth.logout();
+        this.router.navigateByUrl('/login');
+    }
+}
+`;
+
+        return [
+            ...files,
+            this.file('src/app/pages/login/login.component.ts', loginComponentTs),
+            this.file('src/app/pages/dashboard/dashboard.component.ts', dashboardComponentTs),
+            this.file('src/app/services/auth.service.ts', authServiceTs),
+            this.file('src/app/guards/auth.guard.ts', authGuardTs)
+        ];
+    }
+
+    /**
+     * Angular HttpClient service with per-environment base URL
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateAngularApiFiles(options) {
+        const apiServiceTs = `import { HttpClient } from '@angular/common/http';
+import { Injectable, inject } from '@angular/core';
+import { Observable } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+@Injectable({ providedIn: 'root' })
+export class ApiService {
+    private readonly http = inject(HttpClient);
+    private readonly baseUrl = environment.apiBaseUrl.replace(/\\/+$/, '');
+
+    get<T>(path: string): Observable<T> {
+        return this.http.get<T>(this.url(path));
+    }
+
+    post<T>(path: string, body: unknown): Observable<T> {
+        return this.http.post<T>(this.url(path), body);
+    }
+
+    put<T>(path: string, body: unknown): Observable<T> {
+        return this.http.put<T>(this.url(path), body);
+    }
+
+    delete<T>(path: string): Observable<T> {
+        return this.http.delete<T>(this.url(path));
+    }
+
+    private url(path: string): string {
+        return \`\${this.baseUrl}/\${path.replace(/^\\/+/, '')}\`;
+    }
+}
+`;
+
+        const files = [
+            this.file('src/environments/environment.ts', `export const environment = {
+    production: true,
+    apiBaseUrl: '/api'
+};
+`),
+            this.file('src/environments/environment.development.ts', `export const environment = {
+    production: false,
+    apiBaseUrl: '${DEFAULT_API_BASE_URL}'
+};
+`),
+            this.file('src/app/services/api.service.ts', apiServiceTs)
+        ];
+
+        if (this.hasFeature(options, 'auth')) {
+            files.push(this.file('src/app/interceptors/auth.interceptor.ts', `import { HttpInterceptorFn } from '@angular/common/http';
+import { inject } from '@angular/core';
+import { AuthService } from '../services/auth.service';
+
+export const authInterceptor: HttpInterceptorFn = (request, next) => {
+    const session = inject(AuthService).session();
+
+    if (!session) {
+        return next(request);
+    }
+
+    return next(request.clone({
+        setHeaders: { Authorization: \`Bearer \${session.token}\` }
+    }));
+};
+`));
+        }
+
+        return files;
+    }
+
+    /**
+     * Web app manifest, service worker and icons
+     * @param {Object} options - Normalized options
+     * @param {string} baseDir - Folder served as the site root (public/ or src/)
+     * @returns {Array} Generated files
+     */
+    generatePwaFiles(options, baseDir) {
+        const manifest = {
+            name: options.title,
+            short_name: options.title.length > 12 ? options.title.substring(0, 12).trim() : options.title,
+            start_url: '/',
+            display: 'standalone',
+            background_color: '#ffffff',
+            theme_color: PWA_THEME_COLOR,
+            icons: [
+                { src: '/icons/icon-192.svg', sizes: '192x192', type: 'image/svg+xml' },
+                { src: '/icons/icon-512.svg', sizes: '512x512', type: 'image/svg+xml' },
+                { src: '/icons/icon-maskable.svg', sizes: '512x512', type: 'image/svg+xml', purpose: 'maskable' }
+            ]
+        };
+
+        const serviceWorker = `const CACHE_NAME = '${options.packageName}-v1';
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icons/icon-192.svg',
+    '/icons/icon-512.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then((cache) => cache.addAll(APP_SHELL))
+    );
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys().then((keys) => Promise.all(
+            keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))
+        ))
+    );
+    self.clients.claim();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Only same-origin GETs; API calls (JSON) always go to the network
+    if (request.method !== 'GET' ||
+        new URL(request.url).origin !== self.location.origin ||
+        request.headers.get('accept')?.includes('application/json')) {
+        return;
+    }
+
+    // Pages: network first, cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('/index.html'))
+        );
+        return;
+    }
+
+    // Static assets: cache first, then network (stored for next time)
+    event.respondWith(
+        caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
+`;
+
+        return [
+            this.file(`${baseDir}/manifest.webmanifest`, JSON.stringify(manifest, null, 2) + '\n'),
+            this.file(`${baseDir}/sw.js`, serviceWorker),
+            this.file(`${baseDir}/icons/icon-192.svg`, this.generatePwaIcon(options, 192, false)),
+            this.file(`${baseDir}/icons/icon-512.svg`, this.generatePwaIcon(options, 512, false)),
+            this.file(`${baseDir}/icons/icon-maskable.svg`, this.generatePwaIcon(options, 512, true))
+        ];
+    }
+
+    /**
+     * SVG app icon with the project initial
+     * @param {Object} options - Normalized options
+     * @param {number} size - Icon size in pixels
+     * @param {boolean} maskable - Full-bleed background with the glyph in the safe zone
+     * @returns {string} SVG markup
+     */
+    generatePwaIcon(options, size, maskable) {
+        const initial = this.escapeHtml((options.title.trim().charAt(0) || 'A').toUpperCase());
+        const radius = maskable ? 0 : Math.round(size * 0.1875);
+        const fontSize = Math.round(size * (maskable ? 0.42 : 0.55));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+    <rect width="${size}" height="${size}" rx="${radius}" fill="${PWA_THEME_COLOR}"/>
+    <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="system-ui, sans-serif" font-size="${fontSize}" font-weight="700" fill="#ffffff">${initial}</text>
+</svg>
+`;
+    }
+
+    /**
+     * Extra <head> tags for the PWA manifest and icons
+     * @param {Object} options - Normalized options
+     * @returns {string} Indented tags (empty without the pwa feature)
+     */
+    getPwaHeadTags(options) {
+        if (!this.hasFeature(options, 'pwa')) {
+            return '';
+        }
+
+        return `    <meta name="theme-color" content="${PWA_THEME_COLOR}">
+    <link rel="manifest" href="/manifest.webmanifest">
+    <link rel="icon" href="/icons/icon-192.svg" type="image/svg+xml">
+    <link rel="apple-touch-icon" href="/icons/icon-192.svg">
+`;
+    }
+
+    /**
+     * Service worker registration appended to the entry file
+     * @param {Object} options - Normalized options
+     * @param {string} condition - Production check for the framework
+     * @returns {string} Registration code (empty without the pwa feature)
+     */
+    getServiceWorkerRegistration(options, condition = 'import.meta.env.PROD') {
+        if (!this.hasFeature(options, 'pwa')) {
+            return '';
+        }
+
+        return `
+// Registered only in production builds so the dev server is never cached
+if (${condition} && 'serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.error('Registrazione service worker fallita:', error);
+        });
+    });
+}
+`;
+    }
+
+    /**
+     * Username/password fields for the login page
+     * @param {Object} ui - CSS framework classes
+     * @param {string} flavor - Markup flavor: html, jsx, vue or angular
+     * @param {number} indent - Indentation in spaces
+     * @returns {string} Field markup
+     */
+    getLoginFields(ui, flavor, indent) {
+        const jsx = flavor === 'jsx';
+        const classAttr = jsx ? 'className' : 'class';
+        const pad = ' '.repeat(indent);
+
+        const bindings = {
+            vue: name => ` v-model="${name}"`,
+            angular: name => ` [(ngModel)]="${name}"`
+        };
+
+        return [
+            { name: 'username', label: 'Utente', type: 'text', autocomplete: 'username' },
+            { name: 'password', label: 'Password', type: 'password', autocomplete: 'current-password' }
+        ].map(field => {
+            const binding = bindings[flavor] ? bindings[flavor](field.name) : '';
+            const input = `<input ${classAttr}="${ui.input}" id="${field.name}" name="${field.name}" type="${field.type}" ${jsx ? 'autoComplete' : 'autocomplete'}="${field.autocomplete}" required${binding}${jsx ? ' />' : '>'}`;
+
+            return `${pad}<div ${classAttr}="${ui.field}">
+${pad}    <label ${classAttr}="${ui.label}" ${jsx ? 'htmlFor' : 'for'}="${field.name}">${field.label}</label>
+${pad}    ${input}
+${pad}</div>`;
+        }).join('\n');
+    }
+
+    /**
+     * Links shown in the navigation bar
+     * @param {Object} options - Normalized options
+     * @returns {Array} Links ({ path, label })
+     */
+    getNavigation(options) {
+        const links = [
+            { path: '/', label: 'Home' },
+            { path: '/about', label: 'Informazioni' }
+        ];
+
+        if (this.hasFeature(options, 'auth')) {
+            links.push({ path: '/dashboard', label: 'Area riservata' });
+        }
+
+        return links;
+    }
+
+    /**
+     * Text of the sample "about" page
+     * @param {Object} options - Normalized options
+     * @returns {string} Plain text
+     */
+    getAboutText(options) {
+        const features = options.features.map(feature => WEB_FEATURES[feature].label).join(', ');
+        return `Progetto ${this.getStackLabel(options)} generato da Universal Project Builder. Funzionalità attive: ${features}.`;
+    }
+
+    /**
+     * Check whether a feature add-on is enabled
+     * @param {Object} options - Normalized options
+     * @param {string} feature - Feature key (router, api, auth, pwa)
+     * @returns {boolean} Enabled
+     */
+    hasFeature(options, feature) {
+        return options.features.includes(feature);
+    }
+
+    /**
+     * Entry stylesheet: framework import followed by project styles
+     * @param {Object} options - Normalized options
+     * @returns {string} CSS content
+     */
+    generateStylesheet(options) {
+        if (options.cssFramework === 'none') {
+            return this.generateBaseStyles();
+        }
+
+        return `${options.css.stylesheetHeader}
+
+${options.css.stylesheetBody}
+`;
+    }
+
+    /**
+     * Config files required by the CSS framework (Tailwind only)
+     * @param {Object} options - Normalized options
+     * @returns {Array} Generated files
+     */
+    generateCssFrameworkFiles(options) {
+        if (options.cssFramework !== 'tailwind') {
+            return [];
+        }
+
+        // Angular rileva tailwind.config.js da solo; i progetti Vite usano PostCSS
+        if (options.projectType === 'angular') {
+            return [
+                this.file('tailwind.config.js', `/** @type {import('tailwindcss').Config} */
+module.exports = {
+    content: ['./src/**/*.{html,ts}'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
+`)
+            ];
+        }
+
+        return [
+            this.file('tailwind.config.js', `/** @type {import('tailwindcss').Config} */
+export default {
+    content: ['./index.html', './src/**/*.{js,jsx,ts,tsx,vue}'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
+`),
+            this.file('postcss.config.js', `export default {
+    plugins: {
+        tailwindcss: {},
+        autoprefixer: {}
+    }
+};
+`)
+        ];
+    }
+
+    /**
+     * Label shown on the starter page (e.g. "React + Bootstrap")
+     * @param {Object} options - Normalized options
+     * @returns {string} Stack label
+     */
+    getStackLabel(options) {
+        const frameworkNames = {
+            vanilla: 'Vanilla JS',
+            react: 'React',
+            vue: 'Vue',
+            angular: 'Angular'
+        };
+
+        return `${frameworkNames[options.projectType]} + ${options.css.label}`;
+    }
+
+    /**
+     * Base stylesheet used when no CSS framework is selected
+     * @returns {string} CSS content
+     */
+    generateBaseStyles() {
+        return `:root {
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+    color: #1f2933;
+    background: #f5f7fa;
+}
+
+body {
+    margin: 0;
+}
+
+.container {
+    max-width: 960px;
+    margin: 0 auto;
+    padding: 48px 16px;
+}
+
+.card {
+    display: flex;
+    flex-direction: column;
+    align-items: flex-start;
+    background: #ffffff;
+    border-radius: 12px;
+    padding: 32px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.08);
+}
+
+.badge {
+    margin-bottom: 12px;
+    padding: 4px 12px;
+    border-radius: 999px;
+    background: #e0e7ff;
+    color: #4338ca;
+    font-size: 0.85rem;
+}
+
+.title {
+    margin: 0 0 8px;
+}
+
+.subtitle {
+    margin: 0 0 24px;
+    color: #52606d;
+}
+
+.btn {
+    padding: 10px 20px;
+    border: none;
+    border-radius: 8px;
+    background: #4f46e5;
+    color: #ffffff;
+    font-size: 1rem;
+    cursor: pointer;
+}
+
+.btn:hover {
+    background: #4338ca;
+}
+
+.nav {
+    display: flex;
+    gap: 24px;
+    margin-bottom: 24px;
+}
+
+.nav-link {
+    color: #52606d;
+    font-weight: 500;
+    text-decoration: none;
+}
+
+.nav-link:hover,
+.nav-link.active {
+    color: #4f46e5;
+}
+
+.card form {
+    align-self: stretch;
+    max-width: 360px;
+}
+
+.field {
+    margin-bottom: 16px;
+}
+
+.label {
+    display: block;
+    margin-bottom: 4px;
+    font-size: 0.9rem;
+    font-weight: 500;
+}
+
+.input {
+    box-sizing: border-box;
+    width: 100%;
+    padding: 8px 12px;
+    border: 1px solid #cbd2d9;
+    border-radius: 8px;
+    font-size: 1rem;
+}
+
+.error {
+    margin: 0 0 16px;
+    color: #d64545;
+}
+`;
+    }
+
+    /**
+     * README with the commands to run the project
+     * @param {Object} options - Normalized options
+     * @returns {Object} README file
+     */
+    generateReadme(options) {
+        const frameworkNames = {
+            vanilla: 'Vanilla JS + Vite',
+            react: 'React + Vite',
+            vue: 'Vue 3 + Vite',
+            angular: 'Angular'
+        };
+
+        return this.file('README.md', `# ${options.title}
+
+Progetto ${frameworkNames[options.projectType]} generato da Universal Project Builder.
+${options.cssFramework !== 'none' ? `\nStili: ${options.css.label}.\n` : ''}${this.getReadmeFeatures(options)}
+## Avvio
+
+\`\`\`bash
+npm install
+npm run dev
+\`\`\`
+
+## Build di produzione
+
+\`\`\`bash
+npm run build
+\`\`\`
+`);
+    }
+
+    /**
+     * README section describing the enabled features
+     * @param {Object} options - Normalized options
+     * @returns {string} Markdown section (empty without features)
+     */
+    getReadmeFeatures(options) {
+        if (options.features.length === 0) {
+            return '';
+        }
+
+        const items = options.features.map(feature => `- **${WEB_FEATURES[feature].label}**: ${WEB_FEATURES[feature].description}`);
+
+        if (this.hasFeature(options, 'api')) {
+            items.push(options.projectType === 'angular' ?
+                '\nL\'URL base delle API si configura in `src/environments/`.' :
+                '\nL\'URL base delle API si configura in `.env` (`VITE_API_BASE_URL`).');
+        }
+
+        return `
+## Funzionalità
+
+${items.join('\n')}
+`;
+    }
+
+    /**
+     * Build package.json content
+     * @param {Object} options - Normalized options
+     * @param {Object} sections - scripts, dependencies, devDependencies (CSS framework packages are added)
+     * @param {Object} overrides - Top-level fields to override (null removes a field)
+     * @returns {string} package.json content
+     */
+    createPackageJson(options, sections, overrides = {}) {
+        const packageJson = {
+            name: options.packageName,
+            private: true,
+            version: '0.0.0',
+            type: 'module',
+            ...overrides,
+            scripts: sections.scripts || {},
+            dependencies: this.sortObject({
+                ...sections.dependencies,
+                ...options.css.dependencies
+            }),
+            devDependencies: this.sortObject({
+                ...sections.devDependencies,
+                ...options.css.devDependencies
+            })
+        };
+
+        Object.keys(packageJson).forEach(key => {
+            if (packageJson[key] === null) delete packageJson[key];
+        });
+
+        return JSON.stringify(packageJson, null, 2) + '\n';
+    }
+
+    /**
+     * Sort object keys alphabetically (npm style)
+     * @param {Object} object - Object to sort
+     * @returns {Object} Sorted object
+     */
+    sortObject(object) {
+        return Object.keys(object).sort().reduce((sorted, key) => {
+            sorted[key] = object[key];
+            return sorted;
+        }, {});
+    }
+
+    /**
+     * Create a project file
+     * @param {string} path - Relative path
+     * @param {string} content - File content
+     * @returns {Object} File object
+     */
+    file(path, content) {
+        return Helpers.createProjectFile(path, content);
+    }
+
+    /**
+     * Escape text for HTML markup
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Escape text for JSX children
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeJsx(text) {
+        return this.escapeHtml(text).replace(/[{}]/g, char => `{'${char}'}`);
+    }
+
+    /**
+     * Escape text for a single-quoted JS string
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeJsString(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    /**
+     * Escape text inside a JS template literal
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeJsTemplate(text) {
+        return this.escapeHtml(text).replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+    }
+}
+
+export default WebBuilder;
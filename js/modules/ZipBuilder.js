@@ -1,38 +1,609 @@
-/**
- * ZIP Builder Module
- */
-export class ZipBuilder {
-    constructor() {
-        console.log('📦 ZipBuilder initialized');
-    }
-    
-    async createProjectZip(files, options = {}) {
-        console.log('📦 Creating project ZIP...');
-        
-        const zip = new JSZip();
-        const projectName = options.projectName || 'project';
-        const projectFolder = zip.folder(projectName);
-        
-        files.forEach(file => {
-            projectFolder.file(file.fileName || file.name, file.content);
-        });
-        
-        return await zip.generateAsync({
-            type: 'blob',
-            compression: 'DEFLATE',
-            compressionOptions: { level: 6 }
-        });
-    }
-    
-    async createSimpleZip(files) {
-        const zip = new JSZip();
-        
-        files.forEach(file => {
-            zip.file(file.fileName || file.name, file.content);
-        });
-        
-        return await zip.generateAsync({ type: 'blob' });
-    }
-}
-
-export default ZipBuilder;
\ No newline at end of file
+/**
+ * ZIP Builder Module
+ */
+
+import { Helpers } from '../utils/helpers.js';
+import { Constants } from '../utils/constants.js';
+
+// JSZip settings for the compression option
+const COMPRESSION_LEVELS = {
+    none: { compression: 'STORE' },
+    low: { compression: 'DEFLATE', compressionOptions: { level: 1 } },
+    medium: { compression: 'DEFLATE', compressionOptions: { level: 6 } },
+    high: { compression: 'DEFLATE', compressionOptions: { level: 9 } }
+};
+
+// Files that must stay executable once extracted (Gradle/Maven wrappers, shell scripts)
+const EXECUTABLE_FILES = [/^gradlew$/, /^mvnw$/, /\.sh$/];
+
+// Source files consumed by a merge/split (see FileOrganizer.getFinalProjectStructure)
+const SKIPPED_STATUSES = ['merged_source', 'split_source'];
+
+const CONFIG_FILE_NAME = 'project-config.json';
+const MANIFEST_FILE_NAME = 'project-manifest.json';
+
+// Download formats: file extension and MIME type
+const ARCHIVE_FORMATS = {
+    zip: { extension: '.zip', mimeType: 'application/zip' },
+    'tar.gz': { extension: '.tar.gz', mimeType: 'application/gzip' },
+    bundle: { extension: '.bundle.txt', mimeType: 'text/plain;charset=utf-8' }
+};
+
+const TAR_BLOCK_SIZE = 512;
+
+export class ZipBuilder {
+    constructor() {
+        console.log('📦 ZipBuilder initialized');
+    }
+
+    /**
+     * Create an archive in the requested format
+     * @param {Array} files - Files to package
+     * @param {Object} options - format (zip|tar.gz|bundle) plus the createProjectZip options
+     * @returns {Promise<Blob>} Archive
+     */
+    async createArchive(files, options = {}) {
+        switch (options.format || 'zip') {
+            case 'zip':
+                return await this.createProjectZip(files, options);
+            case 'tar.gz':
+                return await this.createTarGz(files, options);
+            case 'bundle':
+                return this.createBundle(files, options);
+            default:
+                throw new Error(`Formato archivio non supportato: ${options.format}`);
+        }
+    }
+
+    /**
+     * File extension for a format
+     * @param {string} format - zip, tar.gz or bundle
+     * @returns {string} Extension including the leading dot
+     */
+    getArchiveExtension(format) {
+        return (ARCHIVE_FORMATS[format] || ARCHIVE_FORMATS.zip).extension;
+    }
+
+    /**
+     * Create a ZIP with the project files under a root folder
+     * @param {Array} files - Files to package (placed by currentPath)
+     * @param {Object} options - projectName, compression (none|low|medium|high),
+     *   includeConfig with config (project-config.json), manifest, metadata (type, report)
+     * @returns {Promise<Blob>} ZIP archive
+     */
+    async createProjectZip(files, options = {}) {
+        console.log('📦 Creating project ZIP...');
+
+        const zip = new JSZip();
+        const { projectName, entries } = this.collectEntries(files, { ...options, format: 'zip' });
+        const projectFolder = zip.folder(projectName);
+
+        entries.forEach(entry => {
+            projectFolder.file(entry.path, entry.content, {
+                unixPermissions: entry.executable ? 0o755 : 0o644
+            });
+        });
+
+        return await zip.generateAsync({
+            type: 'blob',
+            platform: 'UNIX',
+            ...this.getCompressionSettings(options.compression)
+        });
+    }
+
+    async createSimpleZip(files) {
+        const zip = new JSZip();
+
+        this.addFiles(zip, this.getPackagedFiles(files));
+
+        return await zip.generateAsync({ type: 'blob', platform: 'UNIX' });
+    }
+
+    /**
+     * Write files at their paths (JSZip creates the intermediate folders)
+     * @param {Object} folder - JSZip instance or folder
+     * @param {Array} files - Files to write
+     */
+    addFiles(folder, files) {
+        files.forEach(file => {
+            const path = this.getFilePath(file);
+
+            folder.file(path, this.getEntryContent(file), {
+                unixPermissions: this.isExecutable(file, path) ? 0o755 : 0o644
+            });
+        });
+    }
+
+    /**
+     * Create a gzipped tarball (ustar) with POSIX modes, under a root folder
+     * @param {Array} files - Files to package
+     * @param {Object} options - Same options as createProjectZip (compression is always gzip)
+     * @returns {Promise<Blob>} .tar.gz archive
+     */
+    async createTarGz(files, options = {}) {
+        console.log('📦 Creating project tarball...');
+
+        const { projectName, entries } = this.collectEntries(files, { ...options, format: 'tar.gz' });
+        const encoder = new TextEncoder();
+        const mtime = Math.floor(Date.now() / 1000);
+        const chunks = [];
+
+        // Le cartelle vanno dichiarate prima dei file che contengono
+        const folders = new Set([projectName]);
+        entries.forEach(entry => {
+            const parts = entry.path.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                folders.add(`${projectName}/${parts.slice(0, i).join('/')}`);
+            }
+        });
+
+        folders.forEach(folder => {
+            chunks.push(...this.createTarEntry(`${folder}/`, new Uint8Array(0), { mode: 0o755, mtime, type: '5' }));
+        });
+
+        entries.forEach(entry => {
+            const data = typeof entry.content === 'string' ?
+                encoder.encode(entry.content) :
+                entry.content;
+            chunks.push(...this.createTarEntry(`${projectName}/${entry.path}`, data, {
+                mode: entry.executable ? 0o755 : 0o644,
+                mtime
+            }));
+        });
+
+        // Fine archivio: due blocchi vuoti
+        chunks.push(new Uint8Array(TAR_BLOCK_SIZE * 2));
+
+        const stream = new Blob(chunks).stream().pipeThrough(new CompressionStream('gzip'));
+        const gzipped = await new Response(stream).arrayBuffer();
+
+        return new Blob([gzipped], { type: ARCHIVE_FORMATS['tar.gz'].mimeType });
+    }
+
+    /**
+     * Header, padded data and (for long paths) a PAX record for one tar member
+     * @param {string} path - Member path
+     * @param {Uint8Array} data - Member content
+     * @param {Object} options - mode, mtime, type ('0' file, '5' folder)
+     * @returns {Array} Uint8Array chunks
+     */
+    createTarEntry(path, data, options) {
+        const chunks = [];
+        const { name, prefix } = this.splitTarPath(path);
+
+        if (name === null) {
+            // Path troppo lungo per ustar: record PAX con il path completo
+            const record = this.createPaxRecord('path', path);
+            chunks.push(this.createTarHeader('././@PaxHeader', '', record.length, { ...options, type: 'x' }));
+            chunks.push(this.padTarData(record));
+        }
+
+        chunks.push(this.createTarHeader(name ?? path.slice(-100), prefix, data.length, options));
+
+        if (data.length > 0) {
+            chunks.push(this.padTarData(data));
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Build a 512-byte ustar header
+     * @param {string} name - Name field (max 100 bytes)
+     * @param {string} prefix - Prefix field (max 155 bytes)
+     * @param {number} size - Content size in bytes
+     * @param {Object} options - mode, mtime, type
+     * @returns {Uint8Array} Header block
+     */
+    createTarHeader(name, prefix, size, options) {
+        const header = new Uint8Array(TAR_BLOCK_SIZE);
+        const encoder = new TextEncoder();
+        const write = (value, offset, length) => {
+            header.set(encoder.encode(value).subarray(0, length), offset);
+        };
+        const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+        write(name, 0, 100);
+        write(octal(options.mode, 8), 100, 8);
+        write(octal(0, 8), 108, 8);
+        write(octal(0, 8), 116, 8);
+        write(octal(size, 12), 124, 12);
+        write(octal(options.mtime, 12), 136, 12);
+        write('        ', 148, 8);
+        write(options.type || '0', 156, 1);
+        write('ustar\0', 257, 6);
+        write('00', 263, 2);
+        write(prefix, 345, 155);
+
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+        return header;
+    }
+
+    /**
+     * Split a path into the ustar name/prefix fields
+     * @param {string} path - Member path
+     * @returns {Object} { name, prefix } (name null if it does not fit)
+     */
+    splitTarPath(path) {
+        const byteLength = value => new TextEncoder().encode(value).length;
+
+        if (byteLength(path) <= 100) {
+            return { name: path, prefix: '' };
+        }
+
+        // Il separatore finale delle cartelle resta nel nome
+        const trimmed = path.endsWith('/') ? path.slice(0, -1) : path;
+        const suffix = path.endsWith('/') ? '/' : '';
+
+        for (let index = trimmed.indexOf('/'); index !== -1; index = trimmed.indexOf('/', index + 1)) {
+            const prefix = trimmed.slice(0, index);
+            const name = trimmed.slice(index + 1) + suffix;
+
+            if (byteLength(prefix) <= 155 && byteLength(name) <= 100) {
+                return { name, prefix };
+            }
+        }
+
+        return { name: null, prefix: '' };
+    }
+
+    /**
+     * PAX extended header record ("<length> <key>=<value>\n", length includes itself)
+     * @param {string} key - Record key
+     * @param {string} value - Record value
+     * @returns {Uint8Array} Record bytes
+     */
+    createPaxRecord(key, value) {
+        const body = new TextEncoder().encode(` ${key}=${value}\n`).length;
+        let length = body + String(body).length;
+
+        if (String(length).length !== String(body).length) {
+            length = body + String(length).length;
+        }
+
+        return new TextEncoder().encode(`${length} ${key}=${value}\n`);
+    }
+
+    /**
+     * Pad data to a whole number of tar blocks
+     * @param {Uint8Array} data - Raw data
+     * @returns {Uint8Array} Padded data
+     */
+    padTarData(data) {
+        const padded = new Uint8Array(Math.ceil(data.length / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE);
+        padded.set(data);
+        return padded;
+    }
+
+    /**
+     * Single-file text bundle in the numbered-header format read by CodeExtractor.extractFiles
+     * ("1. path/file.ext" followed by the content in a fenced block)
+     * @param {Array} files - Files to bundle
+     * @param {Object} options - projectName
+     * @returns {Blob} Text bundle
+     */
+    createBundle(files, options = {}) {
+        console.log('📦 Creating single-file bundle...');
+
+        const projectName = options.projectName || 'project';
+        const packagedFiles = this.getPackagedFiles(files)
+            .filter(file => this.getFilePath(file) !== CONFIG_FILE_NAME);
+
+        // Il contenuto binario non è rappresentabile nel formato testuale
+        const binaryFiles = packagedFiles.filter(file => Helpers.isBinaryFile(file));
+        if (binaryFiles.length > 0) {
+            console.warn('⚠️ Binary files left out of the bundle:', binaryFiles.map(file => this.getFilePath(file)));
+        }
+
+        const textFiles = packagedFiles.filter(file => !Helpers.isBinaryFile(file));
+        const sections = textFiles.map((file, index) => {
+            const path = this.getFilePath(file);
+            const language = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+            // Contenuto letterale: l'estrattore restituisce esattamente le righe del blocco
+            const content = file.content || '';
+
+            // Il blocco è più lungo di ogni sequenza di backtick nel contenuto, così
+            // l'estrattore ignora le intestazioni e i blocchi ``` interni al file
+            const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+            return `${index + 1}. ${path}\n${fence}${language}\n${content}\n${fence}`;
+        });
+
+        const bundle = [
+            `# ${projectName}`,
+            `# ${textFiles.length} file - Universal Project Builder (${new Date().toISOString()})`,
+            '',
+            sections.join('\n\n'),
+            ''
+        ].join('\n');
+
+        return new Blob([bundle], { type: ARCHIVE_FORMATS.bundle.mimeType });
+    }
+
+    /**
+     * Archive entries (project files, config and manifest) with paths relative to the root folder
+     * @param {Array} files - Files to package
+     * @param {Object} options - Packaging options
+     * @returns {Object} { projectName, entries: [{ path, content, executable }] }
+     */
+    collectEntries(files, options) {
+        const projectName = options.projectName || 'project';
+        const includeConfig = options.includeConfig !== false;
+
+        const packagedFiles = this.getPackagedFiles(files).filter(file =>
+            includeConfig || this.getFilePath(file) !== CONFIG_FILE_NAME
+        );
+
+        const entries = packagedFiles.map(file => {
+            const path = this.getFilePath(file);
+            return {
+                path,
+                content: this.getEntryContent(file),
+                executable: this.isExecutable(file, path)
+            };
+        });
+
+        if (includeConfig && options.config && !entries.some(entry => entry.path === CONFIG_FILE_NAME)) {
+            entries.push({ path: CONFIG_FILE_NAME, content: JSON.stringify(options.config, null, 2), executable: false });
+        }
+
+        if (options.manifest !== false) {
+            const manifest = this.createManifest(packagedFiles, { ...options, projectName, includeConfig });
+            entries.push({ path: MANIFEST_FILE_NAME, content: JSON.stringify(manifest, null, 2), executable: false });
+        }
+
+        return { projectName, entries };
+    }
+
+    /**
+     * Files that belong in the archive, without merge/split sources
+     * @param {Array} files - Candidate files
+     * @returns {Array} Files to package
+     */
+    getPackagedFiles(files) {
+        return files.filter(file => !SKIPPED_STATUSES.includes(file.status) && this.getFilePath(file));
+    }
+
+    /**
+     * Check whether a file needs the executable bit
+     * @param {Object} file - File object
+     * @param {string} path - Path inside the archive
+     * @returns {boolean} Executable
+     */
+    isExecutable(file, path) {
+        if (typeof file.executable === 'boolean') return file.executable;
+
+        const fileName = path.split('/').pop();
+        return EXECUTABLE_FILES.some(pattern => pattern.test(fileName)) ||
+            (typeof file.content === 'string' && file.content.startsWith('#!'));
+    }
+
+    /**
+     * Unpack a ZIP archive into file objects that keep the archive's folder structure
+     * Binary entries (by extension, or not valid UTF-8) are kept intact as base64 (binary: true, encoding: 'base64')
+     * Size limits are enforced while decompressing, so an archive that expands far beyond
+     * its size (zip bomb) is never held in memory
+     * @param {Blob|ArrayBuffer} data - ZIP archive
+     * @param {Object} options - archiveName, maxFileSize, maxTotalSize (bytes), maxFiles,
+     *   usedSize and usedFiles (already taken by other files of the same upload)
+     * @returns {Promise<Object>} { files, skipped: [{ path, reason }] }
+     */
+    async readProjectZip(data, options = {}) {
+        console.log('📦 Reading ZIP archive...');
+
+        const {
+            archiveName = 'archive.zip',
+            maxFileSize = Constants.MAX_FILE_SIZE,
+            maxTotalSize = Constants.MAX_PROJECT_SIZE,
+            maxFiles = Constants.MAX_FILES_COUNT,
+            usedSize = 0,
+            usedFiles = 0
+        } = options;
+
+        const zip = await JSZip.loadAsync(data);
+        const files = [];
+        const skipped = [];
+        let totalSize = usedSize;
+
+        for (const entry of Object.values(zip.files)) {
+            // getFilePath scarta "." e "..": nessuna voce può uscire dalla radice
+            const path = this.getFilePath({ currentPath: entry.name });
+
+            if (entry.dir || !path || this.isIgnoredPath(path)) {
+                continue;
+            }
+
+            if (usedFiles + files.length >= maxFiles) {
+                skipped.push({ path, reason: `oltre il limite di ${maxFiles} file` });
+                continue;
+            }
+
+            const fileLimitReason = `supera ${Helpers.formatFileSize(maxFileSize)}`;
+            const totalLimitReason = `oltre ${Helpers.formatFileSize(maxTotalSize)} totali`;
+
+            if (totalSize >= maxTotalSize) {
+                skipped.push({ path, reason: totalLimitReason });
+                continue;
+            }
+
+            // Le dimensioni dichiarate possono mentire: il limite vale durante la decompressione
+            const limit = Math.min(maxFileSize, maxTotalSize - totalSize);
+            const bytes = await this.readEntryBytes(entry, limit);
+
+            if (bytes === null) {
+                skipped.push({ path, reason: limit === maxFileSize ? fileLimitReason : totalLimitReason });
+                continue;
+            }
+
+            totalSize += bytes.length;
+
+            const text = Helpers.isBinaryFileName(path) ? null : this.decodeText(bytes);
+            const extra = {
+                originalPath: path,
+                size: bytes.length,
+                generated: false,
+                uploaded: true,
+                archive: archiveName,
+                lastModified: entry.date ? entry.date.getTime() : undefined,
+                ...(entry.unixPermissions && { executable: (entry.unixPermissions & 0o111) !== 0 })
+            };
+
+            files.push(text === null ?
+                Helpers.createProjectFile(path, Helpers.bytesToBase64(bytes), {
+                    ...extra,
+                    lines: 0,
+                    binary: true,
+                    encoding: 'base64'
+                }) :
+                Helpers.createProjectFile(path, text, extra)
+            );
+        }
+
+        console.log(`✅ ZIP read: ${files.length} files, ${skipped.length} skipped`);
+        return { files, skipped };
+    }
+
+    /**
+     * Decompress a ZIP entry, stopping as soon as it grows past the limit
+     * @param {Object} entry - JSZip entry
+     * @param {number} limit - Maximum uncompressed size in bytes
+     * @returns {Promise<Uint8Array|null>} Bytes, or null when the entry exceeds the limit
+     */
+    readEntryBytes(entry, limit) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let length = 0;
+
+            const stream = entry.internalStream('uint8array')
+                .on('data', chunk => {
+                    length += chunk.length;
+
+                    if (length > limit) {
+                        // Il worker in pausa non produce altri dati e viene raccolto dal GC
+                        stream.pause();
+                        resolve(null);
+                        return;
+                    }
+
+                    chunks.push(chunk);
+                })
+                .on('error', reject)
+                .on('end', () => {
+                    const bytes = new Uint8Array(length);
+                    let offset = 0;
+
+                    chunks.forEach(chunk => {
+                        bytes.set(chunk, offset);
+                        offset += chunk.length;
+                    });
+
+                    resolve(bytes);
+                });
+
+            stream.resume();
+        });
+    }
+
+    /**
+     * Check whether an archive path is junk (Constants.IGNORED_FOLDERS / IGNORED_FILES)
+     * @param {string} path - Normalized path
+     * @returns {boolean} Ignored
+     */
+    isIgnoredPath(path) {
+        const segments = path.split('/');
+        const fileName = segments.pop();
+
+        return Constants.IGNORED_FILES.includes(fileName) ||
+            segments.some(segment => Constants.IGNORED_FOLDERS.includes(segment));
+    }
+
+    /**
+     * Decode bytes as UTF-8 text
+     * @param {Uint8Array} bytes - Raw bytes
+     * @returns {string|null} Text, or null for binary data (NUL bytes or invalid UTF-8)
+     */
+    decodeText(bytes) {
+        if (bytes.includes(0)) return null;
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Content to write for a file: bytes for binary files, text otherwise
+     * @param {Object} file - File object
+     * @returns {string|Uint8Array} Entry content
+     */
+    getEntryContent(file) {
+        return Helpers.isBinaryFile(file) ? Helpers.getContentBytes(file) : (file.content ?? '');
+    }
+
+    /**
+     * Describe what was packaged
+     * @param {Array} files - Packaged files
+     * @param {Object} options - Packaging options
+     * @returns {Object} Manifest
+     */
+    createManifest(files, options) {
+        const metadata = options.metadata || {};
+
+        return {
+            projectName: options.projectName,
+            type: metadata.type || 'generic',
+            createdAt: new Date().toISOString(),
+            generator: 'Universal Project Builder',
+            format: options.format || 'zip',
+            compression: options.format === 'tar.gz' ? 'gzip' :
+                (COMPRESSION_LEVELS[options.compression] ? options.compression : 'medium'),
+            includeConfig: options.includeConfig && Boolean(options.config),
+            totalFiles: files.length,
+            totalSize: files.reduce((sum, file) => sum + (file.size ?? Helpers.getContentBytes(file).length), 0),
+            files: files.map(file => ({
+                path: this.getFilePath(file),
+                size: file.size ?? Helpers.getContentBytes(file).length,
+                lines: file.lines,
+                generated: Boolean(file.generated),
+                ...(Helpers.isBinaryFile(file) && { binary: true })
+            })),
+            ...(metadata.report && {
+                conflicts: metadata.report.conflicts || [],
+                warnings: metadata.report.warnings || []
+            })
+        };
+    }
+
+    /**
+     * JSZip settings for a compression level (unknown levels fall back to medium)
+     * @param {string} level - none, low, medium or high
+     * @returns {Object} generateAsync options
+     */
+    getCompressionSettings(level) {
+        return COMPRESSION_LEVELS[level] || COMPRESSION_LEVELS.medium;
+    }
+
+    /**
+     * Path of a file inside the project: currentPath, else folderPath + fileName
+     * Separators are normalized and "." / ".." segments dropped so nothing escapes the root folder
+     * @param {Object} file - File object
+     * @returns {string} Relative path
+     */
+    getFilePath(file) {
+        const fileName = file.fileName || file.name || '';
+        const rawPath = file.currentPath ||
+            (file.folderPath ? `${file.folderPath}/${fileName}` : fileName);
+
+        return rawPath
+            .replace(/\\/g, '/')
+            .split('/')
+            .filter(segment => segment && segment !== '.' && segment !== '..')
+            .join('/');
+    }
+}
+
+export default ZipBuilder;
@@ -18,10 +18,35 @@ export const Constants = {
         'properties', 'sql'
     ],
     
+    // Read and packaged byte-for-byte (content kept as base64)
+    BINARY_FILE_EXTENSIONS: [
+        'png', 'jpg', 'jpeg', 'gif', 'webp', 'ico', 'bmp',
+        'ttf', 'otf', 'woff', 'woff2', 'eot',
+        'jar', 'aar', 'so', 'keystore', 'jks',
+        'pdf', 'mp3', 'wav', 'ogg', 'mp4', 'webm',
+        'zip', 'gz', 'db', 'sqlite'
+    ],
+    
     MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
     MAX_FILES_COUNT: 100,
     MAX_PROJECT_SIZE: 50 * 1024 * 1024, // 50MB
     
+    // Skipped when reading folders and archives (dependencies, VCS data, build output)
+    IGNORED_FOLDERS: [
+        'node_modules', '.git', '.svn', '.hg',
+        'build', 'dist', 'out', 'coverage', '.gradle',
+        '.idea', '.vscode', '__pycache__', '.venv', 'venv',
+        '.next', '.angular', '__MACOSX'
+    ],
+    IGNORED_FILES: ['.DS_Store', 'Thumbs.db', 'desktop.ini'],
+    
+    // File names that are complete without an extension
+    EXTENSIONLESS_FILE_NAMES: [
+        'Dockerfile', 'Containerfile', 'Makefile', 'GNUmakefile', 'Jenkinsfile', 'Procfile',
+        'Gemfile', 'Rakefile', 'Vagrantfile', 'Brewfile', 'gradlew', 'mvnw',
+        'LICENSE', 'README', 'CHANGELOG', 'NOTICE', 'AUTHORS', 'CODEOWNERS'
+    ],
+    
     // Project configuration
     DEFAULT_GRADLE_VERSION: '8.1.1',
     DEFAULT_KOTLIN_VERSION: '1.9.0',
@@ -65,21 +90,6 @@ export const Constants = {
         'sql': '🗃️'
     },
     
-    // Language detection patterns
-    LANGUAGE_PATTERNS: {
-        kotlin: /(?:package\s+|class\s+\w+|fun\s+)/,
-        java: /(?:package\s+.*?;|public\s+class\s+|import\s+)/,
-        javascript: /(?:function\s+|const\s+|let\s+|var\s+|=>\s*)/,
-        typescript: /(?:interface\s+|type\s+\w+\s*=|import.*from)/,
-        html: /(?:<!DOCTYPE|<html|<head|<body)/i,
-        css: /(?:\.[\w-]+\s*{|@media|@import)/,
-        json: /^\s*[{\[]/,
-        xml: /^\s*<\?xml|<[\w-]+[\s>]/,
-        python: /(?:def\s+|import\s+|from\s+.*import|class\s+)/,
-        php: /<\?php|namespace\s+|class\s+\w+/,
-        sql: /(?:SELECT|INSERT|UPDATE|DELETE|CREATE|ALTER)\s+/i
-    },
-    
     // Project types
     PROJECT_TYPES: {
         ANDROID: 'android',
@@ -50,6 +50,112 @@ export const Helpers = {
             fileName.split('.').pop().toLowerCase() : '';
     },
     
+    /**
+     * Create a project file object for a relative path
+     * @param {string} path - Path relative to the project root
+     * @param {string|ArrayBuffer} content - File content (text, base64 or bytes)
+     * @param {Object} extra - Additional properties to merge in (encoding: 'base64' for base64 content)
+     * @returns {Object} File object
+     */
+    createProjectFile(path, content, extra = {}) {
+        const separatorIndex = path.lastIndexOf('/');
+        const fileName = path.substring(separatorIndex + 1);
+        const isText = typeof content === 'string' && extra.encoding !== 'base64';
+        
+        return {
+            id: this.generateId(),
+            fileName: fileName,
+            currentPath: path,
+            folderPath: separatorIndex > 0 ? path.substring(0, separatorIndex) : '',
+            extension: this.getFileExtension(fileName),
+            content: content,
+            size: isText ? new Blob([content]).size : this.getContentBytes({ content, encoding: extra.encoding }).length,
+            lines: isText ? content.split('\n').length : 0,
+            encoding: typeof content === 'string' ? 'utf-8' : 'binary',
+            generated: true,
+            created: new Date().toISOString(),
+            ...extra
+        };
+    },
+    
+    /**
+     * Check whether a file name has a binary extension (Constants.BINARY_FILE_EXTENSIONS)
+     * @param {string} fileName - File name
+     * @returns {boolean} Binary file type
+     */
+    isBinaryFileName(fileName) {
+        return Constants.BINARY_FILE_EXTENSIONS.includes(this.getFileExtension(fileName));
+    },
+    
+    /**
+     * Check whether a file object holds binary content
+     * Binary content is a base64 string (encoding 'base64') or an ArrayBuffer/typed array (encoding 'binary')
+     * @param {Object} file - File object
+     * @returns {boolean} Binary content
+     */
+    isBinaryFile(file) {
+        return file.encoding === 'base64' || file.encoding === 'binary' || file.binary === true ||
+            file.content instanceof ArrayBuffer || ArrayBuffer.isView(file.content);
+    },
+    
+    /**
+     * Fields that keep a binary file intact when it is copied to a new path
+     * @param {Object} file - Source file
+     * @returns {Object} Extra properties for createProjectFile (empty for text files)
+     */
+    getBinaryFields(file) {
+        if (!this.isBinaryFile(file)) return {};
+        
+        return {
+            encoding: typeof file.content === 'string' ? 'base64' : 'binary',
+            binary: true,
+            size: file.size ?? this.getContentBytes(file).length,
+            lines: 0
+        };
+    },
+    
+    /**
+     * Content of a file as bytes, whatever its encoding
+     * @param {Object} file - File object
+     * @returns {Uint8Array} Bytes
+     */
+    getContentBytes(file) {
+        const content = file.content ?? '';
+        
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        if (ArrayBuffer.isView(content)) return new Uint8Array(content.buffer, content.byteOffset, content.byteLength);
+        if (file.encoding === 'base64') return this.base64ToBytes(content);
+        
+        return new TextEncoder().encode(content);
+    },
+    
+    /**
+     * Encode bytes as base64
+     * @param {ArrayBuffer|Uint8Array} data - Bytes
+     * @returns {string} Base64 string
+     */
+    bytesToBase64(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const chunkSize = 0x8000;
+        let binary = '';
+        
+        // A blocchi: String.fromCharCode non accetta troppi argomenti
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+        
+        return btoa(binary);
+    },
+    
+    /**
+     * Decode a base64 string to bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Bytes
+     */
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    },
+    
     /**
      * Get file icon based on extension
      * @param {string} extension - File extension
@@ -147,14 +253,17 @@ export const Helpers = {
     },
     
     /**
-     * Escape HTML entities
-     * @param {string} text - Text to escape
+     * Escape HTML entities, quotes included so the result is safe inside attribute values
+     * @param {*} text - Text to escape
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     },
     
     /**
@@ -321,7 +430,7 @@ export const Helpers = {
         
         // Check extension
         const extension = this.getFileExtension(file.name);
-        if (!Constants.SUPPORTED_FILE_EXTENSIONS.includes(extension)) {
+        if (!Constants.SUPPORTED_FILE_EXTENSIONS.includes(extension) && !this.isBinaryFileName(file.name)) {
             errors.push(Constants.ERROR_MESSAGES.INVALID_FILE_TYPE);
         }
         
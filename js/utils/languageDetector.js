@@ -0,0 +1,476 @@
+/**
+ * Language Detector Module
+ * Scores file content against weighted signals per language
+ */
+
+// Minimum score for a language to be reported at all
+const MIN_SCORE = 3;
+
+// Weight of a file extension or well-known file name
+const FILE_NAME_WEIGHT = 10;
+
+// Weight of a matching shebang line
+const SHEBANG_WEIGHT = 10;
+
+/**
+ * Signals are { pattern, weight } (regex test) or { test, weight } (function of the content).
+ * Each signal counts once, however many times it matches.
+ */
+const LANGUAGES = {
+    kotlin: {
+        extension: 'kt',
+        extensions: ['kt', 'kts'],
+        aliases: ['kotlin'],
+        signals: [
+            { pattern: /\bfun\s+(<[^>]*>\s*)?[\w.]+\s*\(/, weight: 5 },
+            { pattern: /\boverride\s+fun\b|\bsuspend\s+fun\b/, weight: 4 },
+            { pattern: /\bdata\s+class\b|\bcompanion\s+object\b|\bsealed\s+class\b|^\s*object\s+\w+/m, weight: 4 },
+            { pattern: /\b(val|var)\s+\w+\s*(:\s*[\w<>?,. ]+)?\s*(=|by\b)/, weight: 3 },
+            { pattern: /^\s*package\s+[\w.]+\s*$/m, weight: 2 },
+            { pattern: /^\s*import\s+[\w.]+(\.\*)?\s*$/m, weight: 1 },
+            { pattern: /\bclass\s+\w+\s*(\([^)]*\))?\s*:\s*\w+/, weight: 3 },
+            { pattern: /\?\.\w+|!!\.|\bwhen\s*(\([^)]*\))?\s*\{/, weight: 2 }
+        ]
+    },
+    java: {
+        extension: 'java',
+        extensions: ['java'],
+        aliases: ['java'],
+        signals: [
+            { pattern: /^\s*package\s+[\w.]+\s*;/m, weight: 4 },
+            { pattern: /^\s*import\s+(static\s+)?[\w.]+(\.\*)?\s*;/m, weight: 3 },
+            { pattern: /\b(public|private|protected)\s+(static\s+)?(final\s+)?(abstract\s+)?(class|interface|enum)\s+\w+/, weight: 4 },
+            { pattern: /\b(public|private|protected)\s+(static\s+)?(final\s+)?[\w<>[\], ]+\s+\w+\s*\([^)]*\)\s*(throws\s+[\w, ]+)?\s*\{/, weight: 4 },
+            { pattern: /System\.out\.print|@Override\s+(public|protected)/, weight: 4 },
+            { pattern: /\bString\[\]\s+\w+|\bnew\s+\w+(<[^>]*>)?\[\]/, weight: 3 }
+        ]
+    },
+    javascript: {
+        extension: 'js',
+        extensions: ['js', 'mjs', 'cjs', 'jsx'],
+        aliases: ['javascript', 'node'],
+        signals: [
+            { pattern: /\b(const|let)\s+[\w{}[\], ]+\s*=/, weight: 2 },
+            { pattern: /\bfunction\s*\*?\s*\w*\s*\([^)]*\)\s*\{/, weight: 3 },
+            { pattern: /=>\s*[{(\w'"`]/, weight: 2 },
+            { pattern: /\brequire\s*\(\s*['"]|\bmodule\.exports\b|\bexport\s+(default|const|function|class)\b|^\s*import\s+.+\s+from\s+['"]/m, weight: 3 },
+            { pattern: /\bconsole\.\w+\s*\(|\bdocument\.\w+|\bwindow\.\w+|\baddEventListener\s*\(/, weight: 3 },
+            { pattern: /===|!==/, weight: 1 }
+        ]
+    },
+    typescript: {
+        extension: 'ts',
+        extensions: ['ts', 'tsx', 'mts', 'cts'],
+        aliases: ['typescript'],
+        signals: [
+            { pattern: /\binterface\s+\w+(<[^>]*>)?\s*(extends\s+[\w<>, ]+)?\s*\{/, weight: 3 },
+            { pattern: /^\s*(export\s+)?type\s+\w+(<[^>]*>)?\s*=/m, weight: 4 },
+            { pattern: /[\w)]\s*:\s*(string|number|boolean|any|void|unknown|never)(\[\])?\s*[,;=)|{]/, weight: 5 },
+            { pattern: /\b(const|let)\s+\w+\s*:\s*[\w<>[\]|. ]+\s*=/, weight: 4 },
+            { pattern: /^\s*import\s+.+\s+from\s+['"]|\bexport\s+(default|const|function|class|interface)\b/m, weight: 2 },
+            { pattern: /\b(private|public|protected|readonly)\s+\w+\s*[:?]|\bas\s+const\b|\benum\s+\w+\s*\{/, weight: 2 },
+            { pattern: /=>\s*[{(\w'"`]|\bconsole\.\w+\s*\(/, weight: 1 }
+        ]
+    },
+    python: {
+        extension: 'py',
+        extensions: ['py', 'pyw'],
+        aliases: ['python', 'py3'],
+        signals: [
+            { pattern: /^\s*(async\s+)?def\s+\w+\s*\(.*\)\s*(->\s*[^:]+)?:\s*(#.*)?$/m, weight: 6 },
+            { pattern: /^\s*class\s+\w+(\([^)]*\))?:\s*(#.*)?$/m, weight: 5 },
+            { pattern: /^\s*(from\s+[\w.]+\s+import\s+[\w*, ()]+|import\s+[\w.]+(\s+as\s+\w+)?(\s*,\s*[\w.]+)*)\s*$/m, weight: 2 },
+            { pattern: /\bself\.\w+|\(\s*self\s*[,)]/, weight: 3 },
+            { pattern: /^\s*(elif\s+.+|else|try|except(\s+.+)?|finally|with\s+.+|for\s+.+\s+in\s+.+|while\s+.+|if\s+.+):\s*(#.*)?$/m, weight: 3 },
+            { pattern: /__name__\s*==\s*['"]__main__['"]|\bprint\s*\(|\bNone\b|\bTrue\b|\bFalse\b/, weight: 2 }
+        ]
+    },
+    php: {
+        extension: 'php',
+        extensions: ['php'],
+        aliases: ['php'],
+        signals: [
+            { pattern: /<\?php/, weight: 10 },
+            { pattern: /^\s*\$\w+\s*=/m, weight: 3 },
+            { pattern: /\bfunction\s+\w+\s*\([^)]*\$\w+/, weight: 3 },
+            { pattern: /^\s*namespace\s+[\w\\]+\s*;|^\s*use\s+[\w\\]+\s*;/m, weight: 4 },
+            { pattern: /\becho\s+['"$]|\$this->\w+/, weight: 3 }
+        ]
+    },
+    swift: {
+        extension: 'swift',
+        extensions: ['swift'],
+        aliases: ['swift'],
+        signals: [
+            { pattern: /^\s*import\s+(UIKit|SwiftUI|Foundation|Combine|XCTest)\s*$/m, weight: 8 },
+            { pattern: /\bfunc\s+\w+\s*(<[^>]*>)?\s*\(/, weight: 5 },
+            { pattern: /\bguard\s+let\b|\bif\s+let\b|\bguard\s+.+\belse\s*\{/, weight: 5 },
+            { pattern: /@(State|Published|Binding|ObservedObject|objc|IBOutlet|IBAction|main)\b/, weight: 4 },
+            { pattern: /\b(struct|class|enum)\s+\w+\s*:\s*[\w, ]+\{|\bprotocol\s+\w+/, weight: 3 },
+            { pattern: /\b(let|var)\s+\w+\s*:\s*[\w[\]?<>]+\s*=/, weight: 1 }
+        ]
+    },
+    go: {
+        extension: 'go',
+        extensions: ['go'],
+        aliases: ['go', 'golang'],
+        signals: [
+            { pattern: /^package\s+\w+\s*$/m, weight: 3 },
+            { pattern: /^func\s+(\(\w+\s+\*?[\w.]+\)\s*)?\w+\s*\(/m, weight: 6 },
+            { pattern: /^import\s+(\(|"[\w./-]+")/m, weight: 5 },
+            { pattern: /\w\s*:=\s*/, weight: 3 },
+            { pattern: /\bfmt\.\w+\(|\bgo\s+func\b|\bchan\s+\w+|\bdefer\s+\w+/, weight: 4 },
+            { pattern: /\berr\s*!=\s*nil\b/, weight: 5 }
+        ]
+    },
+    rust: {
+        extension: 'rs',
+        extensions: ['rs'],
+        aliases: ['rust'],
+        signals: [
+            { pattern: /\bfn\s+\w+\s*(<[^>]*>)?\s*\(/, weight: 5 },
+            { pattern: /\blet\s+mut\s+\w+/, weight: 5 },
+            { pattern: /^\s*(pub\s+)?(impl|trait)\b/m, weight: 4 },
+            { pattern: /^\s*use\s+[\w:]+(::\{[^}]*\}|::\*)?\s*;/m, weight: 4 },
+            { pattern: /\b(println|format|vec|panic|assert_eq)!\s*[([]/, weight: 4 },
+            { pattern: /\bpub\s+(fn|struct|enum|mod|crate)\b|#\[(derive|cfg|test)\b/, weight: 5 },
+            { pattern: /->\s*(Self|Result|Option|Vec|[a-z0-9]+)\b/, weight: 1 }
+        ]
+    },
+    c: {
+        extension: 'c',
+        extensions: ['c', 'h'],
+        aliases: ['c'],
+        signals: [
+            { pattern: /^\s*#include\s*<(stdio|stdlib|string|math|unistd|stdint|stdbool|errno|time)\.h>/m, weight: 6 },
+            { pattern: /^\s*#include\s*[<"][\w./]+\.h[>"]/m, weight: 2 },
+            { pattern: /\bint\s+main\s*\(/, weight: 3 },
+            { pattern: /\b(printf|fprintf|malloc|calloc|free|memcpy|strcmp)\s*\(/, weight: 3 },
+            { pattern: /^\s*#(define|ifndef|ifdef|endif)\b/m, weight: 2 },
+            { pattern: /\btypedef\s+struct\b/, weight: 3 }
+        ]
+    },
+    cpp: {
+        extension: 'cpp',
+        extensions: ['cpp', 'cc', 'cxx', 'hpp', 'hh', 'hxx'],
+        aliases: ['cpp', 'c++'],
+        signals: [
+            { pattern: /^\s*#include\s*<(iostream|vector|string|map|memory|algorithm|unordered_map|sstream|fstream)>/m, weight: 7 },
+            { pattern: /\bstd::\w+/, weight: 5 },
+            { pattern: /\busing\s+namespace\s+\w+\s*;|\bnamespace\s+\w+\s*\{/, weight: 4 },
+            { pattern: /\btemplate\s*<|\b(cout|cerr)\s*<<|\bnullptr\b|\bauto\s+\w+\s*=/, weight: 4 },
+            { pattern: /\bclass\s+\w+\s*(:\s*(public|private|protected)\s+\w+)?\s*\{/, weight: 1 },
+            { pattern: /^\s*#include\s*[<"]/m, weight: 2 }
+        ]
+    },
+    shell: {
+        extension: 'sh',
+        extensions: ['sh', 'bash', 'zsh'],
+        aliases: ['shell', 'sh', 'bash', 'zsh', 'console'],
+        signals: [
+            { pattern: /^\s*(if\s+\[\[?\s|fi\s*$|for\s+\w+\s+in\s+|done\s*$|case\s+.+\s+in\s*$|esac\s*$)/m, weight: 4 },
+            { pattern: /^\s*(echo|cd|mkdir|rm|cp|mv|chmod|sudo|apt-get|apt|brew|npm|npx|pip|git|curl|wget|export)\s/m, weight: 3 },
+            { pattern: /\$\{\w+[^}]*\}|\$\(\s*\w+|"\$\w+"/, weight: 2 },
+            { pattern: /2>&1|>\s*\/dev\/null|\bset\s+-[euxo]+\b/, weight: 2 }
+        ]
+    },
+    gradle: {
+        extension: 'gradle',
+        extensions: ['gradle'],
+        aliases: ['gradle', 'groovy'],
+        signals: [
+            { pattern: /\bapply\s+plugin:|\b(implementation|api|testImplementation|classpath)\s+['"]/, weight: 6 },
+            { pattern: /\b(compileSdk|minSdk|targetSdk)(Version)?\s+\d/, weight: 5 },
+            { pattern: /^\s*(android|dependencies|buildscript|repositories|plugins|defaultConfig|allprojects)\s*\{/m, weight: 4 },
+            { pattern: /\bid\s+['"][\w.-]+['"]/, weight: 3 }
+        ]
+    },
+    gradle_kts: {
+        extension: 'gradle.kts',
+        extensions: [],
+        aliases: ['gradle-kts', 'kts'],
+        signals: [
+            { pattern: /\b(implementation|api|testImplementation|androidTestImplementation|kapt|ksp|classpath)\s*\(\s*["a-z]/, weight: 6 },
+            { pattern: /\bid\s*\(\s*"[\w.-]+"\s*\)|\bkotlin\s*\(\s*"[\w.-]+"\s*\)/, weight: 6 },
+            { pattern: /\b(compileSdk|minSdk|targetSdk)\s*=\s*\d/, weight: 5 },
+            { pattern: /^\s*(android|dependencies|plugins|repositories|defaultConfig|kotlinOptions)\s*\{/m, weight: 4 },
+            { pattern: /\bnamespace\s*=\s*"|\bisMinifyEnabled\s*=/, weight: 4 }
+        ]
+    },
+    yaml: {
+        extension: 'yml',
+        extensions: ['yml', 'yaml'],
+        aliases: ['yaml', 'yml'],
+        signals: [
+            { test: content => LanguageDetector.getLineRatio(content, /^\s*(-\s+)?[\w.-]+:(\s+[^;{}]*)?$|^\s*-\s+\S|^\s*#/) > 0.6, weight: 6 },
+            { pattern: /^---\s*$/m, weight: 2 },
+            { pattern: /^\s*(apiVersion|kind|metadata|spec|jobs|steps|services|runs-on|uses|image|volumes):/m, weight: 3 },
+            { pattern: /:\s*[|>][-+]?\s*$/m, weight: 2 }
+        ]
+    },
+    markdown: {
+        extension: 'md',
+        extensions: ['md', 'markdown'],
+        aliases: ['markdown', 'md'],
+        // Headings and fences outweigh the key: value lines that make Markdown look like YAML
+        signals: [
+            { pattern: /^\s{0,3}(`{3,}|~{3,})/m, weight: 5 },
+            { pattern: /^#{1,6}\s+\S.*\n[ \t]*(\n|$)/m, weight: 4 },
+            { pattern: /^#{2,6}\s+\S/m, weight: 3 },
+            { pattern: /(^|\s)\[[^\]\n]+\]\([^)\s]+\)/m, weight: 3 },
+            { pattern: /\*\*\S[^*\n]*\*\*/, weight: 2 }
+        ]
+    },
+    html: {
+        extension: 'html',
+        extensions: ['html', 'htm'],
+        aliases: ['html', 'htm'],
+        signals: [
+            { pattern: /<!DOCTYPE\s+html/i, weight: 10 },
+            { pattern: /<(html|head|body)[\s>]/i, weight: 6 },
+            { pattern: /<(div|span|p|a|ul|li|script|link|meta|section|nav|button|form|input|h[1-6])\b[^>]*>/i, weight: 3 }
+        ]
+    },
+    css: {
+        extension: 'css',
+        extensions: ['css', 'scss', 'sass', 'less'],
+        aliases: ['css', 'scss', 'sass', 'less'],
+        signals: [
+            { pattern: /^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, weight: 2 },
+            { pattern: /^\s*([.#][\w-]+|[a-z]+)([\s,>+~]*[.#:]?[\w-]+)*\s*\{\s*$/m, weight: 2 },
+            // Whole rule on one line (a{color:red}, .btn { display: block; margin: 0 })
+            { pattern: /^\s*(\[[^\]\n]*\]|::?[\w-]+(\([^)\n]*\))?|[\w\s.#>+~,*-])+\{\s*[\w-]+\s*:\s*[^;{}\n]+(;\s*[\w-]+\s*:\s*[^;{}\n]+)*;?\s*\}\s*$/m, weight: 4 },
+            { pattern: /@media\b|@import\s+(url\(|['"])|@keyframes\b|@font-face\b/, weight: 5 },
+            { pattern: /:\s*(#[0-9a-f]{3,8}|-?\d+(\.\d+)?(px|em|rem|vh|vw|%))\b/i, weight: 4 }
+        ]
+    },
+    json: {
+        extension: 'json',
+        extensions: ['json'],
+        aliases: ['json', 'jsonc'],
+        signals: [
+            { test: content => LanguageDetector.isJson(content), weight: 12 },
+            { pattern: /^\s*[{[]\s*"[\w$@.-]+"\s*:/, weight: 3 }
+        ]
+    },
+    xml: {
+        extension: 'xml',
+        extensions: ['xml'],
+        aliases: ['xml', 'svg'],
+        signals: [
+            { pattern: /^\s*<\?xml/, weight: 10 },
+            { pattern: /\bxmlns(:\w+)?\s*=/, weight: 5 },
+            { pattern: /^\s*<(manifest|resources|LinearLayout|RelativeLayout|FrameLayout|project|configuration|androidx?\.[\w.]+)\b/m, weight: 5 },
+            { pattern: /<[\w]+:[\w]+|\b\w+:\w+\s*=\s*"/, weight: 2 }
+        ]
+    },
+    sql: {
+        extension: 'sql',
+        extensions: ['sql'],
+        aliases: ['sql', 'mysql', 'postgresql', 'sqlite'],
+        signals: [
+            { pattern: /^\s*(SELECT\s+[\w*,\s.()]+\s+FROM|INSERT\s+INTO|UPDATE\s+\w+\s+SET|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW|DATABASE)|ALTER\s+TABLE|DROP\s+TABLE)\b/im, weight: 7 },
+            { pattern: /\b(PRIMARY KEY|FOREIGN KEY|NOT NULL|VARCHAR|INTEGER|INNER JOIN|LEFT JOIN|GROUP BY|ORDER BY)\b/i, weight: 2 }
+        ]
+    }
+};
+
+// Well-known file names whose extension alone is misleading or missing
+const FILE_NAMES = {
+    'build.gradle.kts': 'gradle_kts',
+    'settings.gradle.kts': 'gradle_kts',
+    'gradlew': 'shell'
+};
+
+// Interpreters named in shebang lines
+const SHEBANGS = {
+    sh: 'shell', bash: 'shell', zsh: 'shell', dash: 'shell', ksh: 'shell',
+    python: 'python', python3: 'python', python2: 'python',
+    node: 'javascript', deno: 'typescript', 'ts-node': 'typescript',
+    php: 'php'
+};
+
+export const LanguageDetector = {
+    /**
+     * Score content (and optional file name) against every language
+     * @param {string} content - File content
+     * @param {string} fileName - Optional file name or path, used as a strong hint
+     * @returns {Object} { language, confidence, scores } - language null below the minimum score;
+     *   confidence between 0 and 1
+     */
+    detect(content, fileName = '') {
+        const text = content || '';
+        const scores = {};
+        
+        // An extension outside every language (.txt, .properties...) is not guessed from content
+        if (this.hasUnknownExtension(fileName)) {
+            return { language: null, confidence: 0, scores };
+        }
+        
+        Object.entries(LANGUAGES).forEach(([language, definition]) => {
+            scores[language] = definition.signals.reduce((score, signal) => {
+                const matches = signal.test ? signal.test(text) : signal.pattern.test(text);
+                return matches ? score + signal.weight : score;
+            }, 0);
+        });
+        
+        const fileNameLanguage = this.getLanguageForFileName(fileName);
+        if (fileNameLanguage) {
+            scores[fileNameLanguage] += FILE_NAME_WEIGHT;
+        }
+        
+        const shebangLanguage = this.getShebangLanguage(text);
+        if (shebangLanguage) {
+            scores[shebangLanguage] += SHEBANG_WEIGHT;
+        }
+        
+        const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        
+        if (!best || best[1] < MIN_SCORE) {
+            return { language: null, confidence: 0, scores };
+        }
+        
+        // Margin over the runner-up, damped for weak evidence
+        const margin = best[1] / (best[1] + (second ? second[1] : 0));
+        const strength = Math.min(1, best[1] / (2 * FILE_NAME_WEIGHT));
+        
+        return {
+            language: best[0],
+            confidence: Math.round(margin * strength * 100) / 100,
+            scores
+        };
+    },
+    
+    /**
+     * Detected language only
+     * @param {string} content - File content
+     * @param {string} fileName - Optional file name or path
+     * @returns {string|null} Language id
+     */
+    detectLanguage(content, fileName = '') {
+        return this.detect(content, fileName).language;
+    },
+    
+    /**
+     * Language implied by a file name or path
+     * @param {string} fileName - File name or path
+     * @returns {string|null} Language id
+     */
+    getLanguageForFileName(fileName) {
+        const name = (fileName || '').split(/[\\/]/).pop();
+        if (!name) return null;
+        
+        if (name in FILE_NAMES) return FILE_NAMES[name];
+        if (name.endsWith('.gradle.kts')) return 'gradle_kts';
+        
+        const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+        return this.getLanguageForExtension(extension);
+    },
+    
+    /**
+     * Whether a file name carries an extension that no language claims
+     * @param {string} fileName - File name or path
+     * @returns {boolean} Unknown extension
+     */
+    hasUnknownExtension(fileName) {
+        const name = (fileName || '').split(/[\\/]/).pop();
+        if (!name || !/\.[A-Za-z0-9]+$/.test(name) || name.startsWith('.') && name.indexOf('.', 1) === -1) {
+            return false;
+        }
+        
+        return this.getLanguageForFileName(name) === null;
+    },
+    
+    /**
+     * Language for a file extension
+     * @param {string} extension - Extension without dot
+     * @returns {string|null} Language id
+     */
+    getLanguageForExtension(extension) {
+        const entry = Object.entries(LANGUAGES).find(([, definition]) =>
+            definition.extensions.includes(extension));
+        return entry ? entry[0] : null;
+    },
+    
+    /**
+     * Resolve a Markdown fence info word or language alias (e.g. "ts", "c++", "golang")
+     * @param {string} alias - Alias, language id or extension
+     * @returns {string|null} Language id
+     */
+    resolveAlias(alias) {
+        const value = (alias || '').toLowerCase();
+        if (!value) return null;
+        if (LANGUAGES[value]) return value;
+        
+        const entry = Object.entries(LANGUAGES).find(([, definition]) =>
+            definition.aliases.includes(value));
+        return entry ? entry[0] : this.getLanguageForExtension(value);
+    },
+    
+    /**
+     * Default file extension for a language
+     * @param {string} language - Language id
+     * @returns {string|null} Extension without leading dot
+     */
+    getExtension(language) {
+        return LANGUAGES[language]?.extension || null;
+    },
+    
+    /**
+     * Supported language ids
+     * @returns {Array} Language ids
+     */
+    getSupportedLanguages() {
+        return Object.keys(LANGUAGES);
+    },
+    
+    /**
+     * Language named by a shebang on the first line
+     * @param {string} content - File content
+     * @returns {string|null} Language id
+     */
+    getShebangLanguage(content) {
+        const match = content.match(/^#!\s*(\S+)([^\n]*)/);
+        if (!match) return null;
+        
+        // "#!/usr/bin/env python3" names the interpreter after env (and its flags)
+        let interpreter = match[1].split('/').pop();
+        if (interpreter === 'env') {
+            interpreter = match[2].trim().split(/\s+/).find(token => !token.startsWith('-')) || '';
+        }
+        
+        return SHEBANGS[interpreter] || null;
+    },
+    
+    /**
+     * Share of non-empty lines matching a pattern
+     * @param {string} content - File content
+     * @param {RegExp} pattern - Line pattern
+     * @returns {number} Ratio between 0 and 1
+     */
+    getLineRatio(content, pattern) {
+        const lines = content.split('\n').filter(line => line.trim());
+        if (lines.length === 0) return 0;
+        
+        return lines.filter(line => pattern.test(line)).length / lines.length;
+    },
+    
+    /**
+     * Whether the content is a JSON object or array
+     * @param {string} content - File content
+     * @returns {boolean} Parses as JSON
+     */
+    isJson(content) {
+        const trimmed = content.trim();
+        if (!/^[{[]/.test(trimmed)) return false;
+        
+        try {
+            JSON.parse(trimmed);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+};
+
+export default LanguageDetector;
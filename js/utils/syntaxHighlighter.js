@@ -0,0 +1,342 @@
+/**
+ * Syntax Highlighter Module
+ * Turns source code into HTML with token spans for the languages LanguageDetector knows
+ */
+
+import { LanguageDetector } from './languageDetector.js';
+
+// Token rules shared by the C-like languages
+const C_COMMENTS = [
+    ['comment', /\/\/[^\n]*/],
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/]
+];
+const QUOTED_STRINGS = [
+    ['string', /"(?:[^"\\\n]|\\.)*"?/],
+    ['string', /'(?:[^'\\\n]|\\.)*'?/]
+];
+const NUMBER = ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/];
+const ANNOTATION = ['meta', /@[A-Za-z_][\w.]*/];
+
+/**
+ * Keyword list to a whole-word pattern
+ * @param {string} list - Space separated keywords
+ * @param {string} flags - Regex flags
+ * @returns {RegExp} Pattern
+ */
+const words = (list, flags = '') => new RegExp(`\\b(?:${list.trim().split(/\s+/).join('|')})\\b`, flags);
+
+const LITERALS = ['literal', words('true false null undefined nil None True False NaN Infinity')];
+
+/**
+ * Grammars are ordered [tokenClass, pattern] rules: at each position the earliest match wins,
+ * ties go to the rule listed first. Patterns must not contain capturing groups.
+ */
+const GRAMMARS = {
+    kotlin: [
+        ...C_COMMENTS,
+        ['string', /"""[\s\S]*?(?:"""|$)/],
+        ...QUOTED_STRINGS,
+        ANNOTATION,
+        ['keyword', words(`package import class interface object fun val var if else when for while do return break
+            continue try catch finally throw is in as by data sealed enum open abstract override private protected
+            public internal companion lateinit suspend inline this super typealias init constructor get set const`)],
+        LITERALS,
+        NUMBER
+    ],
+    java: [
+        ...C_COMMENTS,
+        ['string', /"""[\s\S]*?(?:"""|$)/],
+        ...QUOTED_STRINGS,
+        ANNOTATION,
+        ['keyword', words(`package import class interface enum record extends implements new if else switch case
+            default for while do return break continue try catch finally throw throws public private protected
+            static final abstract synchronized volatile transient native this super var void boolean byte char
+            short int long float double instanceof sealed permits yield`)],
+        LITERALS,
+        NUMBER
+    ],
+    javascript: [
+        ...C_COMMENTS,
+        ['string', /`(?:[^`\\]|\\[\s\S])*`?/],
+        ...QUOTED_STRINGS,
+        ['keyword', words(`import export from default as class extends new function return if else switch case
+            for while do break continue try catch finally throw const let var async await yield typeof instanceof
+            in of delete void this super static get set`)],
+        LITERALS,
+        NUMBER
+    ],
+    typescript: [
+        ...C_COMMENTS,
+        ['string', /`(?:[^`\\]|\\[\s\S])*`?/],
+        ...QUOTED_STRINGS,
+        ANNOTATION,
+        ['keyword', words(`import export from default as class extends implements interface type enum namespace
+            declare abstract readonly public private protected new function return if else switch case for while do
+            break continue try catch finally throw const let var async await yield typeof keyof instanceof in of
+            delete void this super static get set is infer satisfies`)],
+        ['type', words('string number boolean any unknown never object symbol bigint')],
+        LITERALS,
+        NUMBER
+    ],
+    python: [
+        ['comment', /#[^\n]*/],
+        ['string', /[rbfuRBFU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/],
+        ['string', /[rbfuRBFU]{0,2}(?:"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/],
+        ['meta', /@[A-Za-z_][\w.]*/],
+        ['keyword', words(`def class return if elif else for while break continue pass import from as try except
+            finally raise with lambda yield global nonlocal assert del in is not and or async await match case self`)],
+        LITERALS,
+        NUMBER
+    ],
+    php: [
+        ['meta', /<\?php|\?>/],
+        ...C_COMMENTS,
+        ['comment', /#[^\n]*/],
+        ...QUOTED_STRINGS,
+        ['variable', /\$[A-Za-z_]\w*/],
+        ['keyword', words(`namespace use class interface trait extends implements function fn return if else elseif
+            switch case default for foreach while do break continue try catch finally throw new echo print public
+            private protected static final abstract const as match readonly enum`, 'i')],
+        LITERALS,
+        NUMBER
+    ],
+    swift: [
+        ...C_COMMENTS,
+        ['string', /"""[\s\S]*?(?:"""|$)/],
+        ...QUOTED_STRINGS,
+        ANNOTATION,
+        ['keyword', words(`import class struct enum protocol extension func var let if else guard switch case default
+            for in while repeat return break continue throw throws try catch do init deinit self super public private
+            fileprivate internal open static override mutating async await some any where`)],
+        LITERALS,
+        NUMBER
+    ],
+    go: [
+        ...C_COMMENTS,
+        ['string', /`[^`]*`?/],
+        ...QUOTED_STRINGS,
+        ['keyword', words(`package import func var const type struct interface map chan if else switch case default
+            for range return break continue go defer select fallthrough goto`)],
+        LITERALS,
+        NUMBER
+    ],
+    rust: [
+        ...C_COMMENTS,
+        ['string', /"(?:[^"\\]|\\.)*"?/],
+        ['meta', /#!?\[[^\]\n]*\]?/],
+        ['keyword', words(`fn let mut const static struct enum trait impl for in if else match loop while return break
+            continue use mod pub crate self super as where move ref dyn async await unsafe extern type`)],
+        LITERALS,
+        NUMBER
+    ],
+    c: [
+        ...C_COMMENTS,
+        ...QUOTED_STRINGS,
+        ['meta', /^[ \t]*#[ \t]*\w+[^\n]*/m],
+        ['keyword', words(`if else switch case default for while do return break continue goto struct union enum
+            typedef sizeof static extern const volatile inline void char short int long float double signed unsigned`)],
+        LITERALS,
+        NUMBER
+    ],
+    cpp: [
+        ...C_COMMENTS,
+        ...QUOTED_STRINGS,
+        ['meta', /^[ \t]*#[ \t]*\w+[^\n]*/m],
+        ['keyword', words(`if else switch case default for while do return break continue struct union enum class
+            namespace using template typename public private protected virtual override const constexpr static auto
+            new delete this nullptr try catch throw sizeof void bool char short int long float double unsigned`)],
+        LITERALS,
+        NUMBER
+    ],
+    shell: [
+        ['comment', /#[^\n]*/],
+        ['string', /"(?:[^"\\]|\\[\s\S])*"?/],
+        ['string', /'[^']*'?/],
+        ['variable', /\$\{[^}\n]*\}?|\$[A-Za-z_]\w*|\$[0-9#?@*$!-]/],
+        ['keyword', words(`if then else elif fi for in do done while until case esac function return local export
+            set unset readonly shift exit source echo`)],
+        NUMBER
+    ],
+    gradle: [
+        ...C_COMMENTS,
+        ...QUOTED_STRINGS,
+        ['keyword', words(`plugins apply id dependencies repositories android defaultConfig buildTypes implementation
+            api testImplementation kapt def task include rootProject`)],
+        LITERALS,
+        NUMBER
+    ],
+    yaml: [
+        ['comment', /#[^\n]*/],
+        ['string', /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\n]|'')*'?/],
+        ['property', /[\w.$-]+(?=[ \t]*:(?:[ \t]|$))/m],
+        ['meta', /^---$|[&*][\w-]+/m],
+        ['literal', words('true false null yes no on off', 'i')],
+        NUMBER
+    ],
+    json: [
+        ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/],
+        ['string', /"(?:[^"\\\n]|\\.)*"?/],
+        ['literal', words('true false null')],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/],
+        ...QUOTED_STRINGS,
+        ['keyword', /@[\w-]+/],
+        ['property', /[\w-]+(?=\s*:[^{};]*[;}])/],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?/],
+        ['meta', /![\s]*important/]
+    ],
+    markup: [
+        ['comment', /<!--[\s\S]*?(?:-->|$)/],
+        ['meta', /<![^>]*>|<\?[\s\S]*?\?>/],
+        ['string', /<!\[CDATA\[[\s\S]*?(?:\]\]>|$)/],
+        ['tag', /<\/?[A-Za-z][\w:.-]*|\/?>/],
+        ['attribute', /[\w:.-]+(?==)/],
+        ['string', /"[^"]*"|'[^']*'/]
+    ],
+    sql: [
+        ['comment', /--[^\n]*/],
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/],
+        ['string', /'(?:[^']|'')*'?/],
+        ['keyword', words(`select from where insert into values update set delete create table drop alter add index
+            primary key foreign references join left right inner outer on group by order having limit offset as and
+            or not null is in like between distinct union all case when then else end default unique constraint`, 'i')],
+        NUMBER
+    ]
+};
+
+// Languages that reuse another grammar
+const GRAMMAR_ALIASES = {
+    gradle_kts: 'kotlin',
+    html: 'markup',
+    xml: 'markup'
+};
+
+export const SyntaxHighlighter = {
+    /**
+     * Highlight code as HTML: every token is a <span class="token {type}">, the rest is escaped text
+     * @param {string} code - Source code
+     * @param {string} language - Language id (unknown languages are only escaped)
+     * @returns {string} HTML
+     */
+    highlight(code, language) {
+        const grammar = this.getGrammar(language);
+        const text = code || '';
+        
+        if (!grammar) {
+            return this.escape(text);
+        }
+        
+        // Next match of each rule, reused while it is still ahead of the position
+        const upcoming = grammar.map(() => undefined);
+        let html = '';
+        let position = 0;
+        
+        while (position < text.length) {
+            const token = this.nextToken(text, position, grammar, upcoming);
+            
+            if (!token) {
+                html += this.escape(text.slice(position));
+                break;
+            }
+            
+            html += this.escape(text.slice(position, token.index));
+            html += this.wrapToken(token.type, token.value);
+            position = token.index + token.value.length;
+        }
+        
+        return html;
+    },
+    
+    /**
+     * Grammar for a language id, alias or file name
+     * @param {string} language - Language id, alias or extension
+     * @param {string} fileName - Optional file name used when the language is unknown
+     * @returns {Array|null} Compiled rules
+     */
+    getGrammar(language, fileName = '') {
+        const id = LanguageDetector.resolveAlias(language || '') ||
+            (fileName ? LanguageDetector.getLanguageForFileName(fileName) : null);
+        const name = GRAMMAR_ALIASES[id] || id;
+        
+        if (!name || !GRAMMARS[name]) {
+            return null;
+        }
+        
+        // Global copies so lastIndex can start each search at the current position
+        if (!this.compiled) {
+            this.compiled = {};
+        }
+        if (!this.compiled[name]) {
+            this.compiled[name] = GRAMMARS[name].map(([type, pattern]) => ({
+                type,
+                pattern: new RegExp(pattern.source, [...new Set(`${pattern.flags}g`)].join(''))
+            }));
+        }
+        
+        return this.compiled[name];
+    },
+    
+    /**
+     * Earliest token from a position; ties go to the first rule
+     * @param {string} text - Source code
+     * @param {number} position - Search start
+     * @param {Array} grammar - Compiled rules
+     * @param {Array} upcoming - Cached next match per rule (null once a rule has no more matches)
+     * @returns {Object|null} { type, value, index }
+     */
+    nextToken(text, position, grammar, upcoming) {
+        let best = null;
+        
+        grammar.forEach((rule, index) => {
+            if (upcoming[index] === undefined || (upcoming[index] && upcoming[index].index < position)) {
+                rule.pattern.lastIndex = position;
+                const match = rule.pattern.exec(text);
+                upcoming[index] = match && match[0] ? { type: rule.type, value: match[0], index: match.index } : null;
+            }
+            
+            const candidate = upcoming[index];
+            if (candidate && (!best || candidate.index < best.index)) {
+                best = candidate;
+            }
+        });
+        
+        return best;
+    },
+    
+    /**
+     * Wrap a token, one span per line so multi-line comments and strings keep line breaks intact
+     * @param {string} type - Token class
+     * @param {string} value - Token text
+     * @returns {string} HTML
+     */
+    wrapToken(type, value) {
+        return value.split('\n')
+            .map(part => part ? `<span class="token ${type}">${this.escape(part)}</span>` : '')
+            .join('\n');
+    },
+    
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+    
+    /**
+     * Language ids with a grammar
+     * @returns {Array} Language ids
+     */
+    getSupportedLanguages() {
+        return [...Object.keys(GRAMMARS).filter(name => name !== 'markup'), ...Object.keys(GRAMMAR_ALIASES)];
+    }
+};
+
+export default SyntaxHighlighter;
@@ -0,0 +1,201 @@
+/**
+ * Text Diff Module
+ * Line based diff (longest common subsequence) with unified and side-by-side layouts
+ */
+
+// Above this many LCS cells the changed block is reported as fully replaced
+const MAX_LCS_CELLS = 4000000;
+
+export const TextDiff = {
+    /**
+     * Compare two texts line by line
+     * @param {string} oldText - Original text
+     * @param {string} newText - New text
+     * @returns {Array} Entries {type: 'equal'|'removed'|'added', text, oldLine, newLine}
+     */
+    diffLines(oldText, newText) {
+        const oldLines = this.splitLines(oldText);
+        const newLines = this.splitLines(newText);
+        
+        // Common head and tail stay out of the LCS table
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+            start++;
+        }
+        
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+        
+        const entries = [];
+        const pushEqual = (oldIndex, newIndex) => entries.push({
+            type: 'equal', text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1
+        });
+        
+        for (let i = 0; i < start; i++) {
+            pushEqual(i, i);
+        }
+        
+        entries.push(...this.diffBlock(oldLines, newLines, start, oldEnd, start, newEnd));
+        
+        for (let i = 0; i < oldLines.length - oldEnd; i++) {
+            pushEqual(oldEnd + i, newEnd + i);
+        }
+        
+        return entries;
+    },
+    
+    /**
+     * Diff the changed middle block with an LCS table
+     * @param {Array} oldLines - Original lines
+     * @param {Array} newLines - New lines
+     * @param {number} oldStart - First original line of the block
+     * @param {number} oldEnd - End (exclusive) of the original block
+     * @param {number} newStart - First new line of the block
+     * @param {number} newEnd - End (exclusive) of the new block
+     * @returns {Array} Diff entries
+     */
+    diffBlock(oldLines, newLines, oldStart, oldEnd, newStart, newEnd) {
+        const rows = oldEnd - oldStart;
+        const columns = newEnd - newStart;
+        const entries = [];
+        
+        const removed = index => ({ type: 'removed', text: oldLines[index], oldLine: index + 1, newLine: null });
+        const added = index => ({ type: 'added', text: newLines[index], oldLine: null, newLine: index + 1 });
+        
+        if (rows * columns > MAX_LCS_CELLS) {
+            for (let i = oldStart; i < oldEnd; i++) entries.push(removed(i));
+            for (let j = newStart; j < newEnd; j++) entries.push(added(j));
+            return entries;
+        }
+        
+        // lengths[i][j] = LCS of old[i..] and new[j..]
+        const width = columns + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i * width + j] = oldLines[oldStart + i] === newLines[newStart + j] ?
+                    lengths[(i + 1) * width + j + 1] + 1 :
+                    Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < columns) {
+            if (oldLines[oldStart + i] === newLines[newStart + j]) {
+                entries.push({
+                    type: 'equal', text: oldLines[oldStart + i], oldLine: oldStart + i + 1, newLine: newStart + j + 1
+                });
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                entries.push(removed(oldStart + i++));
+            } else {
+                entries.push(added(newStart + j++));
+            }
+        }
+        
+        while (i < rows) entries.push(removed(oldStart + i++));
+        while (j < columns) entries.push(added(newStart + j++));
+        
+        return entries;
+    },
+    
+    /**
+     * Pair removed and added lines of the same change into side-by-side rows
+     * @param {Array} entries - Entries from diffLines
+     * @returns {Array} Rows {left, right}, either side null for a one-sided change
+     */
+    toSideBySide(entries) {
+        const rows = [];
+        let removed = [];
+        let added = [];
+        
+        const flush = () => {
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                rows.push({ left: removed[i] || null, right: added[i] || null });
+            }
+            removed = [];
+            added = [];
+        };
+        
+        entries.forEach(entry => {
+            if (entry.type === 'removed') {
+                removed.push(entry);
+            } else if (entry.type === 'added') {
+                added.push(entry);
+            } else {
+                flush();
+                rows.push({ left: entry, right: entry });
+            }
+        });
+        
+        flush();
+        return rows;
+    },
+    
+    /**
+     * Keep only changes and the given context around them
+     * @param {Array} entries - Entries from diffLines
+     * @param {number} context - Unchanged lines kept around each change
+     * @returns {Array} Entries, with {type: 'skip', count} where unchanged lines were collapsed
+     */
+    collapse(entries, context = 3) {
+        const keep = entries.map(() => false);
+        
+        entries.forEach((entry, index) => {
+            if (entry.type === 'equal') return;
+            
+            for (let i = Math.max(0, index - context); i <= Math.min(entries.length - 1, index + context); i++) {
+                keep[i] = true;
+            }
+        });
+        
+        const result = [];
+        let skipped = 0;
+        
+        entries.forEach((entry, index) => {
+            if (keep[index]) {
+                if (skipped > 0) result.push({ type: 'skip', count: skipped });
+                skipped = 0;
+                result.push(entry);
+            } else {
+                skipped++;
+            }
+        });
+        
+        if (skipped > 0) result.push({ type: 'skip', count: skipped });
+        return result;
+    },
+    
+    /**
+     * Count changed lines
+     * @param {Array} entries - Entries from diffLines
+     * @returns {Object} {added, removed, unchanged}
+     */
+    getStats(entries) {
+        return entries.reduce((stats, entry) => {
+            if (entry.type === 'added') stats.added++;
+            else if (entry.type === 'removed') stats.removed++;
+            else if (entry.type === 'equal') stats.unchanged++;
+            return stats;
+        }, { added: 0, removed: 0, unchanged: 0 });
+    },
+    
+    /**
+     * Split text into lines, an empty text has no lines
+     * @param {string} text - Text
+     * @returns {Array} Lines
+     */
+    splitLines(text) {
+        if (typeof text !== 'string' || text === '') return [];
+        return text.replace(/\r\n?/g, '\n').split('\n');
+    }
+};
+
+export default TextDiff;